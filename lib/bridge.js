@@ -0,0 +1,804 @@
+'use strict';
+const Crypto = require('crypto');
+const Http = require('http');
+const Url = require('url');
+const Callbacks = require('./callbacks');
+
+// Private method symbols
+const _join = Symbol();
+const _leave = Symbol();
+const _subscribe = Symbol();
+const _acquire = Symbol();
+const _release = Symbol();
+const _unlisten = Symbol();
+const _receive = Symbol();
+const _frame = Symbol();
+const _write = Symbol();
+const _terminate = Symbol();
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const bridgeDefaults = {
+  path: '/events',
+  keepAlive: 25000,
+  maxMessageBytes: 65536,
+  maxBufferedBytes: 1048576
+};
+const sseHeaders = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'X-Accel-Buffering': 'no'
+};
+
+
+// Relays the notifications of an instance to HTTP clients, over Server-Sent
+// Events and WebSocket. Each database channel is listened to while at least
+// one client is subscribed to it.
+function Bridge (pgee, options) {
+  const settings = Object.assign({}, bridgeDefaults, options);
+
+  if (settings.channels !== undefined && !Array.isArray(settings.channels)) {
+    throw new TypeError('channels must be an array');
+  }
+
+  if (settings.authorize !== undefined &&
+      typeof settings.authorize !== 'function') {
+    throw new TypeError('authorize must be a function');
+  }
+
+  // Clients must not be able to listen to any channel by default
+  if (settings.channels === undefined && settings.authorize === undefined) {
+    throw new TypeError('bridge requires channels or an authorize function');
+  }
+
+  this.path = settings.path;
+  this._pgee = pgee.handle();
+  this._settings = settings;
+  this._allowed = settings.channels === undefined ? null :
+    settings.channels.map(String);
+  this._clients = new Set();
+  this._channels = new Map();
+  this._releasing = new Map();
+  this._servers = [];
+  this._keepAliveTimer = null;
+  this._closed = false;
+}
+
+module.exports = Bridge;
+
+
+// Handles the requests and upgrades of server on the bridge's path
+Bridge.prototype.attach = function attach (server) {
+  const onRequest = (request, response) => {
+    // Requests that nobody else handles would never be answered
+    if (!this.handleRequest(request, response) &&
+        server.listenerCount('request') === 1) {
+      _respond(response, _error(404, 'not found'));
+    }
+  };
+  const onUpgrade = (request, socket, head) => {
+    // Upgrades that nobody else handles would never be answered
+    if (!this.handleUpgrade(request, socket, head) &&
+        server.listenerCount('upgrade') === 1) {
+      socket.destroy();
+    }
+  };
+
+  server.on('request', onRequest);
+  server.on('upgrade', onUpgrade);
+  this._servers.push({
+    server: server,
+    onRequest: onRequest,
+    onUpgrade: onUpgrade
+  });
+
+  return this;
+};
+
+
+// Streams notifications as Server-Sent Events. Returns false if the request
+// is not on the bridge's path.
+Bridge.prototype.handleRequest = function handleRequest (request, response) {
+  const url = _url(request);
+
+  if (url.pathname !== this.path) {
+    return false;
+  }
+
+  if (request.method !== 'GET') {
+    _respond(response, _error(405, 'method not allowed'), { Allow: 'GET' });
+    return true;
+  }
+
+  const channels = url.searchParams.getAll('channel');
+
+  if (channels.length === 0) {
+    _respond(response, _error(400, 'at least one channel is required'));
+    return true;
+  }
+
+  const client = new SseClient(request, response,
+                               this._settings.maxBufferedBytes);
+
+  this[_join](client, channels, (err) => {
+    if (err) {
+      return _respond(response, err);
+    }
+
+    client.open();
+  });
+
+  return true;
+};
+
+
+// Accepts WebSocket connections. Returns false if the request is not on the
+// bridge's path.
+Bridge.prototype.handleUpgrade = function handleUpgrade (request, socket,
+                                                         head) {
+  const url = _url(request);
+
+  if (url.pathname !== this.path) {
+    return false;
+  }
+
+  const headers = request.headers;
+  const key = headers['sec-websocket-key'];
+
+  if ((headers.upgrade + '').toLowerCase() !== 'websocket' ||
+      typeof key !== 'string' || headers['sec-websocket-version'] !== '13') {
+    _rejectUpgrade(socket, _error(400, 'invalid WebSocket handshake'));
+    return true;
+  }
+
+  const client = new WebSocketClient(request, socket,
+                                     this._settings.maxMessageBytes,
+                                     this._settings.maxBufferedBytes);
+
+  client.onMessage = (text) => {
+    let message = null;
+
+    try {
+      message = JSON.parse(text);
+    } catch (ignoreErr) {}
+
+    if (message === null || typeof message !== 'object' ||
+        (message.type !== 'subscribe' && message.type !== 'unsubscribe')) {
+      return client.send({ type: 'error', message: 'invalid message' });
+    }
+
+    const channel = message.channel;
+
+    if (message.type === 'unsubscribe') {
+      if (client.channels.has(channel)) {
+        this[_release](client, channel);
+      }
+
+      return client.send({ type: 'unsubscribed', channel: channel });
+    }
+
+    this[_subscribe](client, channel, (err) => {
+      if (err) {
+        return client.send({ type: 'error', channel: channel, message: err.message });
+      }
+
+      client.send({ type: 'subscribed', channel: channel });
+    });
+  };
+
+  // Channels in the query string are subscribed to before the handshake
+  this[_join](client, url.searchParams.getAll('channel'), (err) => {
+    if (err) {
+      return _rejectUpgrade(socket, err);
+    }
+
+    const accept = Crypto.createHash('sha1')
+      .update(key + WEBSOCKET_GUID).digest('base64');
+
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                 'Upgrade: websocket\r\n' +
+                 'Connection: Upgrade\r\n' +
+                 `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    client.open(head);
+  });
+
+  return true;
+};
+
+
+// Returns the number of connected clients, and the number of clients
+// subscribed to each channel
+Bridge.prototype.stats = function stats () {
+  const channels = {};
+
+  this._channels.forEach((entry, channel) => {
+    channels[channel] = entry.clients.size;
+  });
+
+  return { clients: this._clients.size, channels: channels };
+};
+
+
+// Disconnects every client and detaches from the servers. The LISTENs that
+// the rest of the application does not need are removed.
+Bridge.prototype.close = function close (callback) {
+  if (typeof callback !== 'function') {
+    return new Promise((resolve) => {
+      this.close(() => {
+        resolve();
+      });
+    });
+  }
+
+  this._closed = true;
+  clearInterval(this._keepAliveTimer);
+  this._keepAliveTimer = null;
+
+  this._servers.forEach((attached) => {
+    attached.server.removeListener('request', attached.onRequest);
+    attached.server.removeListener('upgrade', attached.onUpgrade);
+  });
+
+  this._clients.forEach((client) => {
+    client.onClose = null;
+    client.close(1001);
+  });
+
+  // The handle releases its channels once the LISTENs and UNLISTENs in
+  // progress are done
+  let remaining = 1;
+  const finish = () => {
+    if (--remaining === 0) {
+      this._pgee.close(callback);
+    }
+  };
+
+  this._channels.forEach((entry, channel) => {
+    this._pgee.notifications.removeListener(channel, entry.listener);
+
+    if (!entry.ready) {
+      remaining++;
+      entry.waiting.push(finish);
+    }
+  });
+
+  this._releasing.forEach((waiting) => {
+    remaining++;
+    waiting.push(finish);
+  });
+
+  this._servers = [];
+  this._clients.clear();
+  this._channels.clear();
+  finish();
+};
+
+
+// Subscribes a new client to its initial channels, one at a time
+Bridge.prototype[_join] = function join (client, channels, callback) {
+  client.onClose = () => {
+    this[_leave](client);
+  };
+
+  const next = (index) => {
+    if (this._closed) {
+      this[_leave](client);
+      return callback(_error(503, 'bridge closed'));
+    }
+
+    if (client.closed) {
+      return this[_leave](client);
+    }
+
+    if (index === channels.length) {
+      this._clients.add(client);
+
+      if (this._keepAliveTimer === null && this._settings.keepAlive > 0) {
+        this._keepAliveTimer = setInterval(() => {
+          this._clients.forEach((other) => {
+            other.ping();
+          });
+        }, this._settings.keepAlive);
+        this._keepAliveTimer.unref();
+      }
+
+      return callback(null);
+    }
+
+    this[_subscribe](client, channels[index], (err) => {
+      if (err) {
+        this[_leave](client);
+        return callback(err);
+      }
+
+      next(index + 1);
+    });
+  };
+
+  next(0);
+};
+
+
+Bridge.prototype[_leave] = function leave (client) {
+  this._clients.delete(client);
+
+  Array.from(client.channels).forEach((channel) => {
+    this[_release](client, channel);
+  });
+
+  if (this._clients.size === 0) {
+    clearInterval(this._keepAliveTimer);
+    this._keepAliveTimer = null;
+  }
+};
+
+
+Bridge.prototype[_subscribe] = function subscribe (client, channel, callback) {
+  // Channel names are used as the event names of Server-Sent Events
+  if (typeof channel !== 'string' || channel === '' || /[\r\n]/.test(channel)) {
+    return callback(_error(400, 'invalid channel name'));
+  }
+
+  if (this._allowed !== null && this._allowed.indexOf(channel) === -1) {
+    return callback(_error(403, `channel is not allowed: ${channel}`));
+  }
+
+  _authorize(this._settings.authorize, client.request, channel,
+             (err, allowed) => {
+               if (this._closed) {
+                 return callback(_error(503, 'bridge closed'));
+               }
+
+               if (err) {
+                 return callback(_error(err.statusCode || 500, err.message));
+               }
+
+               if (!allowed) {
+                 return callback(_error(403, `not authorized to listen on ${channel}`));
+               }
+
+               this[_acquire](client, channel, callback);
+             });
+};
+
+
+// Counts the clients of a channel, and listens to it for the first one
+Bridge.prototype[_acquire] = function acquire (client, channel, callback) {
+  let entry = this._channels.get(channel);
+
+  if (entry !== undefined) {
+    client.channels.add(channel);
+    entry.clients.add(client);
+    return entry.ready ? callback(null) : entry.waiting.push(callback);
+  }
+
+  entry = {
+    clients: new Set([client]),
+    ready: false,
+    waiting: [callback],
+    listener: (message) => {
+      entry.clients.forEach((other) => {
+        other.notify(channel, message);
+      });
+    }
+  };
+
+  client.channels.add(channel);
+  this._channels.set(channel, entry);
+
+  const listen = () => {
+    this._pgee.listen(channel, (err) => {
+      const waiting = entry.waiting;
+
+      entry.waiting = [];
+
+      if (err) {
+        this._channels.delete(channel);
+        entry.clients.forEach((other) => {
+          other.channels.delete(channel);
+        });
+
+        const status = err.name === 'ChannelError' ? 400 : 503;
+
+        return waiting.forEach((done) => {
+          done(_error(status, err.message));
+        });
+      }
+
+      entry.ready = true;
+      this._pgee.notifications.on(channel, entry.listener);
+
+      // Every client left while the LISTEN was in progress
+      if (entry.clients.size === 0 && !this._closed) {
+        this[_unlisten](channel, entry);
+      }
+
+      waiting.forEach((done) => {
+        done(null);
+      });
+    });
+  };
+
+  // A new LISTEN must not overtake the UNLISTEN of the previous clients
+  const releasing = this._releasing.get(channel);
+
+  if (releasing === undefined) {
+    listen();
+  } else {
+    releasing.push(listen);
+  }
+};
+
+
+Bridge.prototype[_release] = function release (client, channel) {
+  const entry = this._channels.get(channel);
+
+  client.channels.delete(channel);
+
+  // Channels are forgotten when the bridge closes
+  if (entry === undefined) {
+    return;
+  }
+
+  entry.clients.delete(client);
+
+  if (entry.ready && entry.clients.size === 0) {
+    this[_unlisten](channel, entry);
+  }
+};
+
+
+Bridge.prototype[_unlisten] = function unlisten (channel, entry) {
+  const waiting = [];
+
+  this._channels.delete(channel);
+  this._releasing.set(channel, waiting);
+  this._pgee.notifications.removeListener(channel, entry.listener);
+
+  // Failures leave the channel listened to, which is harmless
+  this._pgee.unlisten(channel, () => {
+    this._releasing.delete(channel);
+    waiting.forEach((listen) => {
+      listen();
+    });
+  });
+};
+
+
+function SseClient (request, response, maxBufferedBytes) {
+  this.request = request;
+  this.channels = new Set();
+  this.closed = false;
+  this.onClose = null;
+  this._response = response;
+  this._maxBufferedBytes = maxBufferedBytes;
+  this._open = false;
+
+  response.on('close', () => {
+    this.closed = true;
+
+    if (typeof this.onClose === 'function') {
+      this.onClose();
+    }
+  });
+}
+
+
+SseClient.prototype.open = function open () {
+  this._response.writeHead(200, sseHeaders);
+  this._response.write(':ok\n\n');
+  this._open = true;
+};
+
+
+SseClient.prototype.notify = function notify (channel, message) {
+  if (this._open) {
+    this[_write](`event: ${channel}\ndata: ${_json(message)}\n\n`);
+  }
+};
+
+
+SseClient.prototype.ping = function ping () {
+  this[_write](':\n\n');
+};
+
+
+// Clients that do not keep up are disconnected, rather than buffering
+// notifications without limit. EventSource clients reconnect by themselves.
+SseClient.prototype[_write] = function write (text) {
+  const response = this._response;
+
+  response.write(text);
+
+  if (response.writableLength > this._maxBufferedBytes) {
+    response.destroy();
+  }
+};
+
+
+SseClient.prototype.close = function close () {
+  this._response.end();
+};
+
+
+// A minimal RFC 6455 server connection, supporting text messages only
+function WebSocketClient (request, socket, maxMessageBytes,
+                          maxBufferedBytes) {
+  this.request = request;
+  this.channels = new Set();
+  this.closed = false;
+  this.onClose = null;
+  this.onMessage = null;
+  this._socket = socket;
+  this._maxMessageBytes = maxMessageBytes;
+  this._maxBufferedBytes = maxBufferedBytes;
+  this._input = Buffer.alloc(0);
+  this._fragments = null;
+  this._open = false;
+
+  socket.on('error', () => {
+    socket.destroy();
+  });
+  socket.on('close', () => {
+    this[_terminate]();
+  });
+}
+
+
+WebSocketClient.prototype.open = function open (head) {
+  this._open = true;
+  this._socket.on('data', (chunk) => {
+    this[_receive](chunk);
+  });
+
+  if (head && head.length > 0) {
+    this[_receive](head);
+  }
+};
+
+
+WebSocketClient.prototype.notify = function notify (channel, message) {
+  this.send({
+    type: 'notification',
+    channel: channel,
+    payload: message === undefined ? null : message
+  });
+};
+
+
+WebSocketClient.prototype.send = function send (message) {
+  if (this._open && !this.closed) {
+    this[_write](0x1, Buffer.from(_json(message)));
+  }
+};
+
+
+WebSocketClient.prototype.ping = function ping () {
+  this[_write](0x9, Buffer.alloc(0));
+};
+
+
+// Clients leave the bridge as soon as they are closed
+WebSocketClient.prototype.close = function close (code) {
+  const payload = Buffer.alloc(2);
+
+  payload.writeUInt16BE(code, 0);
+  this[_write](0x8, payload);
+  this._socket.end();
+  this[_terminate]();
+};
+
+
+WebSocketClient.prototype[_receive] = function receive (chunk) {
+  this._input = Buffer.concat([this._input, chunk]);
+
+  while (!this.closed) {
+    const frame = _parseFrame(this._input, this._maxMessageBytes);
+
+    if (frame === null) {
+      return;
+    }
+
+    if (frame.error !== undefined) {
+      return this.close(frame.error);
+    }
+
+    this._input = this._input.slice(frame.size);
+    this[_frame](frame);
+  }
+};
+
+
+WebSocketClient.prototype[_frame] = function frame (received) {
+  const opcode = received.opcode;
+
+  if (opcode >= 0x8) {
+    // Control frames cannot be fragmented
+    if (!received.fin || received.payload.length > 125) {
+      return this.close(1002);
+    }
+
+    if (opcode === 0x8) {
+      return this.close(received.payload.length >= 2 ?
+                        received.payload.readUInt16BE(0) : 1000);
+    }
+
+    if (opcode === 0x9) {
+      this[_write](0xA, received.payload);
+    }
+
+    return;
+  }
+
+  if ((opcode === 0x0) !== (this._fragments !== null) || opcode > 0x2) {
+    return this.close(1002);
+  }
+
+  if (opcode !== 0x0) {
+    this._fragments = { opcode: opcode, parts: [], size: 0 };
+  }
+
+  const fragments = this._fragments;
+
+  fragments.parts.push(received.payload);
+  fragments.size += received.payload.length;
+
+  if (fragments.size > this._maxMessageBytes) {
+    return this.close(1009);
+  }
+
+  if (!received.fin) {
+    return;
+  }
+
+  this._fragments = null;
+
+  if (fragments.opcode === 0x2) {
+    return this.close(1003);
+  }
+
+  this.onMessage(Buffer.concat(fragments.parts).toString());
+};
+
+
+WebSocketClient.prototype[_write] = function write (opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 0x10000) {
+    header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  }
+
+  this._socket.write(Buffer.concat([header, payload]));
+
+  // Like Server-Sent Events, slow clients are disconnected
+  if (this._socket.writableLength > this._maxBufferedBytes) {
+    this._socket.destroy();
+  }
+};
+
+
+WebSocketClient.prototype[_terminate] = function terminate () {
+  const onClose = this.onClose;
+
+  this.closed = true;
+  this.onClose = null;
+
+  if (typeof onClose === 'function') {
+    onClose();
+  }
+};
+
+
+// Returns the next frame sent by a client, null if the frame is incomplete,
+// or the close code of a protocol violation
+function _parseFrame (buffer, maxMessageBytes) {
+  if (buffer.length < 2) {
+    return null;
+  }
+
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+
+    length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  // Reserved bits are not negotiated, and clients must mask their frames
+  if ((buffer[0] & 0x70) !== 0 || (buffer[1] & 0x80) === 0) {
+    return { error: 1002 };
+  }
+
+  if (length > maxMessageBytes) {
+    return { error: 1009 };
+  }
+
+  if (buffer.length < offset + 4 + length) {
+    return null;
+  }
+
+  const mask = buffer.slice(offset, offset + 4);
+  const payload = Buffer.alloc(length);
+
+  for (let i = 0; i < length; ++i) {
+    payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+  }
+
+  return {
+    fin: (buffer[0] & 0x80) !== 0,
+    opcode: buffer[0] & 0x0f,
+    payload: payload,
+    size: offset + 4 + length
+  };
+}
+
+
+// Hooks either accept a done() callback, or return a boolean or a Promise
+function _authorize (hook, request, channel, callback) {
+  if (hook === undefined) {
+    return callback(null, true);
+  }
+
+  Callbacks.invoke(hook, [request, channel], 'authorization failed', callback);
+}
+
+
+function _url (request) {
+  return new Url.URL(request.url, 'http://localhost');
+}
+
+
+function _json (message) {
+  const text = JSON.stringify(message);
+
+  return text === undefined ? 'null' : text;
+}
+
+
+function _error (statusCode, message) {
+  const err = new Error(message);
+
+  err.statusCode = statusCode;
+  return err;
+}
+
+
+function _respond (response, err, headers) {
+  response.writeHead(err.statusCode, Object.assign({
+    'Content-Type': 'text/plain; charset=utf-8'
+  }, headers));
+  response.end(err.message);
+}
+
+
+function _rejectUpgrade (socket, err) {
+  const status = err.statusCode;
+
+  socket.end(`HTTP/1.1 ${status} ${Http.STATUS_CODES[status]}\r\n` +
+             'Connection: close\r\n' +
+             'Content-Type: text/plain; charset=utf-8\r\n' +
+             `Content-Length: ${Buffer.byteLength(err.message)}\r\n\r\n` +
+             err.message);
+}
+
@@ -0,0 +1,119 @@
+'use strict';
+
+// Private method symbols
+const _schedule = Symbol();
+const _expire = Symbol();
+
+const bufferDefaults = {
+  maxSize: 1000,
+  overflow: 'drop-newest',
+  ttl: 0
+};
+
+const overflows = ['drop-newest', 'drop-oldest'];
+
+
+// Holds the notifications issued while disconnected, in order, until they can
+// be sent. Entries that are dropped or expire are failed with an error.
+function NotifyBuffer (options) {
+  const settings = Object.assign({}, bufferDefaults,
+                                 typeof options === 'object' ? options : {});
+
+  if (overflows.indexOf(settings.overflow) === -1) {
+    throw new TypeError(`unknown buffer overflow: ${settings.overflow}`);
+  }
+
+  if (!(settings.maxSize > 0)) {
+    throw new TypeError('buffer maxSize must be a positive number');
+  }
+
+  this.maxSize = settings.maxSize;
+  this.overflow = settings.overflow;
+  this.ttl = settings.ttl;
+  this._entries = [];
+  this._timer = null;
+}
+
+module.exports = NotifyBuffer;
+
+
+NotifyBuffer.prototype.size = function size () {
+  return this._entries.length;
+};
+
+
+NotifyBuffer.prototype.add = function add (item, fail) {
+  this[_expire]();
+
+  if (this._entries.length >= this.maxSize) {
+    const err = new Error('notification buffer is full');
+
+    if (this.overflow === 'drop-newest') {
+      return fail(err);
+    }
+
+    this._entries.shift().fail(err);
+  }
+
+  this._entries.push({
+    item: item,
+    fail: fail,
+    expires: this.ttl > 0 ? Date.now() + this.ttl : Infinity
+  });
+
+  this[_schedule]();
+};
+
+
+// Removes and returns the items that have not expired, oldest first
+NotifyBuffer.prototype.drain = function drain () {
+  this[_expire]();
+
+  const entries = this._entries;
+
+  this._entries = [];
+  this[_schedule]();
+
+  return entries.map((entry) => {
+    return entry.item;
+  });
+};
+
+
+NotifyBuffer.prototype.clear = function clear (err) {
+  const entries = this._entries;
+
+  this._entries = [];
+  this[_schedule]();
+
+  for (let i = 0; i < entries.length; ++i) {
+    entries[i].fail(err);
+  }
+};
+
+
+// Entries share the same TTL, so the oldest one always expires first
+NotifyBuffer.prototype[_schedule] = function schedule () {
+  clearTimeout(this._timer);
+  this._timer = null;
+
+  if (this._entries.length === 0 || this._entries[0].expires === Infinity) {
+    return;
+  }
+
+  this._timer = setTimeout(() => {
+    this._timer = null;
+    this[_expire]();
+    this[_schedule]();
+  }, Math.max(0, this._entries[0].expires - Date.now()));
+  this._timer.unref();
+};
+
+
+NotifyBuffer.prototype[_expire] = function expire () {
+  const now = Date.now();
+
+  while (this._entries.length > 0 && this._entries[0].expires <= now) {
+    this._entries.shift().fail(new Error('buffered notification expired'));
+  }
+};
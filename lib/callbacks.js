@@ -0,0 +1,93 @@
+'use strict';
+const EventEmitter = require('events');
+
+
+// Settles an operation through a callback if one is provided. Otherwise,
+// the outcome is emitted as an event and returned as a Promise.
+function pending (context, callback, event) {
+  const result = { promise: undefined, done: null };
+
+  if (typeof callback === 'function') {
+    result.done = function done () {
+      callback.apply(context, arguments);
+    };
+
+    return result;
+  }
+
+  let resolve;
+  let reject;
+
+  result.promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+
+  result.done = function done (err, value) {
+    if (err) {
+      // Errors reported through an 'error' listener should not also surface
+      // as unhandled rejections when the Promise is ignored
+      if (context.listenerCount('error') > 0) {
+        result.promise.catch(() => {});
+        EventEmitter.prototype.emit.call(context, 'error', err);
+      }
+
+      reject(err);
+    } else {
+      if (event !== null) {
+        EventEmitter.prototype.emit.apply(context,
+                                          [event].concat(_toArray(arguments)));
+      }
+
+      resolve(value);
+    }
+
+    return result.promise;
+  };
+
+  return result;
+}
+
+
+// Calls a user supplied handler, which either accepts a done() callback after
+// args, or returns a value or a Promise. callback is called once with the
+// outcome, and failure is the message used for rejections without a reason.
+function invoke (handler, args, failure, callback) {
+  let settled = false;
+  const done = (err, value) => {
+    if (settled) {
+      return;
+    }
+
+    settled = true;
+    callback(err, value);
+  };
+
+  try {
+    if (handler.length > args.length) {
+      return handler.apply(null, args.concat(done));
+    }
+
+    Promise.resolve(handler.apply(null, args)).then((value) => {
+      done(null, value);
+    }, (err) => {
+      done(err || new Error(failure));
+    });
+  } catch (err) {
+    done(err);
+  }
+}
+
+
+function _toArray (args) {
+  const array = new Array(args.length);
+
+  for (let i = 0; i < args.length; ++i) {
+    array[i] = args[i];
+  }
+
+  return array;
+}
+
+
+module.exports = { pending: pending, invoke: invoke };
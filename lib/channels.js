@@ -0,0 +1,63 @@
+'use strict';
+const Crypto = require('crypto');
+const Util = require('util');
+
+// PostgreSQL truncates identifiers longer than NAMEDATALEN - 1 bytes
+const MAX_CHANNEL_BYTES = 63;
+const HASH_LENGTH = 16;
+
+
+function ChannelError (message, channel) {
+  Error.call(this);
+  Error.captureStackTrace(this, ChannelError);
+  this.name = 'ChannelError';
+  this.message = message;
+  this.channel = channel;
+}
+
+Util.inherits(ChannelError, Error);
+
+
+// Returns the name used for a channel on the server. Names that are too long
+// are either rejected, or mapped to a stable name ending with a hash of the
+// full name.
+function normalize (channel, hashLongNames) {
+  channel = channel + '';
+
+  if (channel === '') {
+    throw new ChannelError('channel name must not be empty', channel);
+  }
+
+  if (channel.indexOf('\u0000') !== -1) {
+    throw new ChannelError('channel name must not contain null characters',
+                           channel);
+  }
+
+  const buffer = Buffer.from(channel);
+
+  if (buffer.length <= MAX_CHANNEL_BYTES) {
+    return channel;
+  }
+
+  if (!hashLongNames) {
+    throw new ChannelError(
+      `channel name must not exceed ${MAX_CHANNEL_BYTES} bytes`, channel);
+  }
+
+  const hash = Crypto.createHash('sha1').update(buffer).digest('hex');
+  let end = MAX_CHANNEL_BYTES - HASH_LENGTH - 1;
+
+  // Never split a multibyte UTF-8 character
+  while ((buffer[end] & 0xc0) === 0x80) {
+    end--;
+  }
+
+  return `${buffer.toString('utf8', 0, end)}_${hash.slice(0, HASH_LENGTH)}`;
+}
+
+
+module.exports = {
+  MAX_CHANNEL_BYTES: MAX_CHANNEL_BYTES,
+  ChannelError: ChannelError,
+  normalize: normalize
+};
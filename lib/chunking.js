@@ -0,0 +1,125 @@
+'use strict';
+const Crypto = require('crypto');
+
+const PREFIX = 'pgee:chunk:';
+// Room for the prefix, id, index and total of each fragment
+const HEADER_BYTES = 64;
+// PostgreSQL rejects NOTIFY payloads of 8000 bytes or more
+const MAX_PAYLOAD_BYTES = 7999;
+const DEFAULT_TIMEOUT = 30000;
+
+
+function isFragment (payload) {
+  return typeof payload === 'string' && payload.indexOf(PREFIX) === 0;
+}
+
+
+// Splits a payload into fragments of at most maxBytes. Payloads that already
+// fit are returned as is.
+function split (payload, maxBytes) {
+  maxBytes = maxBytes || MAX_PAYLOAD_BYTES;
+
+  if (typeof payload !== 'string' ||
+      Buffer.byteLength(payload) <= maxBytes) {
+    return [payload];
+  }
+
+  const dataBytes = maxBytes - HEADER_BYTES;
+
+  if (dataBytes < 4) {
+    throw new RangeError(`maxBytes must be greater than ${HEADER_BYTES + 3}`);
+  }
+
+  const buffer = Buffer.from(payload);
+  const parts = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    let end = Math.min(start + dataBytes, buffer.length);
+
+    // Never split a multibyte UTF-8 character
+    while (end < buffer.length && (buffer[end] & 0xc0) === 0x80) {
+      end--;
+    }
+
+    parts.push(buffer.toString('utf8', start, end));
+    start = end;
+  }
+
+  const id = Crypto.randomBytes(8).toString('hex');
+
+  return parts.map((part, index) => {
+    return `${PREFIX}${id}:${index}:${parts.length}:${part}`;
+  });
+}
+
+
+function Assembler (options, onExpire) {
+  options = options || {};
+
+  this._timeout = options.timeout || DEFAULT_TIMEOUT;
+  this._onExpire = onExpire;
+  this._pending = new Map();
+}
+
+
+// Returns the complete payload once every fragment has arrived, and null
+// while fragments are still outstanding.
+Assembler.prototype.add = function add (processId, channel, fragment) {
+  const header = fragment.slice(PREFIX.length).split(':', 3);
+  const index = parseInt(header[1], 10);
+  const total = parseInt(header[2], 10);
+
+  if (header.length !== 3 || !(index >= 0 && index < total)) {
+    throw new Error('malformed payload fragment');
+  }
+
+  const key = `${processId}:${channel}:${header[0]}`;
+  const data = fragment.slice(PREFIX.length + header.join(':').length + 1);
+  let message = this._pending.get(key);
+
+  if (message === undefined) {
+    message = {
+      channel: channel,
+      parts: new Array(total),
+      received: 0,
+      timer: setTimeout(() => {
+        this._pending.delete(key);
+        this._onExpire(channel, message.parts.join(''));
+      }, this._timeout)
+    };
+
+    message.timer.unref();
+    this._pending.set(key, message);
+  }
+
+  if (message.parts[index] === undefined) {
+    message.parts[index] = data;
+    message.received++;
+  }
+
+  if (message.received < message.parts.length) {
+    return null;
+  }
+
+  clearTimeout(message.timer);
+  this._pending.delete(key);
+  return message.parts.join('');
+};
+
+
+Assembler.prototype.clear = function clear () {
+  this._pending.forEach((message) => {
+    clearTimeout(message.timer);
+  });
+
+  this._pending.clear();
+};
+
+
+module.exports = {
+  MAX_PAYLOAD_BYTES: MAX_PAYLOAD_BYTES,
+  Assembler: Assembler,
+  isFragment: isFragment,
+  split: split
+};
@@ -0,0 +1,322 @@
+'use strict';
+const Util = require('util');
+const PgEe = require('./index');
+
+const usage = `Usage: pgee <command> [options]
+
+Commands:
+  listen <channel...>            Print the notifications received on channels
+  notify <channel> <payload|->   Send a notification. A payload of - is read
+                                 from stdin
+
+Options:
+  -c, --connection <string>      Connection string. Defaults to DATABASE_URL,
+                                 or to the connection options below
+  -h, --host <host>              Database server host
+  -p, --port <port>              Database server port
+  -U, --user <user>              Database user
+  -d, --database <name>          Database name
+      --password <password>      Database password
+      --ssl                      Connect using SSL
+  -n, --namespace <namespace>    Namespace of the channels
+  -f, --format <format>          Output of listen: pretty, json or raw.
+                                 Defaults to pretty
+      --help                     Show this message
+
+Unset connection options fall back to the PG* environment variables.
+`;
+
+const flags = {
+  connection: String,
+  host: String,
+  port: Number,
+  user: String,
+  database: String,
+  password: String,
+  ssl: Boolean,
+  namespace: String,
+  format: String,
+  help: Boolean
+};
+const aliases = {
+  c: 'connection',
+  h: 'host',
+  p: 'port',
+  U: 'user',
+  d: 'database',
+  n: 'namespace',
+  f: 'format'
+};
+const formats = ['pretty', 'json', 'raw'];
+const commands = {
+  listen: _listen,
+  notify: _notify
+};
+
+
+// Runs a command with the given arguments. io provides the stdin, stdout and
+// stderr streams and the environment. The callback receives the exit code.
+// Returns a function that stops a running command.
+function run (argv, io, callback) {
+  let parsed;
+
+  try {
+    parsed = parse(argv);
+  } catch (err) {
+    return _exit(io, callback, err);
+  }
+
+  if (parsed.options.help) {
+    io.stdout.write(usage);
+    return _exit(io, callback, null);
+  }
+
+  const command = commands[parsed.command];
+
+  if (command === undefined) {
+    io.stderr.write(usage);
+    return _exit(io, callback, parsed.command === null ? null :
+                 new Error(`unknown command: ${parsed.command}`), 1);
+  }
+
+  const format = parsed.options.format || 'pretty';
+
+  if (formats.indexOf(format) === -1) {
+    return _exit(io, callback, new Error(`unknown format: ${format}`));
+  }
+
+  const pgee = new PgEe(connectionOptions(parsed.options, io.env), {
+    codec: 'text',
+    envelope: true,
+    standardEmit: true,
+    namespace: parsed.options.namespace,
+    reconnect: parsed.command === 'listen'
+  });
+
+  let reported = null;
+  let finished = false;
+
+  pgee.on('error', (err) => {
+    reported = err;
+    io.stderr.write(`pgee: ${err.message}\n`);
+  });
+
+  return command(pgee, parsed.args, format, io, (err) => {
+    if (finished) {
+      return;
+    }
+
+    finished = true;
+    pgee.close();
+
+    // Errors that were emitted are already printed
+    if (err && err === reported) {
+      return callback(1);
+    }
+
+    _exit(io, callback, err);
+  });
+}
+
+
+// Parses arguments by hand. Options are accepted anywhere, as --name value,
+// --name=value or -x value.
+function parse (argv) {
+  const parsed = { command: null, args: [], options: {} };
+
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      parsed.args = parsed.args.concat(argv.slice(i + 1));
+      break;
+    }
+
+    if (arg[0] !== '-' || arg === '-') {
+      if (parsed.command === null) {
+        parsed.command = arg;
+      } else {
+        parsed.args.push(arg);
+      }
+
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const flag = equals === -1 ? arg : arg.slice(0, equals);
+    const name = flag[1] === '-' ? flag.slice(2) : aliases[flag.slice(1)];
+    const type = flags[name];
+
+    if (type === undefined) {
+      throw new Error(`unknown option: ${flag}`);
+    }
+
+    if (type === Boolean) {
+      parsed.options[name] = true;
+      continue;
+    }
+
+    const value = equals === -1 ? argv[++i] : arg.slice(equals + 1);
+
+    if (value === undefined) {
+      throw new Error(`option ${flag} requires a value`);
+    }
+
+    parsed.options[name] = type(value);
+  }
+
+  return parsed;
+}
+
+
+// Returns the connection string or configuration passed to the constructor
+function connectionOptions (options, env) {
+  if (options.connection !== undefined) {
+    return options.connection;
+  }
+
+  const config = {};
+
+  ['host', 'port', 'user', 'database', 'password', 'ssl'].forEach((name) => {
+    if (options[name] !== undefined) {
+      config[name] = options[name];
+    }
+  });
+
+  if (Object.keys(config).length === 0 && env.DATABASE_URL) {
+    return env.DATABASE_URL;
+  }
+
+  return config;
+}
+
+
+module.exports = {
+  usage: usage,
+  run: run,
+  parse: parse,
+  connectionOptions: connectionOptions
+};
+
+
+function _listen (pgee, channels, format, io, callback) {
+  if (channels.length === 0) {
+    callback(new Error('listen requires at least one channel'));
+    return () => {};
+  }
+
+  const print = (message) => {
+    io.stdout.write(`${_format(message, format, io.stdout.isTTY)}\n`);
+  };
+
+  pgee.on('reconnecting', (info) => {
+    io.stderr.write(`pgee: connection lost, reconnecting (attempt ${info.attempt})\n`);
+  });
+
+  pgee.connect().then(() => {
+    return pgee.listen(channels);
+  }).then((results) => {
+    const failed = results.filter((result) => {
+      return result.error !== null;
+    });
+
+    if (failed.length > 0) {
+      return callback(new Error(failed.map((result) => {
+        return `${result.channel}: ${result.error.message}`;
+      }).join(', ')));
+    }
+
+    channels.forEach((channel) => {
+      pgee.notifications.on(channel, print);
+    });
+
+    io.stderr.write(`pgee: listening on ${channels.join(', ')}\n`);
+  }).catch(callback);
+
+  return () => {
+    callback(null);
+  };
+}
+
+
+function _notify (pgee, args, format, io, callback) {
+  if (args.length !== 2) {
+    callback(new Error('notify requires a channel and a payload'));
+    return () => {};
+  }
+
+  _payload(args[1], io.stdin, (err, payload) => {
+    if (err) {
+      return callback(err);
+    }
+
+    pgee.connect().then(() => {
+      return pgee.notify(args[0], payload);
+    }).then(() => {
+      callback(null);
+    }, callback);
+  });
+
+  // Stops waiting for stdin, and fails since nothing may have been sent
+  return () => {
+    io.stdin.destroy();
+    callback(new Error('interrupted'));
+  };
+}
+
+
+function _payload (arg, stdin, callback) {
+  if (arg !== '-') {
+    return callback(null, arg);
+  }
+
+  const chunks = [];
+
+  stdin.on('data', (chunk) => {
+    chunks.push(Buffer.from(chunk));
+  });
+  stdin.once('error', callback);
+  stdin.once('end', () => {
+    // Drop the newline ending the input, such as the one added by echo
+    callback(null, Buffer.concat(chunks).toString().replace(/\r?\n$/, ''));
+  });
+}
+
+
+function _format (message, format, colors) {
+  if (format === 'raw') {
+    return message.raw;
+  }
+
+  let payload = message.raw;
+
+  // Payloads that are not JSON are printed as strings
+  try {
+    payload = JSON.parse(message.raw);
+  } catch (ignoreErr) {}
+
+  const time = message.receivedAt.toISOString();
+
+  if (format === 'json') {
+    return JSON.stringify({
+      time: time,
+      channel: message.channel,
+      processId: message.processId,
+      payload: payload
+    });
+  }
+
+  const text = Util.inspect(payload, { depth: null, colors: !!colors, breakLength: Infinity });
+
+  return `${time} ${message.channel} [pid ${message.processId}] ${text}`;
+}
+
+
+function _exit (io, callback, err, code) {
+  if (err) {
+    io.stderr.write(`pgee: ${err.message}\n`);
+  }
+
+  callback(code || (err ? 1 : 0));
+  return () => {};
+}
@@ -0,0 +1,93 @@
+'use strict';
+
+
+const text = {
+  encode: function encode (message) {
+    return message === undefined || message === null ? message : message + '';
+  },
+  decode: function decode (payload) {
+    return payload;
+  }
+};
+
+
+const json = {
+  encode: function encode (message) {
+    return JSON.stringify(message);
+  },
+  decode: function decode (payload) {
+    // A NOTIFY without a payload has an empty one
+    return payload === '' ? undefined : JSON.parse(payload);
+  }
+};
+
+
+// JSON that survives a round trip of Date and BigInt values
+const jsonExtended = {
+  encode: function encode (message) {
+    return JSON.stringify(message, function replacer (key, value) {
+      const raw = this[key];
+      const type = typeof raw;
+
+      if (raw instanceof Date) {
+        return { $date: raw.toISOString() };
+      }
+
+      if (type === 'bigint') {
+        return { $bigint: raw.toString() };
+      }
+
+      return value;
+    });
+  },
+  decode: function decode (payload) {
+    if (payload === '') {
+      return undefined;
+    }
+
+    return JSON.parse(payload, (key, value) => {
+      if (value === null || typeof value !== 'object') {
+        return value;
+      }
+
+      const keys = Object.keys(value);
+
+      if (keys.length === 1) {
+        if (keys[0] === '$date' && typeof value.$date === 'string') {
+          return new Date(value.$date);
+        }
+
+        if (keys[0] === '$bigint' && typeof value.$bigint === 'string') {
+          return global.BigInt(value.$bigint);
+        }
+      }
+
+      return value;
+    });
+  }
+};
+
+
+const codecs = {
+  text: text,
+  json: json,
+  'json-extended': jsonExtended
+};
+
+
+function resolve (codec) {
+  if (typeof codec === 'string' && codecs.hasOwnProperty(codec)) {
+    return codecs[codec];
+  }
+
+  if (codec !== null && typeof codec === 'object' &&
+      typeof codec.encode === 'function' &&
+      typeof codec.decode === 'function') {
+    return codec;
+  }
+
+  throw new TypeError(`invalid codec: ${codec}`);
+}
+
+
+module.exports = { codecs: codecs, resolve: resolve };
@@ -0,0 +1,157 @@
+'use strict';
+const Crypto = require('crypto');
+const Sql = require('./sql');
+
+// Private method symbols
+const _listen = Symbol();
+const _beat = Symbol();
+const _settle = Symbol();
+const _miss = Symbol();
+
+const heartbeatDefaults = {
+  interval: 30000,
+  timeout: 10000,
+  method: 'notify'
+};
+const methods = ['notify', 'query'];
+
+
+// Periodically probes a connection, either by notifying itself on a private
+// channel or by running a query, and measures the round trip
+function Heartbeat (options, handlers) {
+  const settings = Object.assign({}, heartbeatDefaults,
+                                 typeof options === 'object' ? options : {});
+
+  if (methods.indexOf(settings.method) === -1) {
+    throw new TypeError(`unknown heartbeat method: ${settings.method}`);
+  }
+
+  this.channel = `pgee_heartbeat_${Crypto.randomBytes(8).toString('hex')}`;
+  this.interval = settings.interval;
+  this.timeout = settings.timeout;
+  this.method = settings.method;
+  this.healthy = true;
+  this.latency = null;
+  this.lastHeartbeat = null;
+  this.missed = 0;
+  this._handlers = handlers;
+  this._connection = null;
+  this._timer = null;
+  this._pending = null;
+  this._seq = 0;
+}
+
+module.exports = Heartbeat;
+
+
+Heartbeat.prototype.start = function start (connection) {
+  this.stop();
+  this._connection = connection;
+  this[_listen]('LISTEN');
+  this._timer = setInterval(() => {
+    this[_beat]();
+  }, this.interval);
+  this._timer.unref();
+};
+
+
+Heartbeat.prototype.stop = function stop () {
+  if (this._connection !== null) {
+    this[_listen]('UNLISTEN');
+  }
+
+  clearInterval(this._timer);
+  this._timer = null;
+  this._connection = null;
+
+  if (this._pending !== null) {
+    clearTimeout(this._pending.timer);
+    this._pending = null;
+  }
+};
+
+
+// LISTENs to the channel again, after every LISTEN of the connection was
+// removed
+Heartbeat.prototype.restore = function restore () {
+  if (this._connection !== null) {
+    this[_listen]('LISTEN');
+  }
+};
+
+
+Heartbeat.prototype.isBeat = function isBeat (channel) {
+  return channel === this.channel;
+};
+
+
+Heartbeat.prototype.receive = function receive (payload) {
+  // Beats that arrive after their deadline are ignored
+  if (this._pending !== null && payload === this._pending.seq + '') {
+    this[_settle]();
+  }
+};
+
+
+Heartbeat.prototype[_beat] = function beat () {
+  // The deadline of the previous beat has not passed yet
+  if (this._pending !== null) {
+    return;
+  }
+
+  const pending = {
+    seq: ++this._seq,
+    sentAt: Date.now(),
+    timer: setTimeout(() => {
+      this[_miss]();
+    }, this.timeout)
+  };
+
+  this._pending = pending;
+
+  // Failed queries are reported as missed beats once the deadline passes
+  if (this.method === 'query') {
+    return this._connection.query('SELECT 1', (err) => {
+      if (!err && this._pending === pending) {
+        this[_settle]();
+      }
+    });
+  }
+
+  this._connection.query(`SELECT pg_notify(${Sql.quoteLiteral(this.channel)}, ` +
+                         `'${pending.seq}')`, () => {});
+};
+
+
+// Failures surface as missed beats, and the connection is usually gone when
+// the UNLISTEN fails
+Heartbeat.prototype[_listen] = function listen (command) {
+  if (this.method === 'notify') {
+    this._connection.query(`${command} ${Sql.quoteIdentifier(this.channel)}`,
+                           () => {});
+  }
+};
+
+
+Heartbeat.prototype[_settle] = function settle () {
+  const recovered = !this.healthy;
+
+  clearTimeout(this._pending.timer);
+  this.latency = Date.now() - this._pending.sentAt;
+  this.lastHeartbeat = new Date();
+  this.missed = 0;
+  this.healthy = true;
+  this._pending = null;
+
+  if (recovered) {
+    this._handlers.healthy();
+  }
+};
+
+
+Heartbeat.prototype[_miss] = function miss () {
+  this._pending = null;
+  this.missed++;
+  this.healthy = false;
+  this._handlers.unhealthy();
+};
@@ -2,18 +2,164 @@
 const EventEmitter = require('events');
 const Util = require('util');
 const Postgresql = require('pg');
+const Bridge = require('./bridge');
+const NotifyBuffer = require('./buffer');
+const Callbacks = require('./callbacks');
+const Channels = require('./channels');
+const Chunking = require('./chunking');
+const Codecs = require('./codecs');
+const Heartbeat = require('./heartbeat');
+const MemoryBroker = require('./memory');
+const Metrics = require('./metrics');
+const Outbox = require('./outbox');
+const Patterns = require('./patterns');
+const Queue = require('./queue');
+const Rpc = require('./rpc');
+const Schema = require('./schema');
+const Sql = require('./sql');
+const Subscription = require('./subscription');
+const TableWatch = require('./watch');
 
 // Private method symbols
 const _setupConnection = Symbol();
 const _tearDownConnection = Symbol();
+const _connectionLost = Symbol();
+const _scheduleReconnect = Symbol();
+const _listenPattern = Symbol();
+const _unlistenPattern = Symbol();
+const _listenMany = Symbol();
+const _unlistenMany = Symbol();
+const _sendNotify = Symbol();
+const _buildNotify = Symbol();
+const _deliver = Symbol();
+const _track = Symbol();
+const _wakeUp = Symbol();
+const _fetchDurable = Symbol();
+const _serverChannel = Symbol();
+const _localChannel = Symbol();
+const _attach = Symbol();
+const _detach = Symbol();
+const _listenShared = Symbol();
+const _unlistenShared = Symbol();
+const _drained = Symbol();
+const _flushed = Symbol();
+const _connected = Symbol();
 
+const reconnectDefaults = {
+  retries: Infinity,
+  minDelay: 100,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: 0.5
+};
+
+// Instances created by PgEe.shared(), by connection options
+const sharedInstances = new Map();
+
+
+function PgEe (options, settings) {
+  settings = settings || {};
 
-function PgEe (options) {
+  if (settings.namespace !== undefined &&
+      (typeof settings.namespace !== 'string' || settings.namespace === '')) {
+    throw new TypeError('namespace must be a non-empty string');
+  }
+
+  this._settings = settings;
+  this._namespace = settings.namespace || null;
+  this._prefix = this._namespace === null ? '' : `${this._namespace}:`;
+  this._parent = null;
+  this._children = [];
+  this._refs = Object.create(null);
+  this._shared = null;
+  this._connecting = null;
+  this._closed = false;
+  this._buffer = settings.buffer ? new NotifyBuffer(settings.buffer) : null;
+  this._inflight = 0;
+  this._drainWaiters = [];
   this._channels = [];
+  this._subscriptions = [];
+  this._patterns = [];
+  this._queues = [];
   this._done = null;
+  this._reconnect = _reconnectSettings(settings.reconnect);
+  this._reconnectAttempt = 0;
+  this._reconnectTimer = null;
+  this._standardEmit = !!settings.standardEmit;
+  this._codec = Codecs.resolve(settings.codec || 'json');
+  this._codecs = Object.create(null);
+  this._schemas = Object.create(null);
+  this._requestChannels = Object.create(null);
+  this._chunking = _chunkingSettings(settings.chunking);
+  this._envelope = !!settings.envelope;
+  this._ignoreSelf = !!settings.ignoreSelf;
+  this._hashLongChannels = !!settings.hashLongChannels;
+  this._aliases = Object.create(null);
+  this._assembler = null;
+  this._outbox = null;
+  this._heartbeat = null;
+  this._positions = Object.create(null);
+  this._rpc = new Rpc(this);
+  this._metrics = new Metrics(settings.metrics);
+  this._watches = Object.create(null);
   this.setMaxListeners(Infinity);
 
-  if (options instanceof Postgresql.Client) {
+  // Database notifications are emitted on a separate emitter if emit() is
+  // not used to send them
+  if (this._standardEmit) {
+    this.notifications = new EventEmitter();
+    this.notifications.setMaxListeners(Infinity);
+  } else {
+    this.notifications = this;
+  }
+
+  if (settings.durable) {
+    this._outbox = new Outbox(typeof settings.durable === 'object' ?
+                              settings.durable : null);
+  }
+
+  // Missed heartbeats are handled like a lost connection
+  if (settings.heartbeat) {
+    this._heartbeat = new Heartbeat(settings.heartbeat, {
+      healthy: () => {
+        _emit(this, 'healthy', this.health());
+      },
+      unhealthy: () => {
+        _emit(this, 'unhealthy', this.health());
+        this[_connectionLost](new Error('heartbeat timed out'));
+      }
+    });
+  }
+
+  if (this._chunking !== null) {
+    this._assembler = new Chunking.Assembler(this._chunking, (channel, raw) => {
+      const err = new Error('incomplete chunked payload');
+
+      err.channel = channel;
+      err.payload = raw;
+      _decodeError(this, err);
+    });
+  }
+
+  if (settings.codecs) {
+    Object.keys(settings.codecs).forEach((channel) => {
+      this._codecs[channel] = Codecs.resolve(settings.codecs[channel]);
+    });
+  }
+
+  if (settings.schemas) {
+    Object.keys(settings.schemas).forEach((channel) => {
+      this._schemas[channel] = Schema.compile(settings.schemas[channel]);
+    });
+  }
+
+  this._pool = null;
+
+  if (_isPool(options)) {
+    this._options = null;
+    this._pool = options;
+    this._connection = null;
+  } else if (_isClient(options)) {
     this._options = null;
     this._connection = options;
     this[_setupConnection]();
@@ -25,78 +171,175 @@ function PgEe (options) {
 
 Util.inherits(PgEe, EventEmitter);
 module.exports = PgEe;
+PgEe.ChannelError = Channels.ChannelError;
+PgEe.ValidationError = Schema.ValidationError;
 
 
 PgEe.prototype.connect = function connect (callback) {
+  const pending = Callbacks.pending(this, callback, 'connect');
+
+  this._closed = false;
+
   if (this._connection !== null) {
-    return _callbackOrEmit(this, callback, 'connect');
+    return pending.done();
   }
 
-  Postgresql.connect(this._options, (err, connection, done) => {
-    if (err) {
-      return _callbackOrEmit(this, callback, 'error', err);
+  // Children are attached once their parent is connected
+  if (this._parent !== null) {
+    this._parent.connect((err) => {
+      pending.done(err);
+    });
+
+    return pending.promise;
+  }
+
+  // Concurrent calls share a single connection attempt
+  if (this._connecting !== null) {
+    this._connecting.push(pending);
+    return pending.promise;
+  }
+
+  this._connecting = [pending];
+
+  // Join the reconnection in progress instead of acquiring another client
+  if (this._reconnectAttempt > 0) {
+    return pending.promise;
+  }
+
+  _acquire(this, (err, connection, done) => {
+    // close() was called while connecting
+    if (!err && this._closed) {
+      done();
+      err = new Error('instance closed');
     }
 
-    this._done = done;
-    this._connection = connection;
-    this[_setupConnection]();
-    _callbackOrEmit(this, callback, 'connect');
+    if (!err) {
+      this._done = done;
+      this._connection = connection;
+      this[_setupConnection]();
+    }
+
+    this[_connected](err);
+    this[_flushed]();
   });
+
+  return pending.promise;
 };
 
 
 PgEe.prototype.listen = function listen (channel, callback) {
+  const pending = Callbacks.pending(this, callback, 'listen');
+
   if (this._connection === null) {
-    const err = new Error('not connected to database');
-    return _callbackOrEmit(this, callback, 'error', err);
+    return pending.done(new Error('not connected to database'));
   }
 
   let listener = null;
+  let codec = null;
+  let schema = null;
+  let since;
+
+  if (Array.isArray(channel)) {
+    return this[_listenMany](channel, pending);
+  }
 
   if (channel !== null && typeof channel === 'object') {
+    if (channel.pattern !== undefined) {
+      return this[_listenPattern](channel, pending);
+    }
+
     listener = channel.listener;
+    codec = channel.codec;
+    schema = channel.schema;
+    since = channel.since;
     channel = channel.channel;
   }
 
   channel = channel + '';
 
+  let serverChannel;
+
+  try {
+    serverChannel = this[_serverChannel](channel);
+  } catch (err) {
+    return pending.done(err);
+  }
+
+  if (since !== undefined && this._outbox === null) {
+    return pending.done(new Error('durable delivery is not enabled'));
+  }
+
+  if (codec) {
+    try {
+      this._codecs[channel] = Codecs.resolve(codec);
+    } catch (err) {
+      return pending.done(err);
+    }
+  }
+
+  if (schema) {
+    try {
+      this._schemas[channel] = Schema.compile(schema);
+    } catch (err) {
+      return pending.done(err);
+    }
+  }
+
   // Don't add duplicates
   if (this._channels.indexOf(channel) !== -1) {
     if (typeof listener === 'function') {
-      this.on(channel, listener);
+      this.notifications.on(channel, listener);
     }
 
-    return _callbackOrEmit(this, callback, 'listen', null, channel);
+    this[_track](channel, since);
+    return pending.done(null, channel);
   }
 
-  this._connection.query(`LISTEN "${channel}"`, (err) => {
+  const started = process.hrtime();
+
+  this[_listenShared]([serverChannel], (err) => {
     if (err) {
-      return _callbackOrEmit(this, callback, 'error', err);
+      return pending.done(err);
     }
 
+    this._metrics.timing('listen', channel, _elapsed(started));
+
     // Check for duplicates that could have been added during query() time
     if (this._channels.indexOf(channel) === -1) {
       this._channels.push(channel);
+      this._metrics.gauge('channels', this._channels.length);
     }
 
     if (typeof listener === 'function') {
-      this.on(channel, listener);
+      this.notifications.on(channel, listener);
     }
 
-    _callbackOrEmit(this, callback, 'listen', null, channel);
+    this[_track](channel, since);
+    pending.done(null, channel);
   });
+
+  return pending.promise;
 };
 
 
 PgEe.prototype.unlisten = function unlisten (channel, callback) {
+  const pending = Callbacks.pending(this, callback, 'unlisten');
+
   if (this._connection === null) {
-    const err = new Error('not connected to database');
-    return _callbackOrEmit(this, callback, 'error', err);
+    return pending.done(new Error('not connected to database'));
   }
 
   let removeListeners = false;
 
+  if (Array.isArray(channel)) {
+    return this[_unlistenMany](channel, pending);
+  }
+
   if (channel !== null && typeof channel === 'object') {
+    if (channel.pattern !== undefined) {
+      return this[_unlistenPattern](channel, pending);
+    }
+
     removeListeners = !!channel.removeListeners;
     channel = channel.channel;
   }
@@ -106,119 +349,1573 @@ PgEe.prototype.unlisten = function unlisten (channel, callback) {
   // Don't try to unlisten on channels that aren't being tracked
   if (this._channels.indexOf(channel) === -1) {
     if (removeListeners) {
-      this.removeAllListeners(channel);
+      this.notifications.removeAllListeners(channel);
     }
 
-    return _callbackOrEmit(this, callback, 'unlisten', null, channel);
+    return pending.done(null, channel);
   }
 
-  this._connection.query(`UNLISTEN "${channel}"`, (err) => {
+  const started = process.hrtime();
+
+  this[_unlistenShared]([this[_serverChannel](channel)], (err) => {
     if (err) {
-      return _callbackOrEmit(this, callback, 'error', err);
+      return pending.done(err);
     }
 
+    this._metrics.timing('unlisten', channel, _elapsed(started));
+
     // Ensure that channel is still in list
     const index = this._channels.indexOf(channel);
 
     if (index !== -1) {
       this._channels.splice(index, 1);
+      this._metrics.gauge('channels', this._channels.length);
     }
 
     if (removeListeners) {
-      this.removeAllListeners(channel);
+      this.notifications.removeAllListeners(channel);
+    }
+
+    pending.done(null, channel);
+  });
+
+  return pending.promise;
+};
+
+
+PgEe.prototype.unlistenAll = function unlistenAll (callback) {
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
+  }
+
+  const channels = this._channels;
+
+  const onUnlisten = (err) => {
+    if (err) {
+      return pending.done(err);
+    }
+
+    // Patterns and the RPC reply channel depend on LISTENs that are now gone
+    this._channels = [];
+    this._patterns = [];
+    this._rpc.reset();
+    this._metrics.gauge('channels', 0);
+    return pending.done(null, channels);
+  };
+
+  // Other instances sharing the connection keep their channels
+  if (this._parent !== null || this._children.length > 0) {
+    this[_unlistenShared](_serverChannels(this, channels), onUnlisten);
+    return pending.promise;
+  }
+
+  this._connection.query('UNLISTEN *', (err) => {
+    if (!err) {
+      this._refs = Object.create(null);
+
+      if (this._heartbeat !== null) {
+        this._heartbeat.restore();
+      }
+    }
+
+    onUnlisten(err);
+  });
+
+  return pending.promise;
+};
+
+
+// Sends the LISTEN for every new channel in a single batch. Each channel gets
+// a result, so that invalid names do not prevent the others from being
+// listened.
+PgEe.prototype[_listenMany] = function listenMany (channels, pending) {
+  const results = [];
+  const batch = _batch(this, channels, results, (channel) => {
+    return this._channels.indexOf(channel) === -1;
+  });
+
+  if (batch.length === 0) {
+    return pending.done(null, results);
+  }
+
+  const serverChannels = batch.map((entry) => {
+    return entry.serverChannel;
+  });
+  const started = process.hrtime();
+
+  this[_listenShared](serverChannels, (err) => {
+    const elapsed = _elapsed(started);
+
+    for (let i = 0; i < batch.length; ++i) {
+      const channel = batch[i].channel;
+
+      if (err) {
+        _fail(batch[i].results, err);
+        continue;
+      }
+
+      this._metrics.timing('listen', channel, elapsed);
+
+      if (this._channels.indexOf(channel) === -1) {
+        this._channels.push(channel);
+      }
+    }
+
+    this._metrics.gauge('channels', this._channels.length);
+    pending.done(null, results);
+  });
+
+  return pending.promise;
+};
+
+
+PgEe.prototype[_unlistenMany] = function unlistenMany (channels, pending) {
+  const results = [];
+  const batch = _batch(this, channels, results, (channel) => {
+    return this._channels.indexOf(channel) !== -1;
+  });
+
+  if (batch.length === 0) {
+    return pending.done(null, results);
+  }
+
+  const serverChannels = batch.map((entry) => {
+    return entry.serverChannel;
+  });
+  const started = process.hrtime();
+
+  this[_unlistenShared](serverChannels, (err) => {
+    const elapsed = _elapsed(started);
+
+    for (let i = 0; i < batch.length; ++i) {
+      const channel = batch[i].channel;
+
+      if (err) {
+        _fail(batch[i].results, err);
+        continue;
+      }
+
+      this._metrics.timing('unlisten', channel, elapsed);
+
+      const index = this._channels.indexOf(channel);
+
+      if (index !== -1) {
+        this._channels.splice(index, 1);
+      }
+    }
+
+    this._metrics.gauge('channels', this._channels.length);
+    pending.done(null, results);
+  });
+
+  return pending.promise;
+};
+
+
+PgEe.prototype[_listenPattern] = function listenPattern (options, pending) {
+  const channels = (options.channels || []).map((channel) => {
+    return channel + '';
+  });
+  let regexp;
+
+  try {
+    regexp = Patterns.compile(options.pattern);
+  } catch (err) {
+    return pending.done(err);
+  }
+
+  if (typeof options.listener !== 'function') {
+    return pending.done(new TypeError('pattern listener must be a function'));
+  }
+
+  const next = (index) => {
+    if (index === channels.length) {
+      this._patterns.push({
+        pattern: options.pattern,
+        regexp: regexp,
+        listener: options.listener,
+        channels: channels
+      });
+
+      return pending.done(null, channels);
+    }
+
+    this.listen(channels[index], (err) => {
+      if (err) {
+        return pending.done(err);
+      }
+
+      next(index + 1);
+    });
+  };
+
+  next(0);
+  return pending.promise;
+};
+
+
+PgEe.prototype[_unlistenPattern] = function unlistenPattern (options,
+                                                            pending) {
+  const removed = [];
+
+  this._patterns = this._patterns.filter((entry) => {
+    if (!Patterns.same(entry.pattern, options.pattern) ||
+        (typeof options.listener === 'function' &&
+         entry.listener !== options.listener)) {
+      return true;
     }
 
-    _callbackOrEmit(this, callback, 'unlisten', null, channel);
+    removed.push(entry);
+    return false;
   });
+
+  // UNLISTEN declared channels that nothing else depends on
+  const channels = [];
+
+  removed.forEach((entry) => {
+    entry.channels.forEach((channel) => {
+      if (channels.indexOf(channel) === -1 &&
+          this.notifications.listenerCount(channel) === 0 &&
+          !this._patterns.some((other) => {
+            return other.channels.indexOf(channel) !== -1;
+          })) {
+        channels.push(channel);
+      }
+    });
+  });
+
+  const next = (index) => {
+    if (index === channels.length) {
+      return pending.done(null, channels);
+    }
+
+    this.unlisten(channels[index], (err) => {
+      if (err) {
+        return pending.done(err);
+      }
+
+      next(index + 1);
+    });
+  };
+
+  next(0);
+  return pending.promise;
 };
 
 
 PgEe.prototype.emit = function emit (event, message) {
+  if (this._standardEmit) {
+    return EventEmitter.prototype.emit.apply(this, arguments);
+  }
+
   if (event === 'error') {
     return _emit(this, event, message);
   }
 
+  // Failures are emitted rather than returned as a Promise nobody handles
+  this.notify(event, message, (err) => {
+    if (err) {
+      _emit(this, 'error', err);
+    }
+  });
+};
+
+
+PgEe.prototype.notify = function notify (channel, message, callback) {
+  if (Array.isArray(channel)) {
+    callback = message;
+  }
+
+  const pending = Callbacks.pending(this, callback, null);
+  const notifications = _notifications(channel, message);
+
   if (this._connection === null) {
-    return _emit(this, 'error', new Error('not connected to database'));
+    // Sent once connected, unless the instance was closed
+    if (this._buffer !== null && !this._closed) {
+      this._buffer.add({ notifications: notifications, pending: pending },
+                       pending.done);
+      return pending.promise;
+    }
+
+    return pending.done(new Error('not connected to database'));
+  }
+
+  return this[_sendNotify](this._connection, notifications, pending);
+};
+
+
+PgEe.prototype.notifyWith = function notifyWith (client, channel, message,
+                                                 callback) {
+  if (Array.isArray(channel)) {
+    callback = message;
+  }
+
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (client === null || typeof client !== 'object' ||
+      typeof client.query !== 'function') {
+    return pending.done(new TypeError('client must be a pg client'));
+  }
+
+  return this[_sendNotify](client, _notifications(channel, message), pending);
+};
+
+
+PgEe.prototype[_sendNotify] = function sendNotify (client, notifications,
+                                                   pending) {
+  if (notifications.length === 0) {
+    return pending.done(null);
   }
 
-  const sql = 'SELECT pg_notify($1, $2)';
-  const params = [event, JSON.stringify(message)];
+  let query;
+
+  try {
+    query = this[_buildNotify](notifications);
+  } catch (err) {
+    this._metrics.notifyError();
+    return pending.done(err);
+  }
+
+  // Notifications sent on the connection of the instance are counted, so that
+  // a graceful close() can wait for them
+  const own = client === this._connection;
+
+  if (own) {
+    ++this._inflight;
+  }
 
-  this._connection.query(sql, params, (err) => {
+  client.query(query.sql, query.params, (err) => {
     if (err) {
-      _emit(this, 'error', err);
+      this._metrics.notifyError();
+      pending.done(err);
+    } else {
+      for (let i = 0; i < query.sent.length; ++i) {
+        this._metrics.sent(query.sent[i].channel, query.sent[i].bytes);
+      }
+
+      pending.done(null);
+    }
+
+    if (own && --this._inflight === 0) {
+      this[_drained]();
     }
   });
+
+  return pending.promise;
 };
 
 
-PgEe.prototype.close = function close () {
-  if (this._connection === null) {
-    return;
+// Builds a single statement for all notifications, so that they are sent in
+// one round trip and delivered together
+PgEe.prototype[_buildNotify] = function buildNotify (notifications) {
+  const calls = [];
+  const params = [];
+  const sent = [];
+
+  if (this._outbox !== null) {
+    for (let i = 0; i < notifications.length; ++i) {
+      const channel = notifications[i].channel + '';
+      const payload = _encode(this, channel, notifications[i]);
+
+      params.push(this[_serverChannel](channel), payload);
+      sent.push({ channel: channel, bytes: _byteLength(payload) });
+    }
+
+    return {
+      sql: this._outbox.notifySql(notifications.length),
+      params: params,
+      sent: sent
+    };
   }
 
-  if (typeof this._done === 'function') {
-    this._done();
+  for (let i = 0; i < notifications.length; ++i) {
+    const channel = notifications[i].channel + '';
+    let payloads = [_encode(this, channel, notifications[i])];
+
+    sent.push({ channel: channel, bytes: _byteLength(payloads[0]) });
+
+    if (this._chunking !== null) {
+      payloads = Chunking.split(payloads[0], this._chunking.maxBytes);
+    }
+
+    params.push(this[_serverChannel](channel));
+
+    const channelIndex = params.length;
+
+    for (let j = 0; j < payloads.length; ++j) {
+      params.push(payloads[j]);
+      calls.push(`pg_notify($${channelIndex}, $${params.length})`);
+    }
   }
 
-  this.removeAllListeners();
-  this[_tearDownConnection]();
-  this._channels = [];
-  this._connection = null;
-  this._done = null;
+  return { sql: `SELECT ${calls.join(', ')}`, params: params, sent: sent };
 };
 
 
-PgEe.prototype[_setupConnection] = function _setupConnection () {
-  const connection = this._connection;
+PgEe.prototype.createOutbox = function createOutbox (callback) {
+  const pending = Callbacks.pending(this, callback, null);
 
-  const connectionOnError = (err) => {
-    _emit(this, 'error', err);
-  };
+  if (this._outbox === null) {
+    return pending.done(new Error('durable delivery is not enabled'));
+  }
 
-  const connectionOnNotification = (notification) => {
-    const channel = notification.channel;
-    let payload = notification.payload;
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
+  }
 
-    try {
-      payload = JSON.parse(payload);
-    } finally {
-      _emit(this, channel, payload);
+  this._connection.query(this._outbox.createSql(), (err) => {
+    if (err) {
+      return pending.done(err);
     }
-  };
 
-  connection.on('error', connectionOnError);
-  connection.on('notification', connectionOnNotification);
-  this[_tearDownConnection] = () => {
-    connection.removeListener('error', connectionOnError);
-    connection.removeListener('notification', connectionOnNotification);
-  };
+    pending.done(null);
+  });
+
+  return pending.promise;
 };
 
 
-function _emit (context, event, message) {
-  return EventEmitter.prototype.emit.call(context, event, message);
-}
+PgEe.prototype.position = function position (channel) {
+  const state = this._positions[channel + ''];
+
+  return state === undefined ? null : state.id;
+};
+
 
+PgEe.prototype.subscribe = function subscribe (channel, options) {
+  return new Subscription(this, channel, options);
+};
 
-function _callbackOrEmit (context, callback, event /*, ...args */) {
-  let fn;
-  let offset;
 
-  if (typeof callback === 'function') {
-    fn = callback;
-    offset = 3;
-  } else {
-    fn = EventEmitter.prototype.emit;
-    offset = 2;
+PgEe.prototype.queue = function queue (name, options) {
+  return new Queue(this, name, options);
+};
+
+
+PgEe.prototype.bridge = function bridge (options) {
+  return new Bridge(this, options);
+};
+
+
+PgEe.prototype.request = function request (channel, payload, options,
+                                           callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  const pending = Callbacks.pending(this, callback, null);
+  const timeout = (options && options.timeout) || Rpc.DEFAULT_TIMEOUT;
+
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
+  }
+
+  this._requestChannels[channel + ''] = true;
+  this._rpc.request(channel + '', payload, timeout, pending.done);
+  return pending.promise;
+};
+
+
+PgEe.prototype.respond = function respond (channel, handler, callback) {
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
   }
 
-  const args = new Array(arguments.length - offset);
+  this._requestChannels[channel + ''] = true;
+  this._rpc.respond(channel + '', handler, pending.done);
+  return pending.promise;
+};
+
 
-  for (let i = offset; i < arguments.length; ++i) {
-    args[i - offset] = arguments[i];
+PgEe.prototype.watchTable = function watchTable (table, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
   }
 
-  return fn.apply(context, args);
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
+  }
+
+  let watch;
+
+  let serverChannel;
+
+  try {
+    watch = new TableWatch(table, options);
+    serverChannel = this[_serverChannel](watch.channel);
+  } catch (err) {
+    return pending.done(err);
+  }
+
+  const install = (key) => {
+    this._connection.query(watch.installSql(key, serverChannel), (err) => {
+      if (err) {
+        return pending.done(err);
+      }
+
+      // The trigger always produces JSON, whatever the instance's codec
+      const listener = options && options.listener;
+
+      this.listen({ channel: watch.channel, codec: 'json', listener: listener },
+                  (err) => {
+                    if (err) {
+                      return pending.done(err);
+                    }
+
+                    this._watches[watch.table] = watch;
+                    pending.done(null, watch.channel);
+                  });
+    });
+  };
+
+  if (watch.key !== null) {
+    install(watch.key);
+    return pending.promise;
+  }
+
+  this._connection.query(watch.keySql(), [watch.name], (err, result) => {
+    if (err) {
+      return pending.done(err);
+    }
+
+    if (result.rows.length === 0) {
+      return pending.done(new Error(`table ${table} has no primary key`));
+    }
+
+    install(result.rows.map((row) => {
+      return row.attname;
+    }));
+  });
+
+  return pending.promise;
+};
+
+
+PgEe.prototype.unwatchTable = function unwatchTable (table, callback) {
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (this._connection === null) {
+    return pending.done(new Error('not connected to database'));
+  }
+
+  let watch = this._watches[table];
+
+  if (watch === undefined) {
+    try {
+      watch = new TableWatch(table);
+    } catch (err) {
+      return pending.done(err);
+    }
+  }
+
+  this._connection.query(watch.uninstallSql(), (err) => {
+    if (err) {
+      return pending.done(err);
+    }
+
+    delete this._watches[watch.table];
+    this.unlisten({ channel: watch.channel, removeListeners: true }, (err) => {
+      if (err) {
+        return pending.done(err);
+      }
+
+      pending.done(null, watch.channel);
+    });
+  });
+
+  return pending.promise;
+};
+
+
+PgEe.prototype.health = function health () {
+  const heartbeat = this._heartbeat;
+  const connected = this._connection !== null;
+
+  return {
+    connected: connected,
+    reconnecting: this._reconnectTimer !== null,
+    healthy: connected && (heartbeat === null || heartbeat.healthy),
+    latency: heartbeat === null ? null : heartbeat.latency,
+    lastHeartbeat: heartbeat === null ? null : heartbeat.lastHeartbeat,
+    missed: heartbeat === null ? 0 : heartbeat.missed,
+    channels: this._channels.slice()
+  };
+};
+
+
+PgEe.prototype.stats = function stats () {
+  return Object.assign({
+    connected: this._connection !== null,
+    reconnecting: this._reconnectTimer !== null,
+    channels: this._channels.length,
+    buffered: this._buffer === null ? 0 : this._buffer.size()
+  }, this._metrics.snapshot());
+};
+
+
+PgEe.shared = function shared (options, settings) {
+  const key = _sharedKey(options);
+  let instance = sharedInstances.get(key);
+
+  if (instance === undefined) {
+    instance = new PgEe(options, settings);
+    instance._shared = key;
+    sharedInstances.set(key, instance);
+  }
+
+  return instance.handle();
+};
+
+
+PgEe.createMemoryBroker = function createMemoryBroker (options) {
+  return new MemoryBroker(options);
+};
+
+
+PgEe.prototype.child = function child (namespace) {
+  if (typeof namespace !== 'string' || namespace === '') {
+    throw new TypeError('namespace must be a non-empty string');
+  }
+
+  return _share(this, this._prefix + namespace);
+};
+
+
+PgEe.prototype.handle = function handle () {
+  return _share(this, this._namespace || undefined);
+};
+
+
+PgEe.prototype.close = function close (options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (options && options.graceful) {
+    // Release the connection once the notifications being sent are done
+    if (this._inflight > 0) {
+      this._drainWaiters.push(() => {
+        this.close(pending.done);
+      });
+
+      return pending.promise;
+    }
+
+    // Buffered notifications are sent once connected, unless connecting
+    // fails, and a connection still being acquired is released afterwards
+    if (this._connecting !== null ||
+        (this._reconnectAttempt > 0 && this._buffer !== null &&
+         this._buffer.size() > 0)) {
+      this._drainWaiters.push(() => {
+        this.close(options, pending.done);
+      });
+
+      return pending.promise;
+    }
+  }
+
+  const reconnecting = this._reconnectTimer !== null;
+  const children = this._children.slice();
+  const parent = this._parent;
+
+  this._closed = true;
+
+  if (this._buffer !== null) {
+    this._buffer.clear(new Error('instance closed'));
+  }
+
+  if (this._shared !== null) {
+    sharedInstances.delete(this._shared);
+    this._shared = null;
+  }
+
+  for (let i = 0; i < children.length; ++i) {
+    children[i].close();
+  }
+
+  if (parent !== null) {
+    parent._children.splice(parent._children.indexOf(this), 1);
+
+    // The shared connection stays open, so remove the LISTENs that no other
+    // instance needs
+    if (this._connection !== null && this._channels.length > 0) {
+      this[_unlistenShared](_serverChannels(this, this._channels), () => {});
+    }
+
+    // Instances created by PgEe.shared() close with their last handle
+    if (parent._shared !== null && parent._children.length === 0) {
+      parent.close();
+    }
+  }
+
+  if (this._connection === null && !reconnecting) {
+    return pending.done(null);
+  }
+
+  if (reconnecting) {
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    this._reconnectAttempt = 0;
+    this[_connected](new Error('instance closed'));
+  } else {
+    this[_tearDownConnection]();
+
+    if (typeof this._done === 'function') {
+      this._done();
+    }
+  }
+
+  this.removeAllListeners();
+  this.notifications.removeAllListeners();
+
+  if (this._assembler !== null) {
+    this._assembler.clear();
+  }
+  this._channels = [];
+  this._metrics.gauge('channels', 0);
+  this._refs = Object.create(null);
+  this._patterns = [];
+  Object.keys(this._positions).forEach((channel) => {
+    _untrack(this, channel);
+  });
+  this._watches = Object.create(null);
+  this._connection = null;
+  this._done = null;
+
+  // Fail pending requests, complete any pending iterations, and stop
+  // processing queues
+  this._rpc.close();
+
+  const subscriptions = this._subscriptions.slice();
+  const queues = this._queues.slice();
+
+  for (let i = 0; i < subscriptions.length; ++i) {
+    subscriptions[i].return();
+  }
+
+  for (let i = 0; i < queues.length; ++i) {
+    queues[i].stop();
+  }
+
+  return pending.done(null);
+};
+
+
+PgEe.prototype[_setupConnection] = function _setupConnection () {
+  const connection = this._connection;
+
+  const connectionOnError = (err) => {
+    _emit(this, 'error', err);
+    this[_connectionLost](err);
+  };
+
+  const connectionOnEnd = () => {
+    this[_connectionLost](new Error('connection terminated'));
+  };
+
+  const connectionOnNotification = (notification) => {
+    let payload = notification.payload;
+    const heartbeat = _owner(this)._heartbeat;
+
+    // Heartbeats are consumed by the owner of the connection alone
+    if (heartbeat !== null && heartbeat.isBeat(notification.channel)) {
+      if (heartbeat === this._heartbeat) {
+        heartbeat.receive(payload);
+      }
+
+      return;
+    }
+
+    const channel = this[_localChannel](notification.channel);
+
+    if (channel === null) {
+      return;
+    }
+
+    this._metrics.received(channel, _byteLength(payload));
+
+    if (this._ignoreSelf && notification.processId === connection.processID) {
+      return;
+    }
+
+    if (this._outbox !== null && Outbox.isWakeUp(payload)) {
+      return this[_wakeUp](channel, payload);
+    }
+
+    if (this._assembler !== null && Chunking.isFragment(payload)) {
+      try {
+        payload = this._assembler.add(notification.processId, channel, payload);
+      } catch (err) {
+        err.channel = channel;
+        err.payload = payload;
+        return _decodeError(this, err);
+      }
+
+      if (payload === null) {
+        return;
+      }
+    }
+
+    this[_deliver](channel, payload, notification.processId, null);
+  };
+
+  // Children only handle notifications, their parent handles the connection
+  if (this._parent === null) {
+    connection.on('error', connectionOnError);
+    connection.on('end', connectionOnEnd);
+  }
+
+  connection.on('notification', connectionOnNotification);
+
+  if (this._heartbeat !== null) {
+    this._heartbeat.start(connection);
+  }
+
+  this._metrics.gauge('connected', 1);
+
+  for (let i = 0; i < this._children.length; ++i) {
+    this._children[i][_attach](connection);
+  }
+
+  // Send the notifications issued while disconnected, in order
+  if (this._buffer !== null) {
+    this._buffer.drain().forEach((entry) => {
+      this[_sendNotify](connection, entry.notifications, entry.pending);
+    });
+  }
+
+  this[_tearDownConnection] = () => {
+    if (this._heartbeat !== null) {
+      this._heartbeat.stop();
+    }
+
+    this._metrics.gauge('connected', 0);
+
+    for (let i = 0; i < this._children.length; ++i) {
+      this._children[i][_detach]();
+    }
+
+    connection.removeListener('error', connectionOnError);
+    connection.removeListener('end', connectionOnEnd);
+    connection.removeListener('notification', connectionOnNotification);
+  };
+};
+
+
+PgEe.prototype[_deliver] = function deliver (channel, raw, processId, id) {
+  let payload;
+
+  try {
+    payload = _codecFor(this, channel).decode(raw);
+  } catch (err) {
+    err.channel = channel;
+    err.payload = raw;
+    return _decodeError(this, err);
+  }
+
+  // Invalid payloads never reach the listeners of the channel
+  const validated = _validated(this, channel, payload);
+  const errors = _validate(this, channel, validated);
+
+  if (errors.length > 0) {
+    const err = Schema.validationError(channel, validated, errors);
+
+    err.processId = processId;
+    return _emit(this, 'invalid', err);
+  }
+
+  if (this._envelope) {
+    payload = {
+      channel: channel,
+      payload: payload,
+      processId: processId,
+      receivedAt: new Date(),
+      raw: raw,
+      id: id
+    };
+  }
+
+  _emit(this.notifications, channel, payload);
+
+  const patterns = this._patterns;
+
+  for (let i = 0; i < patterns.length; ++i) {
+    if (Patterns.matches(patterns[i].regexp, channel)) {
+      patterns[i].listener(payload, channel);
+    }
+  }
+};
+
+
+// Returns the name of a channel on the server, including the namespace, and
+// remembers hashed names so that their notifications can be mapped back
+PgEe.prototype[_serverChannel] = function serverChannel (channel) {
+  const full = this._prefix + channel;
+  const name = Channels.normalize(full, this._hashLongChannels);
+
+  if (name !== full) {
+    this._aliases[name] = full;
+  }
+
+  return name;
+};
+
+
+// Returns the name used by the caller for a channel on the server, or null
+// for channels outside of the namespace, or inside the namespace of a child
+PgEe.prototype[_localChannel] = function localChannel (name) {
+  const channel = this._aliases[name] || name;
+
+  // Handles share the namespace of their parent
+  for (let i = 0; i < this._children.length; ++i) {
+    const prefix = this._children[i]._prefix;
+
+    if (prefix !== this._prefix && channel.indexOf(prefix) === 0) {
+      return null;
+    }
+  }
+
+  if (channel.indexOf(this._prefix) !== 0) {
+    return null;
+  }
+
+  return channel.slice(this._prefix.length);
+};
+
+
+// Shares the connection of the parent, and replays the LISTEN of every
+// tracked channel after the parent reconnected
+PgEe.prototype[_attach] = function attach (connection) {
+  this[_detach]();
+  this._connection = connection;
+  this[_setupConnection]();
+
+  if (this._channels.length === 0) {
+    return;
+  }
+
+  this[_listenShared](_serverChannels(this, this._channels), (err) => {
+    if (err) {
+      return _emit(this, 'error', err);
+    }
+
+    this._channels.forEach((channel) => {
+      if (this._positions[channel] !== undefined) {
+        this[_fetchDurable](channel);
+      }
+    });
+  });
+};
+
+
+PgEe.prototype[_detach] = function detach () {
+  if (this._connection !== null) {
+    this[_tearDownConnection]();
+    this._connection = null;
+  }
+};
+
+
+PgEe.prototype[_drained] = function drained () {
+  const waiters = this._drainWaiters;
+
+  this._drainWaiters = [];
+
+  for (let i = 0; i < waiters.length; ++i) {
+    waiters[i]();
+  }
+};
+
+
+// Settles the connect() calls waiting for a connection or reconnection
+PgEe.prototype[_connected] = function connected (err) {
+  const waiting = this._connecting;
+
+  this._connecting = null;
+
+  if (waiting === null) {
+    return;
+  }
+
+  for (let i = 0; i < waiting.length; ++i) {
+    if (err) {
+      waiting[i].done(err);
+    } else {
+      waiting[i].done();
+    }
+  }
+};
+
+
+// Resumes a graceful close() waiting for a connection or reconnection, once
+// the buffered notifications it sent are done
+PgEe.prototype[_flushed] = function flushed () {
+  if (this._inflight === 0) {
+    this[_drained]();
+  }
+};
+
+
+// LISTENs are counted on the instance that owns the connection, so that a
+// channel is listened once for all the instances sharing it
+PgEe.prototype[_listenShared] = function listenShared (serverChannels,
+                                                      callback) {
+  const refs = _owner(this)._refs;
+  const sql = serverChannels.filter((name) => {
+    return refs[name] === undefined;
+  }).map((name) => {
+    return `LISTEN ${Sql.quoteIdentifier(name)}`;
+  }).join('; ');
+
+  const onListen = (err) => {
+    if (!err) {
+      serverChannels.forEach((name) => {
+        refs[name] = (refs[name] || 0) + 1;
+      });
+    }
+
+    callback(err);
+  };
+
+  if (sql === '') {
+    return onListen(null);
+  }
+
+  this._connection.query(sql, onListen);
+};
+
+
+// Releases one reference to each channel, and UNLISTENs the channels that no
+// instance sharing the connection needs anymore
+PgEe.prototype[_unlistenShared] = function unlistenShared (serverChannels,
+                                                          callback) {
+  const refs = _owner(this)._refs;
+  const released = [];
+
+  serverChannels.forEach((name) => {
+    if (refs[name] > 1) {
+      refs[name]--;
+    } else {
+      delete refs[name];
+      released.push(name);
+    }
+  });
+
+  if (released.length === 0) {
+    return callback(null);
+  }
+
+  const sql = released.map((name) => {
+    return `UNLISTEN ${Sql.quoteIdentifier(name)}`;
+  }).join('; ');
+
+  this._connection.query(sql, (err) => {
+    // The channels are still listened
+    if (err) {
+      released.forEach((name) => {
+        refs[name] = (refs[name] || 0) + 1;
+      });
+    }
+
+    callback(err);
+  });
+};
+
+
+// Starts tracking the outbox position of a channel. If a position is given,
+// messages stored after it are replayed.
+PgEe.prototype[_track] = function track (channel, since) {
+  if (since === undefined) {
+    return;
+  }
+
+  _untrack(this, channel);
+  this._positions[channel] = _position(Number(since), Number(since));
+  this[_fetchDurable](channel);
+};
+
+
+PgEe.prototype[_wakeUp] = function wakeUp (channel, payload) {
+  let id;
+
+  try {
+    id = Outbox.wakeUpId(payload);
+  } catch (err) {
+    err.channel = channel;
+    err.payload = payload;
+    return _decodeError(this, err);
+  }
+
+  if (this._positions[channel] === undefined) {
+    this._positions[channel] = _position(0, id);
+  }
+
+  this[_fetchDurable](channel);
+};
+
+
+PgEe.prototype[_fetchDurable] = function fetchDurable (channel) {
+  const state = this._positions[channel];
+  const outbox = this._outbox;
+
+  if (state.fetching) {
+    state.again = true;
+    return;
+  }
+
+  if (this._connection === null) {
+    return;
+  }
+
+  state.fetching = true;
+  state.again = false;
+
+  // Resolve the transaction id of the position first
+  if (state.xid === null) {
+    this._connection.query(outbox.positionSql(), [state.anchor], (err, result) => {
+      if (this._positions[channel] !== state) {
+        return;
+      }
+
+      state.fetching = false;
+
+      if (err) {
+        return _emit(this, 'error', err);
+      }
+
+      state.xid = result.rows[0].xid;
+      this[_fetchDurable](channel);
+    });
+
+    return;
+  }
+
+  const params = [
+    this[_serverChannel](channel),
+    state.xid,
+    state.id,
+    outbox.batchSize
+  ];
+
+  this._connection.query(outbox.fetchSql(), params, (err, result) => {
+    // The instance was closed, or the position was replaced
+    if (this._positions[channel] !== state) {
+      return;
+    }
+
+    if (err) {
+      state.fetching = false;
+      return _emit(this, 'error', err);
+    }
+
+    const rows = result.rows;
+    let held = false;
+
+    // Wake-ups triggered by listeners are deferred until the batch is done
+    for (let i = 0; i < rows.length; ++i) {
+      if (!rows[i].settled) {
+        held = true;
+        break;
+      }
+
+      state.id = Number(rows[i].id);
+      state.xid = rows[i].xid;
+      this[_deliver](channel, rows[i].payload, null, state.id);
+    }
+
+    state.fetching = false;
+
+    // Nothing wakes up the channel when the transactions holding back a
+    // message end, so poll until it is settled
+    if (held && state.timer === null) {
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        this[_fetchDurable](channel);
+      }, outbox.pollInterval);
+      state.timer.unref();
+    }
+
+    if (state.again || (!held && rows.length === outbox.batchSize)) {
+      this[_fetchDurable](channel);
+    }
+  });
+};
+
+
+PgEe.prototype[_connectionLost] = function _connectionLost (err) {
+  // Connections passed to the constructor cannot be re-established
+  if (this._reconnect === null || this._connection === null ||
+      (this._options === null && this._pool === null)) {
+    return;
+  }
+
+  this[_tearDownConnection]();
+
+  // Destroy the broken client instead of returning it to a pool
+  this._done(err);
+
+  this._connection = null;
+  this._done = null;
+  this._reconnectAttempt = 0;
+  this[_scheduleReconnect]();
+};
+
+
+PgEe.prototype[_scheduleReconnect] = function scheduleReconnect () {
+  const settings = this._reconnect;
+  const attempt = ++this._reconnectAttempt;
+
+  if (attempt > settings.retries) {
+    const err = new Error('unable to reconnect to database');
+
+    this._reconnectAttempt = 0;
+    this[_connected](err);
+    _emit(this, 'error', err);
+    return this[_flushed]();
+  }
+
+  const delay = _backoff(settings, attempt);
+
+  this._reconnectTimer = setTimeout(() => {
+    _acquire(this, (err, connection, done) => {
+      // close() was called while connecting
+      if (this._reconnectTimer === null) {
+        return done();
+      }
+
+      if (err) {
+        return this[_scheduleReconnect]();
+      }
+
+      // Replay the LISTEN for every tracked channel
+      const sql = this._channels.map((channel) => {
+        return `LISTEN ${Sql.quoteIdentifier(this[_serverChannel](channel))}`;
+      }).join('; ');
+
+      const onListen = (err) => {
+        if (this._reconnectTimer === null) {
+          return done();
+        }
+
+        if (err) {
+          done(err);
+          return this[_scheduleReconnect]();
+        }
+
+        this._reconnectTimer = null;
+        this._reconnectAttempt = 0;
+        this._refs = Object.create(null);
+        this._channels.forEach((channel) => {
+          this._refs[this[_serverChannel](channel)] = 1;
+        });
+        this._done = done;
+        this._connection = connection;
+        this[_setupConnection]();
+        this[_connected](null);
+        this[_flushed]();
+
+        // Replay durable messages stored while disconnected
+        this._channels.forEach((channel) => {
+          if (this._positions[channel] !== undefined) {
+            this[_fetchDurable](channel);
+          }
+        });
+
+        _emit(this, 'reconnected', { attempt: attempt });
+      };
+
+      if (sql === '') {
+        return onListen(null);
+      }
+
+      connection.query(sql, onListen);
+    });
+  }, delay);
+
+  _emit(this, 'reconnecting', { attempt: attempt, delay: delay });
+};
+
+
+function _isPool (options) {
+  return options instanceof Postgresql.Pool ||
+         (options !== null && typeof options === 'object' &&
+          typeof options.connect === 'function' &&
+          typeof options.totalCount === 'number');
+}
+
+
+function _isClient (options) {
+  return options instanceof Postgresql.Client ||
+         (options !== null && typeof options === 'object' &&
+          typeof options.query === 'function');
+}
+
+
+// Checks out a dedicated client from the pool, or connects a new client. The
+// returned done() function releases the client, destroying it on error.
+function _acquire (context, callback) {
+  if (context._pool !== null) {
+    return context._pool.connect((err, client, release) => {
+      if (err) {
+        return callback(err, client, release || (() => {}));
+      }
+
+      callback(null, client, (err) => {
+        if (err) {
+          return release(err);
+        }
+
+        // The next borrower of the client must not receive our notifications
+        client.query('UNLISTEN *', (err) => {
+          release(err);
+        });
+      });
+    });
+  }
+
+  const client = new Postgresql.Client(context._options);
+
+  client.connect((err) => {
+    if (err) {
+      return callback(err, null, () => {});
+    }
+
+    callback(null, client, () => {
+      client.end();
+    });
+  });
+}
+
+
+// The transaction id of a position is looked up from the row with the anchor
+// id before fetching
+function _position (id, anchor) {
+  return {
+    id: id,
+    xid: null,
+    anchor: anchor,
+    fetching: false,
+    again: false,
+    timer: null
+  };
+}
+
+
+function _untrack (context, channel) {
+  const state = context._positions[channel];
+
+  if (state !== undefined) {
+    clearTimeout(state.timer);
+    delete context._positions[channel];
+  }
+}
+
+
+function _reconnectSettings (reconnect) {
+  if (!reconnect) {
+    return null;
+  }
+
+  const settings = Object.assign({}, reconnectDefaults);
+
+  if (typeof reconnect === 'object') {
+    Object.assign(settings, reconnect);
+  }
+
+  return settings;
+}
+
+
+function _chunkingSettings (chunking) {
+  if (!chunking) {
+    return null;
+  }
+
+  return Object.assign({ maxBytes: Chunking.MAX_PAYLOAD_BYTES },
+                       typeof chunking === 'object' ? chunking : {});
+}
+
+
+function _backoff (settings, attempt) {
+  const delay = Math.min(settings.maxDelay,
+                         settings.minDelay *
+                         Math.pow(settings.factor, attempt - 1));
+
+  return Math.round(delay * (1 - settings.jitter * Math.random()));
+}
+
+
+// Creates an instance sharing the connection of context. The parent owns the
+// connection, its reconnection and its heartbeat.
+function _share (context, namespace) {
+  const instance = new PgEe(null, Object.assign({}, context._settings, {
+    namespace: namespace,
+    reconnect: false,
+    heartbeat: false
+  }));
+
+  instance._parent = context;
+  context._children.push(instance);
+
+  if (context._connection !== null) {
+    instance[_attach](context._connection);
+  }
+
+  return instance;
+}
+
+
+function _owner (context) {
+  while (context._parent !== null) {
+    context = context._parent;
+  }
+
+  return context;
+}
+
+
+// Connection strings and configurations are compared by value, pools and
+// clients by identity
+function _sharedKey (options) {
+  if (options === null || typeof options !== 'object' ||
+      _isPool(options) || _isClient(options)) {
+    return options;
+  }
+
+  return JSON.stringify(options);
+}
+
+
+function _serverChannels (context, channels) {
+  return channels.map((channel) => {
+    return context[_serverChannel](channel);
+  });
+}
+
+
+function _fail (results, err) {
+  for (let i = 0; i < results.length; ++i) {
+    results[i].error = err;
+  }
+}
+
+
+// Validates a list of channels, recording a result for each one, and returns
+// the distinct channels that need a query
+function _batch (context, channels, results, needsQuery) {
+  const batch = [];
+
+  for (let i = 0; i < channels.length; ++i) {
+    const result = { channel: channels[i] + '', error: null };
+    let serverChannel;
+
+    results.push(result);
+
+    try {
+      serverChannel = context[_serverChannel](result.channel);
+    } catch (err) {
+      result.error = err;
+      continue;
+    }
+
+    const entry = batch.filter((other) => {
+      return other.channel === result.channel;
+    })[0];
+
+    if (entry !== undefined) {
+      entry.results.push(result);
+    } else if (needsQuery(result.channel)) {
+      batch.push({
+        channel: result.channel,
+        serverChannel: serverChannel,
+        results: [result]
+      });
+    }
+  }
+
+  return batch;
+}
+
+
+function _notifications (channel, message) {
+  if (Array.isArray(channel)) {
+    return channel;
+  }
+
+  return [{ channel: channel, message: message }];
+}
+
+
+function _codecFor (context, channel) {
+  return context._codecs[channel] || context._codec;
+}
+
+
+function _validate (context, channel, payload) {
+  const validate = context._schemas[channel];
+
+  return validate === undefined ? [] : validate(payload);
+}
+
+
+// The schema of an RPC channel describes the payload of its requests, rather
+// than the { id, replyTo, payload } message carrying it
+function _validated (context, channel, message) {
+  if (context._requestChannels[channel] === true && Rpc.isRequest(message)) {
+    return message.payload;
+  }
+
+  return message;
+}
+
+
+// Outgoing payloads are validated before anything is sent. A notification
+// may name a codec that replaces the one of its channel.
+function _encode (context, channel, notification) {
+  const message = notification.message;
+  const validated = _validated(context, channel, message);
+  const errors = _validate(context, channel, validated);
+
+  if (errors.length > 0) {
+    throw Schema.validationError(channel, validated, errors);
+  }
+
+  const codec = notification.codec ? Codecs.resolve(notification.codec) :
+                                     _codecFor(context, channel);
+
+  return codec.encode(message);
+}
+
+
+function _byteLength (payload) {
+  return typeof payload === 'string' ? Buffer.byteLength(payload) : 0;
+}
+
+
+function _elapsed (started) {
+  const elapsed = process.hrtime(started);
+
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+
+function _decodeError (context, err) {
+  context._metrics.decodeError(err.channel);
+  return _emit(context, 'decodeError', err);
+}
+
+
+function _emit (context, event, message) {
+  return EventEmitter.prototype.emit.call(context, event, message);
 }
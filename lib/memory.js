@@ -0,0 +1,455 @@
+'use strict';
+const EventEmitter = require('events');
+const Util = require('util');
+const Channels = require('./channels');
+const Chunking = require('./chunking');
+
+// Private method symbols
+const _deliver = Symbol();
+const _execute = Symbol();
+const _statement = Symbol();
+const _queue = Symbol();
+
+const IDENTIFIER = '("(?:[^"]|"")+"|[A-Za-z_][A-Za-z0-9_$]*)';
+const LITERAL = '(\'(?:[^\']|\'\')*\')';
+const VALUE = `(\\$\\d+|${LITERAL.slice(1, -1)}|NULL)`;
+const statements = {
+  begin: /^(?:BEGIN|START\s+TRANSACTION)\b/i,
+  commit: /^(?:COMMIT|END)\b/i,
+  rollback: /^(?:ROLLBACK|ABORT)\b/i,
+  listen: new RegExp(`^LISTEN\\s+${IDENTIFIER}$`, 'i'),
+  unlisten: new RegExp(`^UNLISTEN\\s+(\\*|${IDENTIFIER})$`, 'i'),
+  notify: new RegExp(`^NOTIFY\\s+${IDENTIFIER}(?:\\s*,\\s*${LITERAL})?$`, 'i'),
+  select: /^SELECT\s+([\s\S]+)$/i
+};
+const notifyCall = new RegExp(`^pg_notify\\(\\s*${VALUE}\\s*,\\s*${VALUE}\\s*\\)` +
+                              '\\s*(?:,\\s*|$)', 'i');
+
+
+// An in-process stand-in for a PostgreSQL server that only implements
+// asynchronous notifications. Clients and pools created by a broker can be
+// passed to the PgEe constructor, and notify each other.
+function MemoryBroker (options) {
+  options = options || {};
+
+  this.maxPayloadBytes = options.maxPayloadBytes || Chunking.MAX_PAYLOAD_BYTES;
+  this._clients = [];
+  this._nextProcessId = 1;
+}
+
+module.exports = MemoryBroker;
+
+
+MemoryBroker.prototype.client = function client () {
+  const instance = new MemoryClient(this, this._nextProcessId++);
+
+  this._clients.push(instance);
+  return instance;
+};
+
+
+MemoryBroker.prototype.pool = function pool () {
+  return new MemoryPool(this);
+};
+
+
+// Sends a notification from outside of any client, with a process id of 0
+MemoryBroker.prototype.notify = function notify (channel, payload) {
+  const notification = _notification(this, channel, payload, 0);
+
+  setImmediate(() => {
+    this[_deliver]([notification]);
+  });
+};
+
+
+// Returns the channels that at least one client listens to
+MemoryBroker.prototype.channels = function channels () {
+  const names = [];
+
+  this._clients.forEach((client) => {
+    client._channels.forEach((channel) => {
+      if (names.indexOf(channel) === -1) {
+        names.push(channel);
+      }
+    });
+  });
+
+  return names.sort();
+};
+
+
+// Ends every client, as if the server was restarted
+MemoryBroker.prototype.terminate = function terminate () {
+  this._clients.slice().forEach((client) => {
+    client.end();
+  });
+};
+
+
+MemoryBroker.prototype[_deliver] = function deliver (notifications) {
+  notifications.forEach((notification) => {
+    this._clients.slice().forEach((client) => {
+      if (client._channels.has(notification.channel)) {
+        client.emit('notification', {
+          processId: notification.processId,
+          channel: notification.channel,
+          payload: notification.payload
+        });
+      }
+    });
+  });
+};
+
+
+function MemoryClient (broker, processId) {
+  EventEmitter.call(this);
+  this.processID = processId;
+  this._broker = broker;
+  this._channels = new Set();
+  this._transaction = null;
+  this._aborted = false;
+  this._ended = false;
+}
+
+Util.inherits(MemoryClient, EventEmitter);
+
+
+// Clients are connected when they are created
+MemoryClient.prototype.connect = function connect (callback) {
+  return _complete(callback);
+};
+
+
+MemoryClient.prototype.end = function end (callback) {
+  if (!this._ended) {
+    const clients = this._broker._clients;
+
+    this._ended = true;
+    this._channels.clear();
+    this._transaction = null;
+    clients.splice(clients.indexOf(this), 1);
+    this.emit('end');
+  }
+
+  return _complete(callback);
+};
+
+
+// Runs a query like pg.Client, including queries with several statements.
+// Notifications are delivered once their transaction is committed, before
+// the query completes.
+MemoryClient.prototype.query = function query (text, params, callback) {
+  if (typeof params === 'function') {
+    callback = params;
+    params = undefined;
+  }
+
+  if (text !== null && typeof text === 'object') {
+    params = params || text.values;
+    text = text.text;
+  }
+
+  const delivered = [];
+  let result = null;
+  let error = null;
+
+  try {
+    result = this[_execute](text + '', params || [], delivered);
+  } catch (err) {
+    error = err;
+    delivered.length = 0;
+  }
+
+  const finish = (done) => {
+    setImmediate(() => {
+      this._broker[_deliver](delivered);
+      done(error, result);
+    });
+  };
+
+  if (typeof callback === 'function') {
+    return finish(callback);
+  }
+
+  return new Promise((resolve, reject) => {
+    finish((err, value) => {
+      return err ? reject(err) : resolve(value);
+    });
+  });
+};
+
+
+MemoryClient.prototype[_execute] = function execute (text, params, delivered) {
+  if (this._ended) {
+    throw new Error('Client was closed and is not queryable');
+  }
+
+  const parts = _split(text);
+  let result = { command: null, rowCount: 0, rows: [] };
+
+  if (parts.length > 1 && params.length > 0) {
+    throw _error('cannot insert multiple commands into a prepared statement',
+                 '42601');
+  }
+
+  for (let i = 0; i < parts.length; ++i) {
+    if (this._aborted && !statements.commit.test(parts[i]) &&
+        !statements.rollback.test(parts[i])) {
+      throw _error('current transaction is aborted, commands ignored until ' +
+                   'end of transaction block', '25P02');
+    }
+
+    try {
+      result = this[_statement](parts[i], params, delivered);
+    } catch (err) {
+      this._aborted = this._transaction !== null;
+      throw err;
+    }
+  }
+
+  return result;
+};
+
+
+MemoryClient.prototype[_statement] = function statement (sql, params,
+                                                        delivered) {
+  const broker = this._broker;
+  let match;
+
+  if (statements.begin.test(sql)) {
+    this._transaction = this._transaction || [];
+    return _result('BEGIN');
+  }
+
+  if (statements.commit.test(sql) || statements.rollback.test(sql)) {
+    const committed = statements.commit.test(sql) && !this._aborted;
+
+    if (committed && this._transaction !== null) {
+      this._transaction.forEach((notification) => {
+        _add(delivered, notification);
+      });
+    }
+
+    this._transaction = null;
+    this._aborted = false;
+    return _result(committed ? 'COMMIT' : 'ROLLBACK');
+  }
+
+  if ((match = statements.listen.exec(sql)) !== null) {
+    this._channels.add(_identifier(match[1]));
+    return _result('LISTEN');
+  }
+
+  if ((match = statements.unlisten.exec(sql)) !== null) {
+    if (match[1] === '*') {
+      this._channels.clear();
+    } else {
+      this._channels.delete(_identifier(match[1]));
+    }
+
+    return _result('UNLISTEN');
+  }
+
+  if ((match = statements.notify.exec(sql)) !== null) {
+    const payload = match[2] === undefined ? '' : _value(match[2], params);
+
+    this[_queue](_notification(broker, _identifier(match[1]), payload,
+                               this.processID), delivered);
+    return _result('NOTIFY');
+  }
+
+  if ((match = statements.select.exec(sql)) !== null) {
+    let rest = match[1].trim();
+
+    if (rest === '1') {
+      return _result('SELECT', [{ '?column?': 1 }]);
+    }
+
+    // Every selected expression must be a pg_notify() call
+    while (rest !== '' && (match = notifyCall.exec(rest)) !== null) {
+      this[_queue](_notification(broker, _value(match[1], params),
+                                 _value(match[2], params), this.processID),
+                   delivered);
+      rest = rest.slice(match[0].length);
+    }
+
+    if (rest === '') {
+      return _result('SELECT', [{ pg_notify: '' }]);
+    }
+  }
+
+  throw _error(`unsupported statement: ${sql}`, '0A000');
+};
+
+
+MemoryClient.prototype[_queue] = function queue (notification, delivered) {
+  _add(this._transaction === null ? delivered : this._transaction,
+       notification);
+};
+
+
+function MemoryPool (broker) {
+  this.totalCount = 0;
+  this._broker = broker;
+  this._clients = [];
+}
+
+
+// Every checkout creates a new client, which is ended when released
+MemoryPool.prototype.connect = function connect (callback) {
+  const client = this._broker.client();
+  const release = () => {
+    const index = this._clients.indexOf(client);
+
+    if (index !== -1) {
+      this._clients.splice(index, 1);
+      this.totalCount = this._clients.length;
+    }
+
+    client.end();
+  };
+
+  client.release = release;
+  this._clients.push(client);
+  this.totalCount = this._clients.length;
+
+  if (typeof callback === 'function') {
+    setImmediate(callback, null, client, release);
+    return;
+  }
+
+  return Promise.resolve(client);
+};
+
+
+MemoryPool.prototype.end = function end (callback) {
+  this._clients.slice().forEach((client) => {
+    client.release();
+  });
+
+  return _complete(callback);
+};
+
+
+// Notifications with the same channel and payload are folded within a
+// transaction, as done by PostgreSQL
+function _add (notifications, notification) {
+  const duplicate = notifications.some((other) => {
+    return other.channel === notification.channel &&
+           other.payload === notification.payload;
+  });
+
+  if (!duplicate) {
+    notifications.push(notification);
+  }
+}
+
+
+function _notification (broker, channel, payload, processId) {
+  if (channel === null || channel === undefined || channel + '' === '') {
+    throw _error('channel name cannot be empty', '22023');
+  }
+
+  channel = channel + '';
+  payload = payload === null || payload === undefined ? '' : payload + '';
+
+  if (Buffer.byteLength(channel) > Channels.MAX_CHANNEL_BYTES) {
+    throw _error('channel name too long', '22023');
+  }
+
+  if (Buffer.byteLength(payload) > broker.maxPayloadBytes) {
+    throw _error('payload string too long', '22023');
+  }
+
+  return { channel: channel, payload: payload, processId: processId };
+}
+
+
+// Splits a query into statements, ignoring semicolons inside quotes
+function _split (text) {
+  const parts = [];
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; ++i) {
+    const char = text[i];
+
+    if (quote !== null) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ';') {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+
+  return parts.map((part) => {
+    return part.trim();
+  }).filter((part) => {
+    return part !== '';
+  });
+}
+
+
+// Unquoted identifiers are folded to lower case, and long identifiers are
+// truncated, as done by PostgreSQL
+function _identifier (token) {
+  let name = token[0] === '"' ?
+    token.slice(1, -1).replace(/""/g, '"') : token.toLowerCase();
+
+  while (Buffer.byteLength(name) > Channels.MAX_CHANNEL_BYTES) {
+    name = name.slice(0, -1);
+  }
+
+  return name;
+}
+
+
+function _value (token, params) {
+  if (token[0] === '$') {
+    const value = params[Number(token.slice(1)) - 1];
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    return typeof value === 'object' && !Buffer.isBuffer(value) ?
+      JSON.stringify(value) : value + '';
+  }
+
+  if (token.toUpperCase() === 'NULL') {
+    return null;
+  }
+
+  return token.slice(1, -1).replace(/''/g, '\'');
+}
+
+
+function _result (command, rows) {
+  rows = rows || [];
+  return { command: command, rowCount: rows.length, rows: rows };
+}
+
+
+function _error (message, code) {
+  const err = new Error(message);
+
+  err.code = code;
+  return err;
+}
+
+
+function _complete (callback) {
+  if (typeof callback === 'function') {
+    setImmediate(callback, null);
+    return;
+  }
+
+  return Promise.resolve();
+}
@@ -0,0 +1,129 @@
+'use strict';
+
+// Private method symbols
+const _increment = Symbol();
+
+const hookNames = ['increment', 'observe', 'gauge'];
+
+
+// Counts what an instance does, and forwards every measurement to optional
+// hooks, such as Prometheus or OpenTelemetry instruments
+function Metrics (hooks) {
+  if (hooks !== undefined && hooks !== null) {
+    if (typeof hooks !== 'object' || !hookNames.some((name) => {
+      return typeof hooks[name] === 'function';
+    })) {
+      throw new TypeError(`metrics must implement one of ${hookNames.join(', ')}`);
+    }
+  }
+
+  this._hooks = hooks || {};
+  this._sent = _traffic();
+  this._received = _traffic();
+  this._notifyErrors = 0;
+  this._decodeErrors = 0;
+  this._timings = { listen: _timing(), unlisten: _timing() };
+}
+
+module.exports = Metrics;
+
+
+Metrics.prototype.sent = function sent (channel, bytes) {
+  _count(this._sent, channel, bytes);
+  this[_increment]('notifications_sent', 1, { channel: channel });
+  this[_increment]('notification_bytes_sent', bytes, { channel: channel });
+};
+
+
+Metrics.prototype.received = function received (channel, bytes) {
+  _count(this._received, channel, bytes);
+  this[_increment]('notifications_received', 1, { channel: channel });
+  this[_increment]('notification_bytes_received', bytes, { channel: channel });
+};
+
+
+Metrics.prototype.notifyError = function notifyError () {
+  this._notifyErrors++;
+  this[_increment]('notify_errors', 1, {});
+};
+
+
+Metrics.prototype.decodeError = function decodeError (channel) {
+  this._decodeErrors++;
+  this[_increment]('decode_errors', 1, { channel: channel });
+};
+
+
+// Records the duration of a LISTEN or UNLISTEN, in milliseconds
+Metrics.prototype.timing = function timing (operation, channel, duration) {
+  const stats = this._timings[operation];
+
+  stats.count++;
+  stats.total += duration;
+  stats.max = Math.max(stats.max, duration);
+  stats.last = duration;
+
+  if (typeof this._hooks.observe === 'function') {
+    this._hooks.observe(`${operation}_duration_ms`, duration, { channel: channel });
+  }
+};
+
+
+Metrics.prototype.gauge = function gauge (name, value) {
+  if (typeof this._hooks.gauge === 'function') {
+    this._hooks.gauge(name, value, {});
+  }
+};
+
+
+Metrics.prototype.snapshot = function snapshot () {
+  return {
+    sent: _copyTraffic(this._sent, { errors: this._notifyErrors }),
+    received: _copyTraffic(this._received, { decodeErrors: this._decodeErrors }),
+    listen: Object.assign({}, this._timings.listen),
+    unlisten: Object.assign({}, this._timings.unlisten)
+  };
+};
+
+
+Metrics.prototype[_increment] = function increment (name, value, labels) {
+  if (typeof this._hooks.increment === 'function') {
+    this._hooks.increment(name, value, labels);
+  }
+};
+
+
+function _traffic () {
+  return { count: 0, bytes: 0, channels: Object.create(null) };
+}
+
+
+function _timing () {
+  return { count: 0, total: 0, max: 0, last: null };
+}
+
+
+function _count (traffic, channel, bytes) {
+  let stats = traffic.channels[channel];
+
+  if (stats === undefined) {
+    stats = traffic.channels[channel] = { count: 0, bytes: 0 };
+  }
+
+  stats.count++;
+  stats.bytes += bytes;
+  traffic.count++;
+  traffic.bytes += bytes;
+}
+
+
+function _copyTraffic (traffic, extra) {
+  const channels = {};
+
+  Object.keys(traffic.channels).forEach((channel) => {
+    channels[channel] = Object.assign({}, traffic.channels[channel]);
+  });
+
+  return Object.assign({ count: traffic.count, bytes: traffic.bytes }, extra,
+                       { channels: channels });
+}
@@ -0,0 +1,85 @@
+'use strict';
+const Sql = require('./sql');
+
+const WAKE_UP_PREFIX = 'pgee:durable:';
+const DEFAULT_TABLE = 'pgee_outbox';
+const DEFAULT_BATCH_SIZE = 1000;
+const DEFAULT_POLL_INTERVAL = 1000;
+
+
+function Outbox (options) {
+  options = options || {};
+
+  this.table = options.table || DEFAULT_TABLE;
+  this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+  this._name = Sql.quoteName(this.table);
+}
+
+module.exports = Outbox;
+
+
+Outbox.isWakeUp = function isWakeUp (payload) {
+  return typeof payload === 'string' && payload.indexOf(WAKE_UP_PREFIX) === 0;
+};
+
+
+Outbox.wakeUpId = function wakeUpId (payload) {
+  const id = Number(payload.slice(WAKE_UP_PREFIX.length));
+
+  if (!(id > 0) || id % 1 !== 0) {
+    throw new Error('malformed durable notification');
+  }
+
+  return id;
+};
+
+
+Outbox.prototype.createSql = function createSql () {
+  const index = Sql.quoteIdentifier(`${this.table.split('.').pop()}_channel_xid_id`);
+
+  return `CREATE TABLE IF NOT EXISTS ${this._name} (` +
+    'id BIGSERIAL PRIMARY KEY, ' +
+    'xid XID8 NOT NULL DEFAULT pg_current_xact_id(), ' +
+    'channel TEXT NOT NULL, ' +
+    'payload TEXT, ' +
+    'created_at TIMESTAMPTZ NOT NULL DEFAULT now()); ' +
+    `CREATE INDEX IF NOT EXISTS ${index} ON ${this._name} (channel, xid, id)`;
+};
+
+
+// Stores every message and notifies a wake-up carrying the new row id in the
+// same statement
+Outbox.prototype.notifySql = function notifySql (count) {
+  const values = [];
+
+  for (let i = 0; i < count; ++i) {
+    values.push(`($${i * 2 + 1}, $${i * 2 + 2})`);
+  }
+
+  return `WITH message AS (INSERT INTO ${this._name} (channel, payload) ` +
+    `VALUES ${values.join(', ')} RETURNING id, channel) ` +
+    `SELECT pg_notify(channel, '${WAKE_UP_PREFIX}' || id) FROM message ` +
+    'ORDER BY id';
+};
+
+
+// Ids are assigned on INSERT but only become visible on COMMIT, so messages
+// are read in (xid, id) order after the position ($2, $3). Rows written by
+// transactions that are newer than one still in progress are not settled yet,
+// since that transaction can commit older messages.
+Outbox.prototype.fetchSql = function fetchSql () {
+  return 'SELECT id, xid::text AS xid, payload, ' +
+    'xid < pg_snapshot_xmin(pg_current_snapshot()) AS settled ' +
+    `FROM ${this._name} WHERE channel = $1 AND (xid, id) > ($2::xid8, $3) ` +
+    'ORDER BY xid, id LIMIT $4';
+};
+
+
+// Finds the transaction id of a position from the row with id $1. Messages of
+// transactions still in progress are included, because they can commit after
+// that row.
+Outbox.prototype.positionSql = function positionSql () {
+  return 'SELECT COALESCE((SELECT LEAST(xid, pg_snapshot_xmin(pg_current_snapshot())) ' +
+    `FROM ${this._name} WHERE id = $1), '0')::text AS xid`;
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+
+// Converts a glob style pattern, where '*' matches anything except '.', or a
+// RegExp into a RegExp that is tested against channel names.
+function compile (pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  if (typeof pattern !== 'string' || pattern === '') {
+    throw new TypeError('pattern must be a non-empty string or RegExp');
+  }
+
+  const source = pattern.split('*').map((part) => {
+    return part.replace(/[\\^$.|?+()[\]{}]/g, '\\$&');
+  }).join('[^.]*');
+
+  return new RegExp(`^${source}$`);
+}
+
+
+function matches (regexp, channel) {
+  // search() ignores the global flag and lastIndex
+  return channel.search(regexp) !== -1;
+}
+
+
+function same (a, b) {
+  return a === b || (a instanceof RegExp && b instanceof RegExp &&
+                     a.toString() === b.toString());
+}
+
+
+module.exports = { compile: compile, matches: matches, same: same };
@@ -0,0 +1,407 @@
+'use strict';
+const EventEmitter = require('events');
+const Util = require('util');
+const Callbacks = require('./callbacks');
+const Channels = require('./channels');
+const Codecs = require('./codecs');
+const Sql = require('./sql');
+
+// Private method symbols
+const _query = Symbol();
+const _fill = Symbol();
+const _claim = Symbol();
+const _run = Symbol();
+const _settle = Symbol();
+const _bury = Symbol();
+const _drained = Symbol();
+
+const queueDefaults = {
+  table: 'pgee_jobs',
+  deadLetterTable: 'pgee_jobs_dead',
+  visibilityTimeout: 30000,
+  maxAttempts: 5,
+  retryDelay: 1000,
+  concurrency: 1,
+  pollInterval: 5000,
+  codec: 'json'
+};
+
+
+function Queue (pgee, name, options) {
+  EventEmitter.call(this);
+
+  if (typeof name !== 'string' || name === '') {
+    throw new TypeError('queue name must be a non-empty string');
+  }
+
+  const settings = Object.assign({}, queueDefaults, options);
+
+  this.name = name;
+  this.channel = `pgee_queue_${name}`;
+  this._serverChannel = Channels.normalize(pgee._prefix + this.channel,
+                                           pgee._hashLongChannels);
+  this._pgee = pgee;
+  this._settings = settings;
+  this._codec = Codecs.resolve(settings.codec);
+  this._jobs = Sql.quoteName(settings.table);
+  this._dead = Sql.quoteName(settings.deadLetterTable);
+  this._handler = null;
+  this._active = 0;
+  this._claiming = false;
+  this._again = false;
+  this._pollTimer = null;
+  this._onStopped = [];
+  this._wake = () => {
+    this[_fill]();
+  };
+}
+
+Util.inherits(Queue, EventEmitter);
+module.exports = Queue;
+
+
+Queue.prototype.createTables = function createTables (callback) {
+  const index = Sql.quoteIdentifier(
+    `${this._settings.table.split('.').pop()}_queue_visible_at`);
+  const sql =
+    `CREATE TABLE IF NOT EXISTS ${this._jobs} (` +
+    'id BIGSERIAL PRIMARY KEY, ' +
+    'queue TEXT NOT NULL, ' +
+    'payload TEXT, ' +
+    'attempts INTEGER NOT NULL DEFAULT 0, ' +
+    'visible_at TIMESTAMPTZ NOT NULL DEFAULT now(), ' +
+    'last_error TEXT, ' +
+    'created_at TIMESTAMPTZ NOT NULL DEFAULT now()); ' +
+    `CREATE INDEX IF NOT EXISTS ${index} ON ${this._jobs} ` +
+    '(queue, visible_at, id); ' +
+    `CREATE TABLE IF NOT EXISTS ${this._dead} (` +
+    'id BIGINT PRIMARY KEY, ' +
+    'queue TEXT NOT NULL, ' +
+    'payload TEXT, ' +
+    'attempts INTEGER NOT NULL, ' +
+    'last_error TEXT, ' +
+    'created_at TIMESTAMPTZ NOT NULL, ' +
+    'failed_at TIMESTAMPTZ NOT NULL DEFAULT now())';
+
+  const pending = Callbacks.pending(this, callback, null);
+
+  this[_query](sql, [], (err) => {
+    pending.done(err);
+  });
+
+  return pending.promise;
+};
+
+
+Queue.prototype.push = function push (payload, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+
+  const delay = (options && options.delay) || 0;
+  const client = options ? options.client : undefined;
+  const pending = Callbacks.pending(this, callback, null);
+  let encoded;
+
+  if (client !== undefined && (client === null || typeof client !== 'object' ||
+                               typeof client.query !== 'function')) {
+    return pending.done(new TypeError('client must be a pg client'));
+  }
+
+  try {
+    encoded = this._codec.encode(payload);
+  } catch (err) {
+    return pending.done(err);
+  }
+
+  // The wake-up is only delivered if the job is committed
+  const sql =
+    `WITH job AS (INSERT INTO ${this._jobs} (queue, payload, visible_at) ` +
+    'VALUES ($1, $2, now() + $3 * interval \'1 millisecond\') ' +
+    'RETURNING id) SELECT id, pg_notify($4, id::text) FROM job';
+
+  const params = [this.name, encoded, delay, this._serverChannel];
+  const inserted = (err, result) => {
+    if (err) {
+      return pending.done(err);
+    }
+
+    pending.done(null, Number(result.rows[0].id));
+  };
+
+  // Jobs pushed through a client in a transaction are inserted on commit
+  if (client !== undefined) {
+    client.query(sql, params, inserted);
+  } else {
+    this[_query](sql, params, inserted);
+  }
+
+  return pending.promise;
+};
+
+
+Queue.prototype.process = function processJobs (handler, callback) {
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (typeof handler !== 'function') {
+    return pending.done(new TypeError('handler must be a function'));
+  }
+
+  if (this._handler !== null) {
+    return pending.done(new Error(`queue ${this.name} is already being processed`));
+  }
+
+  this._pgee.listen({ channel: this.channel, listener: this._wake }, (err) => {
+    if (err) {
+      return pending.done(err);
+    }
+
+    this._handler = handler;
+    this._pgee._queues.push(this);
+    this._pollTimer = setInterval(this._wake, this._settings.pollInterval);
+    this._pollTimer.unref();
+    this[_fill]();
+    pending.done(null);
+  });
+
+  return pending.promise;
+};
+
+
+Queue.prototype.stop = function stop (callback) {
+  const pending = Callbacks.pending(this, callback, null);
+
+  if (this._handler === null) {
+    return pending.done(null);
+  }
+
+  const pgee = this._pgee;
+
+  this._handler = null;
+  pgee._queues.splice(pgee._queues.indexOf(this), 1);
+  clearInterval(this._pollTimer);
+  this._pollTimer = null;
+  pgee.notifications.removeListener(this.channel, this._wake);
+  this._onStopped.push(pending.done);
+
+  // Keep the channel if other queue instances still process it
+  if (pgee._connection === null ||
+      pgee.notifications.listenerCount(this.channel) > 0) {
+    this[_drained]();
+    return pending.promise;
+  }
+
+  pgee.unlisten(this.channel, (err) => {
+    if (err) {
+      this.emit('error', err);
+    }
+
+    this[_drained]();
+  });
+
+  return pending.promise;
+};
+
+
+Queue.prototype[_query] = function query (sql, params, callback) {
+  const connection = this._pgee._connection;
+
+  if (connection === null) {
+    return callback(new Error('not connected to database'));
+  }
+
+  connection.query(sql, params, callback);
+};
+
+
+// Claims jobs until the concurrency limit is reached or the queue is empty
+Queue.prototype[_fill] = function fill () {
+  if (this._handler === null) {
+    return;
+  }
+
+  if (this._claiming) {
+    this._again = true;
+    return;
+  }
+
+  if (this._active >= this._settings.concurrency) {
+    return;
+  }
+
+  const handler = this._handler;
+
+  // A pending claim counts against the concurrency limit, and is allowed to
+  // finish running if the queue is stopped in the meantime
+  this._active++;
+  this._claiming = true;
+  this._again = false;
+
+  this[_claim]((err, job) => {
+    this._claiming = false;
+
+    if (err || job === null) {
+      this._active--;
+
+      if (err) {
+        this.emit('error', err);
+      }
+
+      if (this._handler === null) {
+        return this[_drained]();
+      }
+
+      if (this._again && !err) {
+        this[_fill]();
+      }
+
+      return;
+    }
+
+    // The visibility timeout of previous attempts expired too many times
+    if (job.attempts > this._settings.maxAttempts) {
+      this[_settle](job, new Error(job.lastError || 'visibility timeout expired'));
+    } else {
+      this[_run](job, handler);
+    }
+
+    this[_fill]();
+  });
+};
+
+
+Queue.prototype[_claim] = function claim (callback) {
+  const sql =
+    `UPDATE ${this._jobs} SET attempts = attempts + 1, ` +
+    'visible_at = now() + $2 * interval \'1 millisecond\' ' +
+    `WHERE id = (SELECT id FROM ${this._jobs} ` +
+    'WHERE queue = $1 AND visible_at <= now() ORDER BY visible_at, id ' +
+    'LIMIT 1 FOR UPDATE SKIP LOCKED) ' +
+    'RETURNING id, payload, attempts, last_error';
+  const params = [this.name, this._settings.visibilityTimeout];
+
+  this[_query](sql, params, (err, result) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (result.rows.length === 0) {
+      return callback(null, null);
+    }
+
+    const row = result.rows[0];
+
+    callback(null, {
+      id: Number(row.id),
+      queue: this.name,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      raw: row.payload,
+      payload: undefined
+    });
+  });
+};
+
+
+Queue.prototype[_run] = function run (job, handler) {
+  try {
+    job.payload = this._codec.decode(job.raw);
+  } catch (err) {
+    return this[_settle](job, err);
+  }
+
+  Callbacks.invoke(handler, [job], 'job failed', (err) => {
+    this[_settle](job, err);
+  });
+};
+
+
+// Acknowledges a successful job, or schedules a retry of a failed one. Jobs
+// are matched by their attempts too, so that a worker whose visibility
+// timeout expired leaves alone the job another worker claimed since.
+Queue.prototype[_settle] = function settle (job, err) {
+  const finish = (queryErr) => {
+    this._active--;
+
+    if (queryErr) {
+      this.emit('error', queryErr);
+    }
+
+    if (this._handler === null) {
+      return this[_drained]();
+    }
+
+    this[_fill]();
+  };
+
+  if (!err) {
+    return this[_query](`DELETE FROM ${this._jobs} WHERE id = $1 AND attempts = $2`,
+                        [job.id, job.attempts], (queryErr, result) => {
+                          if (!queryErr && result.rowCount === 1) {
+                            this.emit('completed', job);
+                          }
+
+                          finish(queryErr);
+                        });
+  }
+
+  if (job.attempts >= this._settings.maxAttempts) {
+    return this[_bury](job, err, finish);
+  }
+
+  const sql =
+    `UPDATE ${this._jobs} SET last_error = $2, ` +
+    'visible_at = now() + $3 * interval \'1 millisecond\' ' +
+    'WHERE id = $1 AND attempts = $4';
+  const params = [job.id, _message(err), this._settings.retryDelay,
+                  job.attempts];
+
+  this[_query](sql, params, (queryErr, result) => {
+    if (!queryErr && result.rowCount === 1) {
+      this.emit('failed', job, err);
+    }
+
+    finish(queryErr);
+  });
+};
+
+
+// Moves a job that exhausted its attempts to the dead letter table
+Queue.prototype[_bury] = function bury (job, err, callback) {
+  const sql =
+    `WITH job AS (DELETE FROM ${this._jobs} WHERE id = $1 AND attempts = $3 ` +
+    'RETURNING id, queue, payload, attempts, created_at) ' +
+    `INSERT INTO ${this._dead} ` +
+    '(id, queue, payload, attempts, last_error, created_at) ' +
+    'SELECT id, queue, payload, attempts, $2, created_at FROM job';
+
+  this[_query](sql, [job.id, _message(err), job.attempts], (queryErr, result) => {
+    if (!queryErr && result.rowCount === 1) {
+      this.emit('dead', job, err);
+    }
+
+    callback(queryErr);
+  });
+};
+
+
+Queue.prototype[_drained] = function drained () {
+  if (this._active > 0) {
+    return;
+  }
+
+  const callbacks = this._onStopped;
+
+  this._onStopped = [];
+
+  for (let i = 0; i < callbacks.length; ++i) {
+    callbacks[i](null);
+  }
+};
+
+
+function _message (err) {
+  return err instanceof Error ? err.message : err + '';
+}
+
@@ -0,0 +1,218 @@
+'use strict';
+const Crypto = require('crypto');
+const Callbacks = require('./callbacks');
+
+// Private method symbols
+const _replyChannel = Symbol();
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Requests and replies are objects, which other codecs may not support
+const CODEC = 'json';
+
+
+// Request/reply on top of notifications. Requests are sent as
+// { id, replyTo, payload } on the request channel, and answered with
+// { id, result } or { id, error } on the requesting instance's reply channel.
+function Rpc (pgee) {
+  this._pgee = pgee;
+  this._channel = null;
+  this._waiting = null;
+  this._requests = new Map();
+  this._nextId = 0;
+  this._onReply = (reply) => {
+    if (this._pgee._envelope) {
+      reply = reply.payload;
+    }
+
+    if (reply === null || typeof reply !== 'object') {
+      return;
+    }
+
+    const request = this._requests.get(reply.id);
+
+    // Late replies, and replies from additional responders, are ignored
+    if (request === undefined) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this._requests.delete(reply.id);
+
+    if (reply.error !== undefined) {
+      return request.callback(_toError(reply.error, request.channel));
+    }
+
+    request.callback(null, reply.result);
+  };
+}
+
+module.exports = Rpc;
+Rpc.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+
+
+// Tells requests apart from anything else sent on a request channel, such as
+// plain notifications
+Rpc.isRequest = function isRequest (message) {
+  return message !== null && typeof message === 'object' &&
+         message.id !== undefined && typeof message.replyTo === 'string';
+};
+
+
+Rpc.prototype.request = function request (channel, payload, timeout,
+                                          callback) {
+  this[_replyChannel]((err, replyTo) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const id = ++this._nextId;
+    const timer = setTimeout(() => {
+      const err = new Error('request timed out');
+
+      this._requests.delete(id);
+      err.channel = channel;
+      callback(err);
+    }, timeout);
+
+    this._requests.set(id, { channel: channel, callback: callback, timer: timer });
+
+    const message = { id: id, replyTo: replyTo, payload: payload };
+
+    this._pgee.notify([{ channel: channel, message: message, codec: CODEC }], (err) => {
+      if (err && this._requests.has(id)) {
+        clearTimeout(timer);
+        this._requests.delete(id);
+        callback(err);
+      }
+    });
+  });
+};
+
+
+Rpc.prototype.respond = function respond (channel, handler, callback) {
+  const pgee = this._pgee;
+
+  if (typeof handler !== 'function') {
+    return callback(new TypeError('handler must be a function'));
+  }
+
+  const listener = (request) => {
+    if (pgee._envelope) {
+      request = request.payload;
+    }
+
+    if (!Rpc.isRequest(request)) {
+      return;
+    }
+
+    const reply = (err, result) => {
+      const message = err ?
+        { id: request.id, error: _serializeError(err) } :
+        { id: request.id, result: result };
+
+      const notification = { channel: request.replyTo, message: message, codec: CODEC };
+
+      pgee.notify([notification], (err) => {
+        // The requester times out if the reply is lost
+        if (err && pgee.listenerCount('error') > 0) {
+          pgee.emit('error', err);
+        }
+      });
+    };
+
+    Callbacks.invoke(handler, [request.payload], 'request failed', reply);
+  };
+
+  pgee.listen({ channel: channel, codec: CODEC, listener: listener }, callback);
+};
+
+
+// Fails pending requests. The reply channel is LISTENed again on the next
+// request.
+Rpc.prototype.close = function close () {
+  const requests = this._requests;
+
+  this._requests = new Map();
+  this._channel = null;
+
+  requests.forEach((request) => {
+    const err = new Error('instance closed');
+
+    clearTimeout(request.timer);
+    err.channel = request.channel;
+    request.callback(err);
+  });
+};
+
+
+// Forgets the reply channel after its LISTEN was removed, so that the next
+// request issues a new one. Pending requests time out.
+Rpc.prototype.reset = function reset () {
+  if (this._channel !== null) {
+    this._pgee.notifications.removeListener(this._channel, this._onReply);
+    this._channel = null;
+  }
+};
+
+
+// LISTENs to the reply channel of this instance once, and shares it between
+// all requests
+Rpc.prototype[_replyChannel] = function replyChannel (callback) {
+  if (this._channel !== null) {
+    return callback(null, this._channel);
+  }
+
+  if (this._waiting !== null) {
+    return this._waiting.push(callback);
+  }
+
+  const channel = `pgee_reply_${Crypto.randomBytes(8).toString('hex')}`;
+
+  this._waiting = [callback];
+  this._pgee.listen({
+    channel: channel,
+    codec: CODEC,
+    listener: this._onReply
+  }, (err) => {
+    const waiting = this._waiting;
+
+    this._waiting = null;
+
+    if (!err) {
+      this._channel = channel;
+    }
+
+    for (let i = 0; i < waiting.length; ++i) {
+      waiting[i](err, channel);
+    }
+  });
+};
+
+
+function _serializeError (err) {
+  if (!(err instanceof Error)) {
+    return { message: err + '' };
+  }
+
+  return { message: err.message, name: err.name, code: err.code };
+}
+
+
+function _toError (error, channel) {
+  const err = new Error(error !== null && typeof error === 'object' ?
+                        error.message : error + '');
+
+  if (error !== null && typeof error === 'object') {
+    if (typeof error.name === 'string') {
+      err.name = error.name;
+    }
+
+    if (error.code !== undefined) {
+      err.code = error.code;
+    }
+  }
+
+  err.channel = channel;
+  return err;
+}
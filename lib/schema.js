@@ -0,0 +1,82 @@
+'use strict';
+const Util = require('util');
+
+
+function ValidationError (message, channel, errors) {
+  Error.call(this);
+  Error.captureStackTrace(this, ValidationError);
+  this.name = 'ValidationError';
+  this.message = message;
+  this.channel = channel;
+  this.errors = errors;
+}
+
+Util.inherits(ValidationError, Error);
+
+
+// Returns a function that validates a payload, and returns a list of
+// { path, message } errors that is empty for valid payloads. Schemas are
+// validator functions, such as the ones compiled by Ajv from JSON Schemas.
+function compile (schema) {
+  if (typeof schema !== 'function') {
+    throw new TypeError('schema must be a function');
+  }
+
+  return (value) => {
+    return _callValidator(schema, value);
+  };
+}
+
+
+function validationError (channel, payload, errors) {
+  const details = errors.map((error) => {
+    return `${error.path} ${error.message}`;
+  });
+  const err = new ValidationError(
+    `invalid payload on channel ${channel}: ${details.join(', ')}`, channel,
+    errors);
+
+  err.payload = payload;
+  return err;
+}
+
+
+module.exports = {
+  ValidationError: ValidationError,
+  compile: compile,
+  validationError: validationError
+};
+
+
+// Validator functions are invalid when they return false or a message, or
+// throw. Errors reported on the function itself, as done by Ajv, are used if
+// present.
+function _callValidator (validator, value) {
+  let result;
+
+  try {
+    result = validator(value);
+  } catch (err) {
+    return [{ path: 'payload', message: err.message }];
+  }
+
+  if (typeof result === 'string') {
+    return [{ path: 'payload', message: result }];
+  }
+
+  if (result !== false) {
+    return [];
+  }
+
+  if (!Array.isArray(validator.errors) || validator.errors.length === 0) {
+    return [{ path: 'payload', message: 'is invalid' }];
+  }
+
+  return validator.errors.map((error) => {
+    return {
+      path: `payload${error.instancePath || error.dataPath || ''}`,
+      message: error.message || 'is invalid'
+    };
+  });
+}
+
@@ -0,0 +1,24 @@
+'use strict';
+
+
+function quoteIdentifier (name) {
+  return `"${(name + '').replace(/"/g, '""')}"`;
+}
+
+
+// Quotes a possibly schema qualified name, such as 'public.orders'
+function quoteName (name) {
+  return (name + '').split('.').map(quoteIdentifier).join('.');
+}
+
+
+function quoteLiteral (value) {
+  return `'${(value + '').replace(/'/g, "''")}'`;
+}
+
+
+module.exports = {
+  quoteIdentifier: quoteIdentifier,
+  quoteLiteral: quoteLiteral,
+  quoteName: quoteName
+};
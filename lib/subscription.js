@@ -0,0 +1,170 @@
+'use strict';
+
+// Private method symbols
+const _push = Symbol();
+const _finish = Symbol();
+const _release = Symbol();
+
+const overflowPolicies = ['drop-oldest', 'drop-newest', 'error'];
+
+
+function Subscription (pgee, channel, options) {
+  options = options || {};
+
+  const highWaterMark = options.highWaterMark === undefined ?
+    1000 : options.highWaterMark;
+  const overflow = options.overflow || 'drop-oldest';
+
+  if (typeof highWaterMark !== 'number' || highWaterMark < 1) {
+    throw new TypeError('highWaterMark must be a positive number');
+  }
+
+  if (overflowPolicies.indexOf(overflow) === -1) {
+    throw new TypeError(`unknown overflow policy: ${overflow}`);
+  }
+
+  this.channel = channel + '';
+  this._pgee = pgee;
+  this._highWaterMark = highWaterMark;
+  this._overflow = overflow;
+  this._buffer = [];
+  this._waiting = [];
+  this._error = null;
+  this._done = false;
+  this._listener = (message) => {
+    this[_push](message);
+  };
+
+  pgee._subscriptions.push(this);
+  pgee.notifications.on(this.channel, this._listener);
+  pgee.listen(this.channel, (err) => {
+    if (err) {
+      this[_finish](err);
+    }
+  });
+}
+
+module.exports = Subscription;
+
+
+Subscription.prototype.next = function next () {
+  if (this._buffer.length > 0) {
+    return Promise.resolve({ value: this._buffer.shift(), done: false });
+  }
+
+  if (this._error !== null) {
+    const err = this._error;
+
+    this._error = null;
+    return Promise.reject(err);
+  }
+
+  if (this._done) {
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  return new Promise((resolve, reject) => {
+    this._waiting.push({ resolve: resolve, reject: reject });
+  });
+};
+
+
+Subscription.prototype.return = function _return () {
+  const wasDone = this._done;
+
+  this._buffer = [];
+  this[_finish](null);
+
+  const release = wasDone ? Promise.resolve() : this[_release]();
+
+  return release.then(() => {
+    return { value: undefined, done: true };
+  });
+};
+
+
+Subscription.prototype.throw = function _throw (err) {
+  return this.return().then(() => {
+    throw err;
+  });
+};
+
+
+Subscription.prototype[Symbol.asyncIterator] = function asyncIterator () {
+  return this;
+};
+
+
+Subscription.prototype[_push] = function push (message) {
+  if (this._waiting.length > 0) {
+    return this._waiting.shift().resolve({ value: message, done: false });
+  }
+
+  if (this._buffer.length < this._highWaterMark) {
+    return this._buffer.push(message);
+  }
+
+  if (this._overflow === 'drop-oldest') {
+    this._buffer.shift();
+    this._buffer.push(message);
+  } else if (this._overflow === 'error') {
+    const err = new Error(`subscription buffer overflow on ${this.channel}`);
+
+    err.channel = this.channel;
+    this[_finish](err);
+  }
+};
+
+
+Subscription.prototype[_finish] = function finish (err) {
+  if (this._done) {
+    return;
+  }
+
+  const subscriptions = this._pgee._subscriptions;
+
+  subscriptions.splice(subscriptions.indexOf(this), 1);
+  this._done = true;
+  this._pgee.notifications.removeListener(this.channel, this._listener);
+
+  const waiting = this._waiting;
+
+  this._waiting = [];
+
+  if (err && waiting.length === 0) {
+    this._error = err;
+  }
+
+  for (let i = 0; i < waiting.length; ++i) {
+    if (err) {
+      waiting[i].reject(err);
+    } else {
+      waiting[i].resolve({ value: undefined, done: true });
+    }
+  }
+
+  // Consumers do not call return() after a failed next()
+  if (err) {
+    this[_release]().catch(() => {});
+  }
+};
+
+
+Subscription.prototype[_release] = function release () {
+  return new Promise((resolve, reject) => {
+    const pgee = this._pgee;
+
+    // Only UNLISTEN if this was the last consumer of the channel
+    if (pgee._connection === null || pgee.notifications.listenerCount(this.channel) > 0) {
+      return resolve();
+    }
+
+    pgee.unlisten(this.channel, (err) => {
+      if (err) {
+        return reject(err);
+      }
+
+      resolve();
+    });
+  });
+};
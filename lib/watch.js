@@ -0,0 +1,117 @@
+'use strict';
+const Chunking = require('./chunking');
+const Sql = require('./sql');
+
+const OPERATIONS = ['INSERT', 'UPDATE', 'DELETE'];
+
+
+// Builds the trigger that turns the row changes of a table into
+// notifications
+function TableWatch (table, options) {
+  options = options || {};
+
+  if (typeof table !== 'string' || table === '') {
+    throw new TypeError('table must be a non-empty string');
+  }
+
+  const operations = (options.operations || OPERATIONS).map((operation) => {
+    const name = (operation + '').toUpperCase();
+
+    if (OPERATIONS.indexOf(name) === -1) {
+      throw new TypeError(`unknown operation: ${operation}`);
+    }
+
+    return name;
+  });
+
+  if (operations.length === 0) {
+    throw new TypeError('operations must not be empty');
+  }
+
+  ['columns', 'key'].forEach((option) => {
+    if (options[option] !== undefined &&
+        (!Array.isArray(options[option]) || options[option].length === 0)) {
+      throw new TypeError(`${option} must be a non-empty array`);
+    }
+  });
+
+  const parts = table.split('.');
+  const base = `pgee_notify_${parts[parts.length - 1]}`;
+
+  this.table = table;
+  this.channel = options.channel || `pgee_changes_${parts.join('_')}`;
+  this.operations = operations;
+  this.columns = options.columns || null;
+  this.key = options.key || null;
+  this.name = Sql.quoteName(table);
+  this._trigger = Sql.quoteIdentifier(base);
+  this._function = Sql.quoteName(parts.slice(0, -1).concat(base).join('.'));
+}
+
+module.exports = TableWatch;
+
+
+// Looks up the primary key columns of the table, given its quoted name
+TableWatch.prototype.keySql = function keySql () {
+  return 'SELECT a.attname FROM pg_index i JOIN pg_attribute a ' +
+    'ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey) ' +
+    'WHERE i.indrelid = $1::regclass AND i.indisprimary ORDER BY a.attnum';
+};
+
+
+// Replaces the trigger function and trigger in a single batch, which
+// PostgreSQL runs as one transaction. The channel defaults to this.channel.
+// Changes too large for a notification are sent without their old and new
+// values, so that they never fail the statement that changed the row.
+TableWatch.prototype.installSql = function installSql (key, channel) {
+  const oldRow = _row('OLD', this.columns);
+  const newRow = _row('NEW', this.columns);
+
+  return `CREATE OR REPLACE FUNCTION ${this._function}() ` +
+    'RETURNS trigger LANGUAGE plpgsql AS $pgee$ ' +
+    'DECLARE old_row json; new_row json; row_key json; payload text; ' +
+    'BEGIN ' +
+    'IF TG_OP <> \'INSERT\' THEN ' +
+    `old_row := ${oldRow}; row_key := ${_row('OLD', key)}; ` +
+    'END IF; ' +
+    'IF TG_OP <> \'DELETE\' THEN ' +
+    `new_row := ${newRow}; row_key := ${_row('NEW', key)}; ` +
+    'END IF; ' +
+    `payload := ${_change('old_row', 'new_row', false)}; ` +
+    `IF octet_length(payload) > ${Chunking.MAX_PAYLOAD_BYTES} THEN ` +
+    `payload := ${_change('NULL', 'NULL', true)}; ` +
+    'END IF; ' +
+    `PERFORM pg_notify(${Sql.quoteLiteral(channel || this.channel)}, payload); ` +
+    'RETURN NULL; ' +
+    'END $pgee$; ' +
+    `DROP TRIGGER IF EXISTS ${this._trigger} ON ${this.name}; ` +
+    `CREATE TRIGGER ${this._trigger} AFTER ${this.operations.join(' OR ')} ` +
+    `ON ${this.name} FOR EACH ROW EXECUTE PROCEDURE ${this._function}()`;
+};
+
+
+TableWatch.prototype.uninstallSql = function uninstallSql () {
+  return `DROP TRIGGER IF EXISTS ${this._trigger} ON ${this.name}; ` +
+    `DROP FUNCTION IF EXISTS ${this._function}()`;
+};
+
+
+function _change (oldRow, newRow, truncated) {
+  return 'json_build_object(\'operation\', TG_OP, ' +
+    '\'schema\', TG_TABLE_SCHEMA, \'table\', TG_TABLE_NAME, ' +
+    `'key', row_key, 'old', ${oldRow}, 'new', ${newRow}, ` +
+    `'truncated', ${truncated})::text`;
+}
+
+
+function _row (record, columns) {
+  if (columns === null) {
+    return `row_to_json(${record})`;
+  }
+
+  const fields = columns.map((column) => {
+    return `${Sql.quoteLiteral(column)}, ${record}.${Sql.quoteIdentifier(column)}`;
+  });
+
+  return `json_build_object(${fields.join(', ')})`;
+}
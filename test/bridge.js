@@ -0,0 +1,988 @@
+'use strict';
+const EventEmitter = require('events');
+const Http = require('http');
+const Net = require('net');
+const Code = require('code');
+const Lab = require('lab');
+const PgEe = require('../lib');
+const Bridge = require('../lib/bridge');
+const MemoryBroker = require('../lib/memory');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Bridge', () => {
+  function setup (options, settings, callback) {
+    const broker = new MemoryBroker({ maxPayloadBytes: 100000 });
+    const pgee = new PgEe(broker.pool(), settings);
+
+    pgee.connect((err) => {
+      expect(err).to.not.exist();
+      callback(broker, pgee, new Bridge(pgee, options));
+    });
+  }
+
+  function until (predicate, callback) {
+    if (predicate()) {
+      return callback();
+    }
+
+    setTimeout(until, 2, predicate, callback);
+  }
+
+  function upgradeRequest (path, headers) {
+    return {
+      url: path,
+      method: 'GET',
+      headers: Object.assign({
+        upgrade: 'websocket',
+        connection: 'Upgrade',
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ==',
+        'sec-websocket-version': '13'
+      }, headers)
+    };
+  }
+
+  function createSocket () {
+    const socket = new EventEmitter();
+
+    socket.output = Buffer.alloc(0);
+    socket.ended = false;
+    socket.destroyed = false;
+    socket.write = (data) => {
+      socket.output = Buffer.concat([socket.output, Buffer.from(data)]);
+    };
+    socket.end = (data) => {
+      if (data) {
+        socket.write(data);
+      }
+
+      socket.ended = true;
+      setImmediate(() => {
+        socket.emit('close');
+      });
+    };
+    socket.destroy = () => {
+      socket.destroyed = true;
+      socket.emit('close');
+    };
+
+    // Returns the HTTP response, and the frames sent after it
+    socket.read = () => {
+      const text = socket.output.toString('latin1');
+      const end = text.indexOf('\r\n\r\n') + 4;
+      const frames = [];
+      let buffer = socket.output.slice(end);
+
+      while (buffer.length > 0) {
+        let length = buffer[1];
+        let offset = 2;
+
+        if (length === 126) {
+          length = buffer.readUInt16BE(2);
+          offset = 4;
+        } else if (length === 127) {
+          length = buffer.readUInt32BE(6);
+          offset = 10;
+        }
+
+        const payload = buffer.slice(offset, offset + length);
+
+        frames.push({
+          opcode: buffer[0] & 0x0f,
+          data: buffer[0] === 0x81 ? JSON.parse(payload) : payload
+        });
+        buffer = buffer.slice(offset + length);
+      }
+
+      return { head: text.slice(0, end), frames: frames };
+    };
+
+    return socket;
+  }
+
+  // Builds a frame as sent by a browser
+  function frame (opcode, payload, options) {
+    options = options || {};
+    if (!Buffer.isBuffer(payload)) {
+      payload = Buffer.from(typeof payload === 'string' ? payload :
+                            JSON.stringify(payload));
+    }
+
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const length = payload.length;
+    let header = Buffer.from([opcode, length]);
+
+    if (length >= 0x10000) {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeUInt32BE(length, 6);
+    } else if (length >= 126) {
+      header = Buffer.from([opcode, 126, 0, 0]);
+      header.writeUInt16BE(length, 2);
+    }
+
+    header[0] = opcode | (options.fin === false ? 0 : 0x80) | (options.rsv || 0);
+
+    if (options.mask === false) {
+      return Buffer.concat([header, payload]);
+    }
+
+    header[1] |= 0x80;
+
+    const masked = Buffer.alloc(length);
+
+    for (let i = 0; i < length; ++i) {
+      masked[i] = payload[i] ^ mask[i % 4];
+    }
+
+    return Buffer.concat([header, mask, masked]);
+  }
+
+  it('validates its options', (done) => {
+    const pgee = new PgEe(new MemoryBroker().pool());
+
+    expect(() => {
+      pgee.bridge();
+    }).to.throw(TypeError, 'bridge requires channels or an authorize function');
+
+    expect(() => {
+      pgee.bridge({ channels: 'foo' });
+    }).to.throw(TypeError, 'channels must be an array');
+
+    expect(() => {
+      pgee.bridge({ channels: [], authorize: true });
+    }).to.throw(TypeError, 'authorize must be a function');
+
+    const bridge = pgee.bridge({ channels: ['foo'], path: '/live' });
+
+    expect(bridge).to.be.an.instanceof(Bridge);
+    expect(bridge.path).to.equal('/live');
+    expect(bridge.handleRequest({ url: '/events?channel=foo' })).to.equal(false);
+    expect(bridge.handleUpgrade({ url: '/' }, createSocket())).to.equal(false);
+    expect(bridge.stats()).to.equal({ clients: 0, channels: {} });
+    bridge.close().then(done);
+  });
+
+  it('streams notifications as Server-Sent Events', (done) => {
+    const codec = {
+      encode: JSON.stringify,
+      decode: (payload) => {
+        return payload === 'undefined' ? undefined : JSON.parse(payload);
+      }
+    };
+
+    setup({ channels: ['orders', 'audit'] }, { codec: codec }, (broker, pgee, bridge) => {
+      const server = Http.createServer();
+      const responses = [];
+      let output = '';
+
+      bridge.attach(server);
+
+      const request = (path, callback) => {
+        const port = server.address().port;
+
+        Http.get({ host: '127.0.0.1', port: port, path: path }, (response) => {
+          responses.push(response);
+          response.setEncoding('utf8');
+          callback(response);
+        });
+      };
+
+      server.listen(0, '127.0.0.1', () => {
+        request('/events?channel=orders&channel=audit', (response) => {
+          expect(response.statusCode).to.equal(200);
+          expect(response.headers['content-type']).to.equal('text/event-stream; charset=utf-8');
+          expect(response.headers['cache-control']).to.equal('no-cache');
+          expect(broker.channels()).to.equal(['audit', 'orders']);
+
+          response.on('data', (chunk) => {
+            output += chunk;
+          });
+
+          request('/events?channel=orders', () => {
+            expect(bridge.stats()).to.equal({
+              clients: 2,
+              channels: { orders: 2, audit: 1 }
+            });
+
+            broker.notify('orders', '{"id":1}');
+            broker.notify('audit', '"a\\nb"');
+            broker.notify('orders', 'undefined');
+            until(() => {
+              return output.indexOf('data: null') !== -1;
+            }, () => {
+              expect(output).to.equal(':ok\n\nevent: orders\ndata: {"id":1}\n\n' +
+                                      'event: audit\ndata: "a\\nb"\n\n' +
+                                      'event: orders\ndata: null\n\n');
+
+              // The channels of the first client are released when it leaves
+              responses[0].destroy();
+              until(() => {
+                return broker.channels().length === 1;
+              }, () => {
+                expect(broker.channels()).to.equal(['orders']);
+                expect(bridge.stats()).to.equal({ clients: 1, channels: { orders: 1 } });
+
+                bridge.close(() => {
+                  expect(server.listenerCount('request')).to.equal(0);
+                  expect(broker.channels()).to.equal([]);
+
+                  // The instance stays connected
+                  expect(pgee.health().connected).to.equal(true);
+                  server.close();
+                  pgee.close(done);
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects invalid Server-Sent Events requests', (done) => {
+    const authorize = (request, channel) => {
+      expect(request.headers.authorization).to.equal('token');
+
+      if (channel === 'error') {
+        throw new Error('no session');
+      }
+
+      if (channel === 'login') {
+        const err = new Error('session expired');
+
+        err.statusCode = 401;
+        throw err;
+      }
+
+      return channel !== 'secret';
+    };
+
+    setup({ authorize: authorize }, null, (broker, pgee, bridge) => {
+      const server = Http.createServer();
+      const cases = [
+        ['POST', '/events?channel=foo', 405, 'method not allowed'],
+        ['GET', '/events', 400, 'at least one channel is required'],
+        ['GET', '/events?channel=a%0Ab', 400, 'invalid channel name'],
+        ['GET', '/events?channel=foo&channel=secret', 403, 'not authorized to listen on secret'],
+        ['GET', '/events?channel=error', 500, 'no session'],
+        ['GET', '/events?channel=login', 401, 'session expired'],
+        ['GET', `/events?channel=${'a'.repeat(64)}`, 400, 'channel name must not exceed 63 bytes']
+      ];
+
+      bridge.attach(server);
+
+      // Requests on other paths are left to other listeners
+      server.on('request', (request, response) => {
+        if (request.url === '/other') {
+          response.end('other');
+        }
+      });
+
+      const next = (index) => {
+        if (index === cases.length) {
+          expect(broker.channels()).to.equal([]);
+          server.close();
+          return bridge.close().then(() => {
+            return pgee.close();
+          }).then(done);
+        }
+
+        const options = {
+          host: '127.0.0.1',
+          port: server.address().port,
+          method: cases[index][0],
+          path: cases[index][1],
+          headers: { authorization: 'token' }
+        };
+
+        Http.request(options, (response) => {
+          let body = '';
+
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => {
+            body += chunk;
+          });
+          response.on('end', () => {
+            expect(response.statusCode).to.equal(cases[index][2]);
+            expect(body).to.equal(cases[index][3]);
+
+            if (cases[index][0] === 'POST') {
+              expect(response.headers.allow).to.equal('GET');
+            }
+
+            next(index + 1);
+          });
+        }).end();
+      };
+
+      server.listen(0, '127.0.0.1', () => {
+        Http.get({ host: '127.0.0.1', port: server.address().port, path: '/other' }, (response) => {
+          response.setEncoding('utf8');
+          response.on('data', (chunk) => {
+            expect(chunk).to.equal('other');
+            next(0);
+          });
+        });
+      });
+    });
+  });
+
+  it('reports channels that cannot be listened to', (done) => {
+    const pgee = new PgEe(new MemoryBroker().pool());
+    const bridge = pgee.bridge({ channels: ['foo'] });
+    const socket = createSocket();
+
+    bridge.handleUpgrade(upgradeRequest('/events?channel=foo'), socket);
+
+    until(() => {
+      return socket.ended;
+    }, () => {
+      expect(socket.output.toString()).to.equal(
+        'HTTP/1.1 503 Service Unavailable\r\nConnection: close\r\n' +
+        'Content-Type: text/plain; charset=utf-8\r\nContent-Length: 25\r\n\r\n' +
+        'not connected to database');
+      bridge.close(done);
+    });
+  });
+
+  it('supports authorization hooks with callbacks and Promises', (done) => {
+    const hooks = [
+      (request, channel, callback) => {
+        callback(null, channel === 'foo');
+
+        // Later calls are ignored
+        callback(null, true);
+      },
+      (request, channel) => {
+        return Promise.resolve(channel === 'foo');
+      },
+      () => {
+        return Promise.reject();
+      },
+      () => {
+        return Promise.reject(new Error('expired'));
+      }
+    ];
+    const next = (index) => {
+      if (index === hooks.length) {
+        return done();
+      }
+
+      setup({ authorize: hooks[index] }, null, (broker, pgee, bridge) => {
+        const socket = createSocket();
+
+        bridge.handleUpgrade(upgradeRequest('/events?channel=foo'), socket);
+        until(() => {
+          return socket.output.length > 0;
+        }, () => {
+          if (index >= 2) {
+            expect(socket.output.toString()).to.startWith('HTTP/1.1 500 ');
+            expect(socket.output.toString()).to.endWith(index === 2 ? 'authorization failed' : 'expired');
+            pgee.close();
+            return next(index + 1);
+          }
+
+          expect(socket.read().head).to.contain('101 Switching Protocols');
+          socket.emit('data', frame(0x1, { type: 'subscribe', channel: 'bar' }));
+
+          until(() => {
+            return socket.read().frames.length > 0;
+          }, () => {
+            expect(socket.read().frames[0].data).to.equal({
+              type: 'error',
+              channel: 'bar',
+              message: 'not authorized to listen on bar'
+            });
+
+            pgee.close();
+            next(index + 1);
+          });
+        });
+      });
+    };
+
+    next(0);
+  });
+
+  it('relays notifications over WebSocket', (done) => {
+    const codec = {
+      encode: (message) => {
+        return message;
+      },
+      decode: (payload) => {
+        return payload === 'undefined' ? undefined : payload;
+      }
+    };
+
+    setup({ channels: ['a', 'b', 'c'], keepAlive: 0 }, { codec: codec }, (broker, pgee, bridge) => {
+      const socket = createSocket();
+      const hello = frame(0x1, { type: 'subscribe', channel: 'b' });
+
+      const send = () => {
+        const messages = [
+          'not json',
+          '1',
+          { type: 'foo' },
+          { type: 'subscribe', channel: '' },
+          { type: 'subscribe', channel: 'd', padding: 'x'.repeat(200) },
+          { type: 'subscribe', channel: 'd' },
+          { type: 'subscribe', channel: 42 },
+          { type: 'unsubscribe', channel: 'a' },
+          { type: 'unsubscribe', channel: 'c' }
+        ];
+
+        // Messages may be split across packets
+        const data = Buffer.concat(messages.map((message) => {
+          return frame(0x1, message);
+        }));
+
+        for (let i = 0; i < data.length; ++i) {
+          socket.emit('data', data.slice(i, i + 1));
+        }
+
+        until(() => {
+          return socket.read().frames.length === 13;
+        }, () => {
+          expect(socket.read().frames.slice(1).map((received) => {
+            return received.data;
+          })).to.equal([
+            { type: 'notification', channel: 'a', payload: 'x'.repeat(200) },
+            { type: 'notification', channel: 'b', payload: 'y'.repeat(70000) },
+            { type: 'notification', channel: 'a', payload: null },
+            { type: 'error', message: 'invalid message' },
+            { type: 'error', message: 'invalid message' },
+            { type: 'error', message: 'invalid message' },
+            { type: 'error', channel: '', message: 'invalid channel name' },
+            { type: 'error', channel: 'd', message: 'channel is not allowed: d' },
+            { type: 'error', channel: 'd', message: 'channel is not allowed: d' },
+            { type: 'error', channel: 42, message: 'invalid channel name' },
+            { type: 'unsubscribed', channel: 'a' },
+            { type: 'unsubscribed', channel: 'c' }
+          ]);
+
+          until(() => {
+            return broker.channels().length === 1;
+          }, () => {
+            expect(broker.channels()).to.equal(['b']);
+
+            // Leaving releases the remaining channels
+            socket.destroy();
+            expect(bridge.stats()).to.equal({ clients: 0, channels: {} });
+            until(() => {
+              return broker.channels().length === 0;
+            }, () => {
+              pgee.close(done);
+            });
+          });
+        });
+      };
+
+      // Frames can follow the handshake in the same packet
+      bridge.handleUpgrade(upgradeRequest('/events?channel=a'), socket, hello);
+
+      until(() => {
+        return socket.read().frames.length === 1;
+      }, () => {
+        const reply = socket.read();
+
+        expect(reply.head).to.equal('HTTP/1.1 101 Switching Protocols\r\n' +
+                                    'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+                                    'Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n\r\n');
+        expect(reply.frames[0].data).to.equal({ type: 'subscribed', channel: 'b' });
+        expect(broker.channels()).to.equal(['a', 'b']);
+
+        broker.notify('a', 'x'.repeat(200));
+        broker.notify('b', 'y'.repeat(70000));
+        broker.notify('a', 'undefined');
+
+        until(() => {
+          return socket.read().frames.length === 4;
+        }, () => {
+          send();
+        });
+      });
+    });
+  });
+
+  it('implements the WebSocket protocol', (done) => {
+    setup({ channels: ['a'], maxMessageBytes: 300 }, null, (broker, pgee, bridge) => {
+      const open = (callback) => {
+        const socket = createSocket();
+
+        bridge.handleUpgrade(upgradeRequest('/events'), socket);
+        until(() => {
+          return socket.output.length > 0;
+        }, () => {
+          callback(socket);
+        });
+      };
+
+      const closedWith = (data, code, callback) => {
+        open((socket) => {
+          [].concat(data).forEach((chunk) => {
+            socket.emit('data', chunk);
+          });
+
+          until(() => {
+            return socket.ended;
+          }, () => {
+            const frames = socket.read().frames;
+            const last = frames[frames.length - 1];
+
+            expect(last.opcode).to.equal(0x8);
+            expect(last.data.readUInt16BE(0)).to.equal(code);
+            callback(frames);
+          });
+        });
+      };
+
+      const run = () => {
+        const cases = [
+          [frame(0x8, ''), 1000],
+          [frame(0x2, 'binary'), 1003],
+          [frame(0x1, 'x', { mask: false }), 1002],
+          [frame(0x1, 'x', { rsv: 0x40 }), 1002],
+          [frame(0x0, 'x'), 1002],
+          [frame(0x3, 'x'), 1002],
+          [frame(0x9, 'x', { fin: false }), 1002],
+          [Buffer.concat([frame(0x1, { type: 'subscribe', channel: 'a' }), frame(0x8, '')]), 1000],
+          [[frame(0x1, 'x'.repeat(301)).slice(0, 3), frame(0x1, 'x'.repeat(301)).slice(3)], 1009],
+          [[frame(0x1, 'x'.repeat(0x10000)).slice(0, 5), frame(0x1, 'x'.repeat(0x10000)).slice(5, 10)], 1009],
+          [Buffer.concat([frame(0x1, 'x'.repeat(200), { fin: false }), frame(0x0, 'x'.repeat(200))]), 1009]
+        ];
+        const next = (index) => {
+          if (index === cases.length) {
+            return bridge.close().then(() => {
+              return pgee.close();
+            }).then(done);
+          }
+
+          closedWith(cases[index][0], cases[index][1], () => {
+            next(index + 1);
+          });
+        };
+
+        next(0);
+      };
+
+      open((socket) => {
+        // Control frames can be interleaved with fragments
+        socket.emit('data', Buffer.concat([
+          frame(0x1, '{"type":"subscribe",', { fin: false }),
+          frame(0x9, 'hi'),
+          frame(0x0, '"channel":"a"}')
+        ]));
+
+        until(() => {
+          return socket.read().frames.length === 2;
+        }, () => {
+          expect(socket.read().frames).to.equal([
+            { opcode: 0xA, data: Buffer.from('hi') },
+            { opcode: 0x1, data: { type: 'subscribed', channel: 'a' } }
+          ]);
+
+          socket.emit('data', Buffer.concat([frame(0xA, ''), frame(0x8, Buffer.from([3, 0xe9]))]));
+          expect(socket.ended).to.equal(true);
+          expect(socket.read().frames[2]).to.equal({ opcode: 0x8, data: Buffer.from([3, 0xe9]) });
+          until(() => {
+            return broker.channels().length === 0;
+          }, run);
+        });
+      });
+    });
+  });
+
+  it('rejects invalid handshakes', (done) => {
+    setup({ channels: ['a'] }, null, (broker, pgee, bridge) => {
+      const other = createSocket();
+
+      [
+        { 'sec-websocket-version': '8' },
+        { 'sec-websocket-key': undefined },
+        { upgrade: undefined }
+      ].forEach((headers) => {
+        const invalid = createSocket();
+
+        bridge.handleUpgrade(upgradeRequest('/events', headers), invalid);
+        expect(invalid.output.toString()).to.startWith('HTTP/1.1 400 Bad Request\r\n');
+        expect(invalid.output.toString()).to.endWith('invalid WebSocket handshake');
+      });
+
+      bridge.handleUpgrade(upgradeRequest('/events?channel=b'), other);
+      until(() => {
+        return other.ended;
+      }, () => {
+        expect(other.output.toString()).to.startWith('HTTP/1.1 403 Forbidden\r\n');
+        expect(other.output.toString()).to.endWith('channel is not allowed: b');
+        pgee.close(done);
+      });
+    });
+  });
+
+  it('accepts WebSocket connections on attached servers', (done) => {
+    setup({ channels: ['a'] }, null, (broker, pgee, bridge) => {
+      const server = Http.createServer();
+
+      bridge.attach(server);
+      server.listen(0, '127.0.0.1', () => {
+        const port = server.address().port;
+        const connect = (path, callback) => {
+          const socket = Net.connect(port, '127.0.0.1', () => {
+            socket.write(`GET ${path} HTTP/1.1\r\nHost: localhost\r\n` +
+                         'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+                         'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+                         'Sec-WebSocket-Version: 13\r\n\r\n');
+          });
+          let output = '';
+
+          socket.setEncoding('latin1');
+          socket.on('data', (chunk) => {
+            output += chunk;
+
+            if (output.indexOf('\r\n\r\n') !== -1) {
+              socket.removeAllListeners('data');
+              callback(socket, output);
+            }
+          });
+
+          return socket;
+        };
+
+        // Upgrades on other paths are closed when nobody else handles them
+        connect('/other', () => {
+          Code.fail('upgrade should be closed');
+        }).on('close', () => {
+          connect('/events?channel=a', (socket, output) => {
+            expect(output).to.contain('101 Switching Protocols');
+
+            socket.once('data', (chunk) => {
+              const text = '{"type":"notification","channel":"a","payload":1}';
+
+              expect(chunk).to.equal('\u0081' + String.fromCharCode(text.length) + text);
+
+              // Closing the bridge closes its clients
+              socket.on('data', (chunk) => {
+                expect(chunk).to.equal('\u0088\u0002\u0003\u00e9');
+              });
+              socket.on('close', () => {
+                server.close();
+                pgee.close(done);
+              });
+              bridge.close();
+            });
+
+            broker.notify('a', '1');
+          });
+        });
+      });
+    });
+  });
+
+  it('answers requests on other paths when nobody else handles them', (done) => {
+    setup({ channels: ['a'] }, null, (broker, pgee, bridge) => {
+      const server = Http.createServer();
+
+      bridge.attach(server);
+      server.listen(0, '127.0.0.1', () => {
+        const get = (callback) => {
+          Http.get({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: '/other'
+          }, (response) => {
+            let body = '';
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+              body += chunk;
+            });
+            response.on('end', () => {
+              callback(response.statusCode, body);
+            });
+          });
+        };
+
+        get((status, body) => {
+          expect(status).to.equal(404);
+          expect(body).to.equal('not found');
+
+          server.on('request', (request, response) => {
+            response.end('other');
+          });
+
+          get((status, body) => {
+            expect(status).to.equal(200);
+            expect(body).to.equal('other');
+            bridge.close(() => {
+              server.close();
+              pgee.close(done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('sends keep-alive messages', (done) => {
+    setup({ channels: ['a'], keepAlive: 5 }, null, (broker, pgee, bridge) => {
+      const socket = createSocket();
+      const response = new EventEmitter();
+
+      response.output = '';
+      response.writeHead = (status, headers) => {
+        expect(status).to.equal(200);
+        expect(headers['Content-Type']).to.equal('text/event-stream; charset=utf-8');
+      };
+      response.write = (text) => {
+        response.output += text;
+      };
+
+      bridge.handleUpgrade(upgradeRequest('/events?channel=a'), socket);
+      bridge.handleRequest({ url: '/events?channel=a', method: 'GET' }, response);
+
+      until(() => {
+        return response.output.indexOf(':ok\n\n:\n\n') === 0 &&
+          socket.read().frames.length > 0;
+      }, () => {
+        expect(socket.read().frames[0]).to.equal({ opcode: 0x9, data: Buffer.alloc(0) });
+
+        // The timer stops with the last client
+        socket.destroy();
+        response.emit('close');
+        expect(bridge._keepAliveTimer).to.equal(null);
+
+        response.end = () => {
+          Code.fail('closed responses should not be ended');
+        };
+
+        bridge.close().then(() => {
+          return pgee.close();
+        }).then(done);
+      });
+    });
+  });
+
+  it('disconnects clients that do not keep up', (done) => {
+    setup({ channels: ['a'], maxBufferedBytes: 100 }, null, (broker, pgee, bridge) => {
+      const socket = createSocket();
+      const response = new EventEmitter();
+      let buffered = 0;
+
+      response.output = '';
+      response.writeHead = () => {};
+      response.write = (text) => {
+        response.output += text;
+      };
+      response.destroy = () => {
+        response.emit('close');
+      };
+
+      Object.defineProperty(socket, 'writableLength', {
+        get: () => {
+          return buffered;
+        }
+      });
+      Object.defineProperty(response, 'writableLength', {
+        get: () => {
+          return buffered;
+        }
+      });
+
+      bridge.handleUpgrade(upgradeRequest('/events?channel=a'), socket);
+      bridge.handleRequest({ url: '/events?channel=a', method: 'GET' }, response);
+
+      until(() => {
+        return bridge.stats().clients === 2;
+      }, () => {
+        broker.notify('a', '1');
+
+        until(() => {
+          return response.output.indexOf('data: 1') !== -1;
+        }, () => {
+          expect(socket.read().frames).to.have.length(1);
+          expect(socket.destroyed).to.equal(false);
+
+          buffered = 101;
+          broker.notify('a', '2');
+
+          until(() => {
+            return bridge.stats().clients === 0;
+          }, () => {
+            expect(socket.destroyed).to.equal(true);
+            expect(response.output).to.endWith('data: 2\n\n');
+            bridge.close().then(() => {
+              return pgee.close();
+            }).then(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('admits clients once every channel is authorized', (done) => {
+    const pending = [];
+    const authorize = (request, channel, callback) => {
+      pending.push(callback);
+    };
+
+    setup({ authorize: authorize }, null, (broker, pgee, bridge) => {
+      const socket = createSocket();
+      const response = new EventEmitter();
+
+      response.output = '';
+      response.writeHead = () => {};
+      response.write = (text) => {
+        response.output += text;
+      };
+      response.end = () => {
+        response.ended = true;
+      };
+
+      bridge.handleUpgrade(upgradeRequest('/events?channel=a&channel=b'), socket);
+      bridge.handleRequest({ url: '/events?channel=a&channel=b', method: 'GET' }, response);
+      pending[0](null, true);
+      pending[1](null, true);
+
+      until(() => {
+        return pending.length === 4;
+      }, () => {
+        // Notifications are not sent to clients being admitted
+        broker.notify('a', '1');
+
+        setTimeout(() => {
+          expect(socket.output.length).to.equal(0);
+          expect(response.output).to.equal('');
+          expect(bridge.stats()).to.equal({ clients: 0, channels: { a: 2 } });
+
+          pending[2](null, true);
+          pending[3](null, true);
+
+          until(() => {
+            return bridge.stats().clients === 2;
+          }, () => {
+            expect(socket.read()).to.equal({
+              head: socket.read().head,
+              frames: []
+            });
+            expect(socket.read().head).to.contain('101 Switching Protocols');
+            expect(response.output).to.equal(':ok\n\n');
+            bridge.close().then(() => {
+              expect(response.ended).to.equal(true);
+              return pgee.close();
+            }).then(done);
+          });
+        }, 20);
+      });
+    });
+  });
+
+  it('handles clients that leave while being admitted', (done) => {
+    let allow = null;
+    const authorize = (request, channel, callback) => {
+      allow = callback;
+    };
+
+    setup({ authorize: authorize }, null, (broker, pgee, bridge) => {
+      const socket = createSocket();
+
+      bridge.handleUpgrade(upgradeRequest('/events?channel=a&channel=b'), socket);
+
+      // Errors destroy the socket
+      socket.emit('error', new Error('reset'));
+      expect(socket.destroyed).to.equal(true);
+
+      allow(null, true);
+      expect(bridge.stats().channels).to.equal({ a: 1 });
+      until(() => {
+        return bridge.stats().channels.a === undefined && broker.channels().length === 0;
+      }, () => {
+        expect(socket.output.length).to.equal(0);
+
+        const responses = [new EventEmitter(), new EventEmitter()];
+        const request = (index, channel) => {
+          const response = responses[index];
+
+          response.writeHead = (status) => {
+            response.status = status;
+          };
+          response.end = (text) => {
+            response.text = text;
+          };
+          bridge.handleRequest({ url: `/events?channel=${channel}`, method: 'GET' }, response);
+          return allow;
+        };
+
+        // Clients being admitted when the bridge closes are rejected
+        request(0, 'c')(null, true);
+
+        const allowD = request(1, 'd');
+
+        bridge.close(() => {
+          allowD(null, true);
+          until(() => {
+            return responses[0].text !== undefined && responses[1].text !== undefined;
+          }, () => {
+            responses.forEach((response) => {
+              expect(response.status).to.equal(503);
+              expect(response.text).to.equal('bridge closed');
+            });
+
+            expect(broker.channels()).to.equal([]);
+            pgee.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it('orders the LISTEN and UNLISTEN of a channel', (done) => {
+    setup({ channels: ['a'] }, null, (broker, pgee, bridge) => {
+      const socket = createSocket();
+      const subscribe = frame(0x1, { type: 'subscribe', channel: 'a' });
+      const unsubscribe = frame(0x1, { type: 'unsubscribe', channel: 'a' });
+
+      bridge.handleUpgrade(upgradeRequest('/events'), socket);
+
+      until(() => {
+        return socket.output.length > 0;
+      }, () => {
+        // Unsubscribing while the LISTEN is in progress
+        socket.emit('data', Buffer.concat([subscribe, unsubscribe]));
+
+        until(() => {
+          return socket.read().frames.length === 2;
+        }, () => {
+          until(() => {
+            return broker.channels().length === 0 && !bridge._releasing.has('a');
+          }, () => {
+            socket.emit('data', subscribe);
+
+            until(() => {
+              return socket.read().frames.length === 3;
+            }, () => {
+              // Subscribing again while the UNLISTEN is in progress
+              socket.emit('data', Buffer.concat([unsubscribe, subscribe]));
+
+              until(() => {
+                return socket.read().frames.length === 5;
+              }, () => {
+                expect(socket.read().frames.map((received) => {
+                  return received.data.type;
+                })).to.equal(['unsubscribed', 'subscribed', 'subscribed', 'unsubscribed', 'subscribed']);
+                expect(broker.channels()).to.equal(['a']);
+                bridge.close().then(() => {
+                  expect(broker.channels()).to.equal([]);
+                  return pgee.close();
+                }).then(done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const NotifyBuffer = require('../lib/buffer');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('NotifyBuffer', () => {
+  it('validates options', (done) => {
+    expect(() => {
+      return new NotifyBuffer({ overflow: 'foo' });
+    }).to.throw(TypeError, 'unknown buffer overflow: foo');
+
+    expect(() => {
+      return new NotifyBuffer({ maxSize: 0 });
+    }).to.throw(TypeError, 'buffer maxSize must be a positive number');
+
+    const buffer = new NotifyBuffer(true);
+
+    expect(buffer.maxSize).to.equal(1000);
+    expect(buffer.overflow).to.equal('drop-newest');
+    expect(buffer.ttl).to.equal(0);
+    done();
+  });
+
+  it('drains items in order', (done) => {
+    const buffer = new NotifyBuffer();
+
+    buffer.add(1, Code.fail);
+    buffer.add(2, Code.fail);
+    expect(buffer.size()).to.equal(2);
+    expect(buffer.drain()).to.equal([1, 2]);
+    expect(buffer.size()).to.equal(0);
+    expect(buffer.drain()).to.equal([]);
+    done();
+  });
+
+  it('rejects new items when full', (done) => {
+    const buffer = new NotifyBuffer({ maxSize: 1 });
+
+    buffer.add(1, Code.fail);
+    buffer.add(2, (err) => {
+      expect(err.message).to.equal('notification buffer is full');
+      expect(buffer.drain()).to.equal([1]);
+      done();
+    });
+  });
+
+  it('drops the oldest items when full', (done) => {
+    const buffer = new NotifyBuffer({ maxSize: 2, overflow: 'drop-oldest' });
+    const failed = [];
+
+    buffer.add(1, (err) => {
+      failed.push([1, err.message]);
+    });
+    buffer.add(2, Code.fail);
+    buffer.add(3, Code.fail);
+    expect(failed).to.equal([[1, 'notification buffer is full']]);
+    expect(buffer.drain()).to.equal([2, 3]);
+    done();
+  });
+
+  it('expires items after their TTL', (done) => {
+    const buffer = new NotifyBuffer({ ttl: 10 });
+    const failed = [];
+
+    buffer.add(1, (err) => {
+      failed.push([1, err.message]);
+    });
+
+    setTimeout(() => {
+      buffer.add(2, (err) => {
+        failed.push([2, err.message]);
+        expect(failed).to.equal([
+          [1, 'buffered notification expired'],
+          [2, 'buffered notification expired']
+        ]);
+        expect(buffer.size()).to.equal(0);
+        expect(buffer._timer).to.equal(null);
+        done();
+      });
+
+      expect(failed.length).to.equal(1);
+      expect(buffer.size()).to.equal(1);
+    }, 15);
+  });
+
+  it('fails items when cleared', (done) => {
+    const buffer = new NotifyBuffer({ ttl: 1000 });
+    const err = new Error('foo');
+
+    buffer.add(1, (error) => {
+      expect(error).to.shallow.equal(err);
+      expect(buffer.size()).to.equal(0);
+      expect(buffer._timer).to.equal(null);
+      done();
+    });
+
+    buffer.clear(err);
+  });
+});
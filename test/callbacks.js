@@ -0,0 +1,119 @@
+'use strict';
+const EventEmitter = require('events');
+const Code = require('code');
+const Lab = require('lab');
+const Callbacks = require('../lib/callbacks');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Callbacks', () => {
+  describe('pending()', () => {
+    it('calls the callback with the context', (done) => {
+      const context = new EventEmitter();
+      const pending = Callbacks.pending(context, function callback (err, value) {
+        expect(this).to.shallow.equal(context);
+        expect(err).to.equal(null);
+        expect(value).to.equal(1);
+        done();
+      }, 'foo');
+
+      expect(pending.promise).to.equal(undefined);
+      pending.done(null, 1);
+    });
+
+    it('emits the outcome and settles a Promise', (done) => {
+      const context = new EventEmitter();
+      const pending = Callbacks.pending(context, undefined, 'foo');
+      const error = new Error('bar');
+      let emitted = null;
+
+      context.on('foo', (err, value) => {
+        expect(err).to.equal(null);
+        emitted = value;
+      });
+
+      pending.done(null, 1).then((value) => {
+        expect(value).to.equal(1);
+        expect(emitted).to.equal(1);
+
+        const failed = Callbacks.pending(context, undefined, 'foo');
+
+        context.on('error', (err) => {
+          expect(err).to.shallow.equal(error);
+        });
+
+        return failed.done(error);
+      }).then(() => {
+        Code.fail('should not resolve');
+      }, (err) => {
+        expect(err).to.shallow.equal(error);
+        done();
+      });
+    });
+
+    it('rejects without emitting when there are no error listeners', (done) => {
+      const context = new EventEmitter();
+      const pending = Callbacks.pending(context, undefined, null);
+
+      pending.done(new Error('foo')).catch((err) => {
+        expect(err).to.be.an.error('foo');
+        return Callbacks.pending(context, undefined, null).done(null, 1);
+      }).then((value) => {
+        expect(value).to.equal(1);
+        done();
+      });
+    });
+  });
+
+  describe('invoke()', () => {
+    it('supports handlers accepting a callback', (done) => {
+      const handler = (a, b, callback) => {
+        callback(null, a + b);
+        callback(new Error('ignored'));
+        throw new Error('ignored');
+      };
+
+      Callbacks.invoke(handler, [1, 2], 'failed', (err, value) => {
+        expect(err).to.equal(null);
+        expect(value).to.equal(3);
+        done();
+      });
+    });
+
+    it('supports handlers returning a value or a Promise', (done) => {
+      Callbacks.invoke((a) => {
+        return a + 1;
+      }, [1], 'failed', (err, value) => {
+        expect(err).to.equal(null);
+        expect(value).to.equal(2);
+
+        Callbacks.invoke(() => {
+          return Promise.reject();
+        }, [], 'failed', (err) => {
+          expect(err).to.be.an.error('failed');
+
+          Callbacks.invoke(() => {
+            return Promise.reject(new Error('foo'));
+          }, [], 'failed', (err) => {
+            expect(err).to.be.an.error('foo');
+            done();
+          });
+        });
+      });
+    });
+
+    it('reports errors thrown by handlers', (done) => {
+      const error = new Error('foo');
+
+      Callbacks.invoke(() => {
+        throw error;
+      }, [], 'failed', (err) => {
+        expect(err).to.shallow.equal(error);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,65 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Channels = require('../lib/channels');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Channels', () => {
+  describe('normalize()', () => {
+    it('returns valid names unchanged', (done) => {
+      const longest = 'a'.repeat(Channels.MAX_CHANNEL_BYTES);
+
+      expect(Channels.normalize('foo')).to.equal('foo');
+      expect(Channels.normalize('a "quoted" name')).to.equal('a "quoted" name');
+      expect(Channels.normalize(42)).to.equal('42');
+      expect(Channels.normalize(longest)).to.equal(longest);
+      done();
+    });
+
+    it('rejects invalid names with a ChannelError', (done) => {
+      const names = [
+        ['', 'channel name must not be empty'],
+        ['foo\u0000', 'channel name must not contain null characters'],
+        ['a'.repeat(64), 'channel name must not exceed 63 bytes'],
+        ['é'.repeat(32), 'channel name must not exceed 63 bytes']
+      ];
+
+      names.forEach((name) => {
+        try {
+          Channels.normalize(name[0]);
+          Code.fail('should throw');
+        } catch (err) {
+          expect(err).to.be.an.error(Channels.ChannelError, name[1]);
+          expect(err.name).to.equal('ChannelError');
+          expect(err.channel).to.equal(name[0]);
+          expect(err.stack).to.contain('ChannelError');
+        }
+      });
+
+      done();
+    });
+
+    it('maps long names to stable hashed names', (done) => {
+      const name = `${'a'.repeat(60)}.orders`;
+      const hashed = Channels.normalize(name, true);
+
+      expect(hashed).to.match(/^a{46}_[0-9a-f]{16}$/);
+      expect(Channels.normalize(name, true)).to.equal(hashed);
+      expect(Channels.normalize(`${name}s`, true)).to.not.equal(hashed);
+      expect(Channels.normalize('foo', true)).to.equal('foo');
+      done();
+    });
+
+    it('does not split multibyte characters when hashing', (done) => {
+      const hashed = Channels.normalize(`a${'é'.repeat(40)}`, true);
+
+      expect(Buffer.byteLength(hashed)).to.be.at.most(Channels.MAX_CHANNEL_BYTES);
+      expect(hashed).to.match(/^aé{22}_[0-9a-f]{16}$/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Chunking = require('../lib/chunking');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Chunking', () => {
+  describe('split()', () => {
+    it('returns payloads that fit unchanged', (done) => {
+      const payload = 'a'.repeat(Chunking.MAX_PAYLOAD_BYTES);
+
+      expect(Chunking.split(payload)).to.equal([payload]);
+      expect(Chunking.split(undefined)).to.equal([undefined]);
+      done();
+    });
+
+    it('splits oversized payloads into fragments', (done) => {
+      const payload = 'a'.repeat(250);
+      const fragments = Chunking.split(payload, 164);
+
+      expect(fragments.length).to.equal(3);
+      fragments.forEach((fragment, index) => {
+        expect(Chunking.isFragment(fragment)).to.equal(true);
+        expect(Buffer.byteLength(fragment)).to.be.at.most(164);
+        expect(fragment).to.match(new RegExp(`^pgee:chunk:[0-9a-f]{16}:${index}:3:a+$`));
+      });
+      expect(Chunking.isFragment(payload)).to.equal(false);
+      expect(Chunking.isFragment(undefined)).to.equal(false);
+      done();
+    });
+
+    it('does not split multibyte characters', (done) => {
+      const payload = '€'.repeat(100);
+      const fragments = Chunking.split(payload, 164);
+
+      fragments.forEach((fragment) => {
+        expect(fragment.split(':')[5]).to.match(/^€+$/);
+      });
+      done();
+    });
+
+    it('rejects a maxBytes too small for the header', (done) => {
+      expect(() => {
+        Chunking.split('abcdefghij', 8);
+      }).to.throw(RangeError);
+      done();
+    });
+  });
+
+  describe('Assembler', () => {
+    it('reassembles fragments in any order', (done) => {
+      const assembler = new Chunking.Assembler(null, () => {
+        Code.fail('should not expire');
+      });
+      const payload = '{"data":"' + 'x'.repeat(300) + '"}';
+      const fragments = Chunking.split(payload, 164);
+
+      expect(fragments.length).to.equal(4);
+      expect(assembler.add(1, 'foo', fragments[2])).to.equal(null);
+      expect(assembler.add(1, 'foo', fragments[0])).to.equal(null);
+      expect(assembler.add(1, 'foo', fragments[0])).to.equal(null);
+      expect(assembler.add(1, 'foo', fragments[3])).to.equal(null);
+
+      // Fragments from other senders are tracked separately
+      expect(assembler.add(2, 'foo', fragments[1])).to.equal(null);
+      expect(assembler.add(1, 'foo', fragments[1])).to.equal(payload);
+      expect(assembler._pending.size).to.equal(1);
+      assembler.clear();
+      expect(assembler._pending.size).to.equal(0);
+      done();
+    });
+
+    it('throws on malformed fragments', (done) => {
+      const assembler = new Chunking.Assembler(null, () => {});
+
+      expect(() => {
+        assembler.add(1, 'foo', 'pgee:chunk:abc:3:3:data');
+      }).to.throw('malformed payload fragment');
+
+      expect(() => {
+        assembler.add(1, 'foo', 'pgee:chunk:abc');
+      }).to.throw('malformed payload fragment');
+
+      expect(() => {
+        assembler.add(1, 'foo', 'pgee:chunk:abc:x:3:data');
+      }).to.throw('malformed payload fragment');
+      done();
+    });
+
+    it('expires incomplete payloads', (done) => {
+      const assembler = new Chunking.Assembler({ timeout: 1 }, (channel, raw) => {
+        expect(channel).to.equal('foo');
+        expect(raw).to.equal('bar');
+        expect(assembler._pending.size).to.equal(0);
+        done();
+      });
+
+      assembler.add(1, 'foo', 'pgee:chunk:abc:0:2:bar');
+    });
+  });
+});
@@ -0,0 +1,344 @@
+'use strict';
+const Stream = require('stream');
+const Code = require('code');
+const Lab = require('lab');
+const Postgresql = require('pg');
+const Cli = require('../lib/cli');
+const MemoryBroker = require('../lib/memory');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Cli', () => {
+  function createIo (onError) {
+    const io = {
+      stdin: new Stream.PassThrough(),
+      stdout: { output: '', isTTY: false },
+      stderr: { output: '' },
+      env: {}
+    };
+
+    io.stdout.write = (text) => {
+      io.stdout.output += text;
+    };
+
+    io.stderr.write = (text) => {
+      io.stderr.output += text;
+
+      if (typeof onError === 'function') {
+        onError(text);
+      }
+    };
+
+    return io;
+  }
+
+  // The CLI creates its clients from the connection options, so they are
+  // replaced with clients made by createClient() until the test ends
+  function connectTo (createClient) {
+    Postgresql.Client = function Client () {
+      return createClient();
+    };
+  }
+
+  function record (broker, channel, callback) {
+    const client = broker.client();
+    const received = [];
+
+    client.on('notification', (notification) => {
+      received.push(notification.payload);
+    });
+
+    client.query(`LISTEN "${channel}"`, () => {
+      callback(received);
+    });
+  }
+
+  describe('parse()', () => {
+    it('parses commands, arguments and options', (done) => {
+      expect(Cli.parse([
+        'listen', '-c', 'postgres://db', 'a', '--port=5433', '-f', 'json',
+        '--ssl', 'b', '--', '-c'
+      ])).to.equal({
+        command: 'listen',
+        args: ['a', 'b', '-c'],
+        options: {
+          connection: 'postgres://db',
+          port: 5433,
+          format: 'json',
+          ssl: true
+        }
+      });
+
+      expect(Cli.parse(['notify', 'a', '-'])).to.equal({
+        command: 'notify',
+        args: ['a', '-'],
+        options: {}
+      });
+
+      expect(Cli.parse([])).to.equal({ command: null, args: [], options: {} });
+      done();
+    });
+
+    it('rejects unknown options and missing values', (done) => {
+      expect(() => {
+        Cli.parse(['listen', '--foo']);
+      }).to.throw('unknown option: --foo');
+
+      expect(() => {
+        Cli.parse(['listen', '-x=1']);
+      }).to.throw('unknown option: -x');
+
+      expect(() => {
+        Cli.parse(['listen', 'a', '--host']);
+      }).to.throw('option --host requires a value');
+
+      done();
+    });
+  });
+
+  describe('connectionOptions()', () => {
+    it('returns the options passed to the constructor', (done) => {
+      const env = { DATABASE_URL: 'postgres://env' };
+
+      expect(Cli.connectionOptions({ connection: 'postgres://db', host: 'a' }, env))
+        .to.equal('postgres://db');
+      expect(Cli.connectionOptions({ host: 'a', port: 1, ssl: true, format: 'raw' }, env))
+        .to.equal({ host: 'a', port: 1, ssl: true });
+      expect(Cli.connectionOptions({}, env)).to.equal('postgres://env');
+      expect(Cli.connectionOptions({}, {})).to.equal({});
+      done();
+    });
+  });
+
+  describe('run()', () => {
+    const Client = Postgresql.Client;
+
+    lab.afterEach((done) => {
+      Postgresql.Client = Client;
+      done();
+    });
+
+    it('prints the usage', (done) => {
+      const io = createIo();
+
+      Cli.run(['--help'], io, (code) => {
+        expect(code).to.equal(0);
+        expect(io.stdout.output).to.equal(Cli.usage);
+
+        Cli.run([], io, (code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.output).to.equal(Cli.usage);
+          done();
+        });
+      });
+    });
+
+    it('reports invalid arguments', (done) => {
+      const cases = [
+        [['foo'], 'pgee: unknown command: foo\n'],
+        [['listen', '--bar'], 'pgee: unknown option: --bar\n'],
+        [['listen', 'a', '-f', 'xml'], 'pgee: unknown format: xml\n'],
+        [['listen'], 'pgee: listen requires at least one channel\n'],
+        [['notify', 'a'], 'pgee: notify requires a channel and a payload\n']
+      ];
+      const next = (index) => {
+        if (index === cases.length) {
+          return done();
+        }
+
+        // None of these connect, so no connection is needed
+        const io = createIo();
+
+        Cli.run(cases[index][0], io, (code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.output).to.endWith(cases[index][1]);
+          next(index + 1);
+        });
+      };
+
+      next(0);
+    });
+
+    it('sends notifications from an argument', (done) => {
+      const broker = new MemoryBroker();
+
+      record(broker, 'app:orders', (received) => {
+        const io = createIo();
+
+        connectTo(() => {
+          return broker.client();
+        });
+        Cli.run(['notify', '-n', 'app', 'orders', '{"id":1}'], io, (code) => {
+          expect(code).to.equal(0);
+          expect(io.stderr.output).to.equal('');
+          expect(received).to.equal(['{"id":1}']);
+          done();
+        });
+      });
+    });
+
+    it('sends notifications from stdin', (done) => {
+      const broker = new MemoryBroker();
+
+      record(broker, 'orders', (received) => {
+        const io = createIo();
+
+        connectTo(() => {
+          return broker.client();
+        });
+        Cli.run(['notify', 'orders', '-'], io, (code) => {
+          expect(code).to.equal(0);
+          expect(received).to.equal(['line 1\nline 2']);
+          done();
+        });
+
+        io.stdin.write('line 1\n');
+        io.stdin.end('line 2\n');
+      });
+    });
+
+    it('reports errors reading stdin and sending', (done) => {
+      const broker = new MemoryBroker({ maxPayloadBytes: 2 });
+      const io = createIo();
+
+      connectTo(() => {
+        return broker.client();
+      });
+
+      Cli.run(['notify', 'orders', '-'], io, (code) => {
+        expect(code).to.equal(1);
+        expect(io.stderr.output).to.equal('pgee: foo\n');
+
+        const other = createIo();
+
+        Cli.run(['notify', 'orders', 'abc'], other, (code) => {
+          expect(code).to.equal(1);
+          expect(other.stderr.output).to.equal('pgee: payload string too long\n');
+          done();
+        });
+      });
+
+      io.stdin.emit('error', new Error('foo'));
+    });
+
+    it('fails when notify is interrupted', (done) => {
+      const broker = new MemoryBroker();
+      const io = createIo();
+
+      connectTo(() => {
+        return broker.client();
+      });
+
+      record(broker, 'orders', (received) => {
+        const stop = Cli.run(['notify', 'orders', '-'], io, (code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.output).to.equal('pgee: interrupted\n');
+          expect(io.stdin.destroyed).to.equal(true);
+
+          setImmediate(() => {
+            expect(received).to.equal([]);
+            done();
+          });
+        });
+
+        io.stdin.write('line 1\n');
+        stop();
+      });
+    });
+
+    it('prints received notifications', (done) => {
+      const broker = new MemoryBroker();
+      const formats = {
+        pretty: /^\d{4}-\d\d-\d\dT[\d:.]+Z orders \[pid 0\] \{ id: 1 \}\n\d{4}-[^ ]+ orders \[pid 0\] 'plain'\n$/,
+        json: /^\{"time":"[^"]+","channel":"orders","processId":0,"payload":\{"id":1\}\}\n\{"time":"[^"]+","channel":"orders","processId":0,"payload":"plain"\}\n$/,
+        raw: /^\{"id":1\}\nplain\n$/
+      };
+      const names = Object.keys(formats);
+
+      connectTo(() => {
+        return broker.client();
+      });
+      const next = (index) => {
+        if (index === names.length) {
+          return done();
+        }
+
+        let stop = null;
+        const io = createIo((text) => {
+          if (text === 'pgee: listening on orders, other\n') {
+            broker.notify('orders', '{"id":1}');
+            broker.notify('orders', 'plain');
+            setImmediate(stop);
+          }
+        });
+
+        stop = Cli.run(['listen', 'orders', 'other', '-f', names[index]], io, (code) => {
+          expect(code).to.equal(0);
+          expect(io.stdout.output).to.match(formats[names[index]]);
+
+          // Stopping twice has no effect
+          stop();
+          next(index + 1);
+        });
+      };
+
+      next(0);
+    });
+
+    it('reports channels that cannot be listened', (done) => {
+      const broker = new MemoryBroker();
+      const io = createIo();
+
+      connectTo(() => {
+        return broker.client();
+      });
+
+      Cli.run(['listen', 'a', 'b'.repeat(64)], io, (code) => {
+        expect(code).to.equal(1);
+        expect(io.stderr.output).to.equal(
+          `pgee: ${'b'.repeat(64)}: channel name must not exceed 63 bytes\n`);
+        done();
+      });
+    });
+
+    it('reports connection errors and reconnections', (done) => {
+      const broker = new MemoryBroker();
+      let stop = null;
+      const io = createIo((text) => {
+        if (text === 'pgee: listening on foo\n') {
+          connectTo(() => {
+            const client = broker.client();
+
+            client.connect = (callback) => {
+              setImmediate(callback, new Error('refused'));
+            };
+
+            return client;
+          });
+          broker.terminate();
+        } else if (text.indexOf('reconnecting') !== -1) {
+          stop();
+        }
+      });
+
+      connectTo(() => {
+        return broker.client();
+      });
+      stop = Cli.run(['listen', 'foo'], io, (code) => {
+        expect(code).to.equal(0);
+        expect(io.stderr.output).to.contain('pgee: connection lost, reconnecting (attempt 1)\n');
+
+        const failing = createIo();
+
+        Cli.run(['listen', 'foo'], failing, (code) => {
+          expect(code).to.equal(1);
+          expect(failing.stderr.output).to.equal('pgee: refused\n');
+          done();
+        });
+      });
+    });
+  });
+});
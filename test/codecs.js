@@ -0,0 +1,112 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Codecs = require('../lib/codecs');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Codecs', () => {
+  describe('resolve()', () => {
+    it('resolves built in codecs by name', (done) => {
+      expect(Codecs.resolve('text')).to.shallow.equal(Codecs.codecs.text);
+      expect(Codecs.resolve('json')).to.shallow.equal(Codecs.codecs.json);
+      expect(Codecs.resolve('json-extended'))
+        .to.shallow.equal(Codecs.codecs['json-extended']);
+      done();
+    });
+
+    it('accepts user supplied codecs', (done) => {
+      const codec = { encode: () => {}, decode: () => {} };
+
+      expect(Codecs.resolve(codec)).to.shallow.equal(codec);
+      done();
+    });
+
+    it('throws on invalid codecs', (done) => {
+      expect(() => {
+        Codecs.resolve('foo');
+      }).to.throw(TypeError, 'invalid codec: foo');
+
+      expect(() => {
+        Codecs.resolve('hasOwnProperty');
+      }).to.throw(TypeError);
+
+      expect(() => {
+        Codecs.resolve({ encode: () => {} });
+      }).to.throw(TypeError);
+
+      expect(() => {
+        Codecs.resolve({ encode: 'foo', decode: () => {} });
+      }).to.throw(TypeError);
+
+      expect(() => {
+        Codecs.resolve(null);
+      }).to.throw(TypeError, 'invalid codec: null');
+      done();
+    });
+  });
+
+  describe('text', () => {
+    it('passes strings through unchanged', (done) => {
+      const codec = Codecs.codecs.text;
+
+      expect(codec.encode('{"foo":1}')).to.equal('{"foo":1}');
+      expect(codec.encode(5)).to.equal('5');
+      expect(codec.encode(null)).to.equal(null);
+      expect(codec.encode(undefined)).to.equal(undefined);
+      expect(codec.decode('{"foo":1}')).to.equal('{"foo":1}');
+      done();
+    });
+  });
+
+  describe('json', () => {
+    it('serializes and parses JSON', (done) => {
+      const codec = Codecs.codecs.json;
+
+      expect(codec.encode({ foo: [1, 'bar'] })).to.equal('{"foo":[1,"bar"]}');
+      expect(codec.decode('{"foo":[1,"bar"]}')).to.equal({ foo: [1, 'bar'] });
+      expect(codec.decode('')).to.equal(undefined);
+      expect(() => {
+        codec.decode('foo');
+      }).to.throw(SyntaxError);
+      done();
+    });
+  });
+
+  describe('json-extended', () => {
+    it('round trips Date and BigInt values', (done) => {
+      const codec = Codecs.codecs['json-extended'];
+      const date = new Date(0);
+      const big = global.BigInt('9007199254740993');
+      const encoded = codec.encode({ date: date, big: big, list: [date] });
+
+      expect(encoded).to.equal('{"date":{"$date":"1970-01-01T00:00:00.000Z"},' +
+                               '"big":{"$bigint":"9007199254740993"},' +
+                               '"list":[{"$date":"1970-01-01T00:00:00.000Z"}]}');
+
+      const decoded = codec.decode(encoded);
+
+      expect(decoded.date).to.be.a.date();
+      expect(decoded.date.getTime()).to.equal(0);
+      expect(decoded.big === big).to.equal(true);
+      expect(decoded.list[0].getTime()).to.equal(0);
+      done();
+    });
+
+    it('leaves other objects alone', (done) => {
+      const codec = Codecs.codecs['json-extended'];
+
+      expect(codec.decode('{"$date":1,"foo":{"$bigint":2},"bar":null}'))
+        .to.equal({ $date: 1, foo: { $bigint: 2 }, bar: null });
+      done();
+    });
+
+    it('decodes empty payloads as undefined', (done) => {
+      expect(Codecs.codecs['json-extended'].decode('')).to.equal(undefined);
+      done();
+    });
+  });
+});
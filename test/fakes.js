@@ -0,0 +1,68 @@
+'use strict';
+const Postgresql = require('pg');
+const CONNECT_STRING = process.env.POSTGRESQL_CONNECTION ||
+                       `postgres://${process.env.USER}@localhost/postgres`;
+
+
+// Fakes a client that records its statements, as the SQL of statements
+// without parameters and as [sql, params] otherwise. Statements whose SQL,
+// followed by their parameters, match options.fail are rejected, and
+// options.rows(sql, params) provides the rows of results. Alternatively,
+// options.respond(sql, params, callback) answers every statement itself.
+function createClient (queries, options) {
+  const client = new Postgresql.Client(CONNECT_STRING);
+
+  options = options || {};
+
+  client.query = (sql, params, callback) => {
+    if (typeof params === 'function') {
+      callback = params;
+      params = undefined;
+    }
+
+    queries.push(params === undefined ? sql : [sql, params]);
+
+    const respond = () => {
+      if (options.respond !== undefined) {
+        return options.respond(sql, params || [], callback);
+      }
+
+      if (options.fail !== undefined &&
+          options.fail.test([sql].concat(params || []).join(' '))) {
+        return callback(new Error('foo'));
+      }
+
+      callback(null, { rows: options.rows ? options.rows(sql, params) : [] });
+    };
+
+    if (options.async) {
+      return setImmediate(respond);
+    }
+
+    respond();
+  };
+
+  return client;
+}
+
+
+// Fakes a pool handing out clients created by createClient(). Releasing a
+// client is recorded as 'release'.
+function createPool (queries, options) {
+  const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+
+  pool.connect = (callback) => {
+    const client = createClient(queries, options);
+
+    setImmediate(callback, null, client, () => {
+      queries.push('release');
+    });
+  };
+
+  return pool;
+}
+
+module.exports = {
+  createClient: createClient,
+  createPool: createPool
+};
@@ -0,0 +1,180 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Heartbeat = require('../lib/heartbeat');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+
+function createConnection (heartbeat, options) {
+  options = options || {};
+
+  const connection = { queries: [] };
+
+  connection.query = (sql, callback) => {
+    connection.queries.push(sql);
+
+    setImmediate(() => {
+      if (options.silent) {
+        return;
+      }
+
+      if (options.fail) {
+        return callback(new Error('foo'));
+      }
+
+      callback(null);
+
+      const seq = /, '(\d+)'\)$/.exec(sql);
+
+      if (seq !== null) {
+        heartbeat.receive(seq[1]);
+      }
+    });
+  };
+
+  return connection;
+}
+
+
+describe('Heartbeat', () => {
+  it('uses default settings', (done) => {
+    const heartbeat = new Heartbeat(true, {});
+
+    expect(heartbeat.channel).to.match(/^pgee_heartbeat_[0-9a-f]{16}$/);
+    expect(heartbeat.interval).to.equal(30000);
+    expect(heartbeat.timeout).to.equal(10000);
+    expect(heartbeat.method).to.equal('notify');
+    expect(heartbeat.healthy).to.equal(true);
+    expect(heartbeat.latency).to.equal(null);
+    expect(heartbeat.lastHeartbeat).to.equal(null);
+    expect(heartbeat.missed).to.equal(0);
+    expect(heartbeat.isBeat(heartbeat.channel)).to.equal(true);
+    expect(heartbeat.isBeat('foo')).to.equal(false);
+    done();
+  });
+
+  it('validates the method', (done) => {
+    expect(() => {
+      return new Heartbeat({ method: 'ping' }, {});
+    }).to.throw(TypeError, 'unknown heartbeat method: ping');
+    done();
+  });
+
+  it('notifies itself and measures the round trip', (done) => {
+    const heartbeat = new Heartbeat({ interval: 5, timeout: 50 }, {
+      unhealthy: () => {
+        Code.fail('should not miss beats');
+      }
+    });
+    const connection = createConnection(heartbeat);
+
+    heartbeat.start(connection);
+
+    setTimeout(() => {
+      // The channel is only LISTENed once
+      expect(connection.queries[0]).to.equal(`LISTEN "${heartbeat.channel}"`);
+      expect(connection.queries[1]).to.equal(
+        `SELECT pg_notify('${heartbeat.channel}', '1')`);
+      expect(connection.queries[2]).to.equal(
+        `SELECT pg_notify('${heartbeat.channel}', '2')`);
+      expect(heartbeat.latency).to.be.a.number();
+      expect(heartbeat.lastHeartbeat).to.be.a.date();
+      expect(heartbeat.healthy).to.equal(true);
+      heartbeat.stop();
+      expect(heartbeat._timer).to.equal(null);
+      expect(connection.queries.pop()).to.equal(`UNLISTEN "${heartbeat.channel}"`);
+
+      // Restoring the LISTEN requires a connection
+      heartbeat.restore();
+      expect(connection.queries.pop()).to.not.match(/LISTEN/);
+      done();
+    }, 30);
+  });
+
+  it('restores the LISTEN', (done) => {
+    const heartbeat = new Heartbeat({}, {});
+    const connection = createConnection(heartbeat);
+
+    heartbeat.start(connection);
+    heartbeat.restore();
+    expect(connection.queries).to.equal([
+      `LISTEN "${heartbeat.channel}"`,
+      `LISTEN "${heartbeat.channel}"`
+    ]);
+    heartbeat.stop();
+    done();
+  });
+
+  it('runs a query when using the query method', (done) => {
+    const heartbeat = new Heartbeat({ interval: 5, method: 'query' }, {});
+    const connection = createConnection(heartbeat);
+
+    heartbeat.start(connection);
+
+    setTimeout(() => {
+      // Nothing is LISTENed to
+      expect(connection.queries[0]).to.equal('SELECT 1');
+      expect(heartbeat.lastHeartbeat).to.be.a.date();
+      heartbeat.stop();
+      done();
+    }, 30);
+  });
+
+  it('reports missed beats and recovery', (done) => {
+    const events = [];
+    const options = { silent: true };
+    const heartbeat = new Heartbeat({ interval: 5, timeout: 10 }, {
+      healthy: () => {
+        events.push('healthy');
+        expect(events).to.equal(['unhealthy', 'healthy']);
+        expect(heartbeat.missed).to.equal(0);
+        heartbeat.stop();
+        done();
+      },
+      unhealthy: () => {
+        events.push('unhealthy');
+        expect(heartbeat.healthy).to.equal(false);
+        expect(heartbeat.missed).to.equal(1);
+
+        // Late beats are ignored
+        heartbeat.receive('1');
+        expect(heartbeat.healthy).to.equal(false);
+        options.silent = false;
+      }
+    });
+
+    heartbeat.start(createConnection(heartbeat, options));
+  });
+
+  it('cancels the pending deadline when stopped', (done) => {
+    const heartbeat = new Heartbeat({ interval: 5, timeout: 10 }, {
+      unhealthy: () => {
+        Code.fail('should not miss beats');
+      }
+    });
+
+    heartbeat.start(createConnection(heartbeat, { silent: true }));
+
+    setTimeout(() => {
+      expect(heartbeat._pending).to.not.equal(null);
+      heartbeat.stop();
+      expect(heartbeat._pending).to.equal(null);
+      setTimeout(done, 20);
+    }, 8);
+  });
+
+  it('reports failed queries as missed beats', (done) => {
+    const heartbeat = new Heartbeat({ interval: 5, timeout: 10, method: 'query' }, {
+      unhealthy: () => {
+        heartbeat.stop();
+        done();
+      }
+    });
+
+    heartbeat.start(createConnection(heartbeat, { fail: true }));
+  });
+});
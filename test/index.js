@@ -1,22 +1,23 @@
 'use strict';
+const EventEmitter = require('events');
 const Code = require('code');
 const Lab = require('lab');
 const Postgresql = require('pg');
 const PgEe = require('../lib');
+const Fakes = require('./fakes');
 const CONNECT_STRING = process.env.POSTGRESQL_CONNECTION ||
                        `postgres://${process.env.USER}@localhost/postgres`;
 
+const createClient = Fakes.createClient;
+const createPool = Fakes.createPool;
+
 const lab = exports.lab = Lab.script();
 const expect = Code.expect;
 const describe = lab.describe;
 const it = lab.it;
 
-describe('pgee', () => {
-  lab.after((done) => {
-    Postgresql.end();
-    done();
-  });
 
+describe('pgee', () => {
   describe('PgEe()', () => {
     it('accepts a Postgresql client as input', (done) => {
       const client = new Postgresql.Client(CONNECT_STRING);
@@ -35,21 +36,42 @@ describe('pgee', () => {
 
       expect(pgee._connection).to.equal(null);
       expect(pgee._options).to.equal(CONNECT_STRING);
+      expect(pgee._pool).to.equal(null);
       expect(pgee._done).to.equal(null);
       expect(pgee._channels).to.equal([]);
       expect(pgee.getMaxListeners()).to.equal(Infinity);
       done();
     });
+
+    it('accepts a Postgresql pool as input', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool);
+
+      expect(pgee._connection).to.equal(null);
+      expect(pgee._options).to.equal(null);
+      expect(pgee._pool).to.shallow.equal(pool);
+      expect(pgee._done).to.equal(null);
+      done();
+    });
+
+    it('accepts objects that look like clients and pools', (done) => {
+      const client = { query: () => {}, on: () => {} };
+      const pool = { connect: () => {}, query: () => {}, totalCount: 0 };
+      const config = { host: 'localhost', port: 5432 };
+
+      expect(new PgEe(client)._connection).to.shallow.equal(client);
+      expect(new PgEe(pool)._pool).to.shallow.equal(pool);
+      expect(new PgEe(config)._options).to.shallow.equal(config);
+      done();
+    });
   });
 
   describe('PgEe.prototype.connect()', (done) => {
     it('returns early if connection already exists', (done) => {
       const client = new Postgresql.Client(CONNECT_STRING);
       const pgee = new PgEe(client);
-      const originalConnect = Postgresql.connect;
 
-      Postgresql.connect = (options, callback) => {
-        Postgresql.connect = originalConnect;
+      client.connect = (callback) => {
         callback(new Error('foo'));
       };
 
@@ -58,7 +80,6 @@ describe('pgee', () => {
       });
 
       pgee.on('connect', () => {
-        Postgresql.connect = originalConnect;
         done();
       });
 
@@ -68,7 +89,7 @@ describe('pgee', () => {
       });
     });
 
-    it('uses Postgresql thread pool if no connection is provided', (done) => {
+    it('connects a new client if no connection is provided', (done) => {
       const pgee = new PgEe(CONNECT_STRING);
 
       expect(pgee._connection).to.not.exist();
@@ -80,12 +101,12 @@ describe('pgee', () => {
       });
     });
 
-    it('handles errors from Postgresql.connect()', (done) => {
+    it('handles errors from Postgresql.Client.prototype.connect()', (done) => {
       const pgee = new PgEe(CONNECT_STRING);
-      const originalConnect = Postgresql.connect;
+      const originalConnect = Postgresql.Client.prototype.connect;
 
-      Postgresql.connect = (options, callback) => {
-        Postgresql.connect = originalConnect;
+      Postgresql.Client.prototype.connect = function (callback) {
+        Postgresql.Client.prototype.connect = originalConnect;
         callback(new Error('foo'));
       };
 
@@ -97,6 +118,51 @@ describe('pgee', () => {
       });
     });
 
+    it('checks out a dedicated client from a pool', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(pool);
+      const queries = [];
+      let released = 0;
+
+      client.query = (sql, callback) => {
+        queries.push(sql);
+        callback(null);
+      };
+
+      pool.connect = (callback) => {
+        callback(null, client, (err) => {
+          expect(err).to.not.exist();
+          released++;
+        });
+      };
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        expect(pgee._connection).to.shallow.equal(client);
+        pgee.close();
+        expect(queries).to.equal(['UNLISTEN *']);
+        expect(released).to.equal(1);
+        expect(pgee._connection).to.equal(null);
+        done();
+      });
+    });
+
+    it('handles errors from Postgresql.Pool.prototype.connect()', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool);
+
+      pool.connect = (callback) => {
+        callback(new Error('foo'));
+      };
+
+      pgee.connect((err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._connection).to.equal(null);
+        done();
+      });
+    });
+
     it('handles errors from the connection', (done) => {
       const client = new Postgresql.Client(CONNECT_STRING);
       const pgee = new PgEe(client);
@@ -455,6 +521,15 @@ describe('pgee', () => {
       pgee.emit('foo', 'bar');
     });
 
+    it('throws if not connected without error listeners', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      expect(() => {
+        pgee.emit('foo', 'bar');
+      }).to.throw(Error, 'not connected to database');
+      done();
+    });
+
     it('handles database errors', (done) => {
       const pgee = new PgEe(CONNECT_STRING);
 
@@ -486,47 +561,3331 @@ describe('pgee', () => {
     });
   });
 
-  describe('PgEe.prototype.close()', (done) => {
-    it('closes the database connection', (done) => {
-      const pgee = new PgEe(CONNECT_STRING);
+  describe('PgEe.prototype.notify()', () => {
+    it('notifies the database channel', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      client.query = (sql, params, callback) => {
+        expect(sql).to.equal('SELECT pg_notify($1, $2)');
+        expect(params).to.equal(['foo', '{"bar":"baz"}']);
+        callback(null);
+      };
 
       pgee.on('error', (err) => {
         Code.fail(err);
       });
 
-      pgee.connect((err) => {
+      pgee.notify('foo', { bar: 'baz' }, (err) => {
         expect(err).to.not.exist();
-        expect(pgee.listenerCount('error')).to.equal(1);
         pgee.close();
-        expect(pgee._connection).to.equal(null);
-        expect(pgee._done).to.equal(null);
-        expect(pgee.listenerCount('error')).to.equal(0);
         done();
       });
     });
 
-    it('does not modify an external database connection', (done) => {
+    it('handles database errors', (done) => {
       const client = new Postgresql.Client(CONNECT_STRING);
       const pgee = new PgEe(client);
 
-      expect(pgee._connection instanceof Postgresql.Client).to.equal(true);
-      expect(pgee._done).to.equal(null);
-      pgee.close();
-      expect(client instanceof Postgresql.Client).to.equal(true);
-      expect(pgee._connection).to.equal(null);
-      expect(pgee._done).to.equal(null);
-      done();
+      client.query = (sql, params, callback) => {
+        callback(new Error('bar'));
+      };
+
+      pgee.notify('foo', 'baz', (err) => {
+        expect(err.message).to.equal('bar');
+        pgee.close();
+        done();
+      });
     });
 
-    it('returns early if not connected', (done) => {
+    it('notifies batches in a single statement', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      client.query = (sql, params, callback) => {
+        expect(sql).to.equal('SELECT pg_notify($1, $2), pg_notify($3, $4)');
+        expect(params).to.equal(['foo', '1', 'bar', '2']);
+        callback(null);
+      };
+
+      pgee.notify([
+        { channel: 'foo', message: 1 },
+        { channel: 'bar', message: 2 }
+      ], (err) => {
+        expect(err).to.not.exist();
+        pgee.close();
+        done();
+      });
+    });
+
+    it('errors if not connected', (done) => {
       const pgee = new PgEe(CONNECT_STRING);
 
-      pgee._done = () => {
-        Code.fail('should not be called');
+      pgee.notify('foo', 'bar', (err) => {
+        expect(err instanceof Error).to.equal(true);
+        done();
+      });
+    });
+  });
+
+  describe('PgEe.prototype.notifyWith()', () => {
+    it('notifies through the provided client', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const queries = [];
+
+      client.query = (sql, params, callback) => {
+        queries.push([sql, params]);
+        callback(null);
+      };
+
+      client.query('BEGIN', [], () => {
+        pgee.notifyWith(client, 'foo', { bar: 'baz' }, (err) => {
+          expect(err).to.not.exist();
+          client.query('COMMIT', [], () => {
+            expect(queries).to.equal([
+              ['BEGIN', []],
+              ['SELECT pg_notify($1, $2)', ['foo', '{"bar":"baz"}']],
+              ['COMMIT', []]
+            ]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('sends batches in a single statement', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const client = new Postgresql.Client(CONNECT_STRING);
+
+      client.query = (sql, params, callback) => {
+        expect(sql).to.equal('SELECT pg_notify($1, $2), pg_notify($3, $4)');
+        expect(params).to.equal(['foo', '1', 'bar', '"baz"']);
+        callback(null);
+      };
+
+      pgee.notifyWith(client, [
+        { channel: 'foo', message: 1 },
+        { channel: 'bar', message: 'baz' }
+      ]).then(() => {
+        done();
+      }).catch(done);
+    });
+
+    it('does not query for empty batches', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const client = new Postgresql.Client(CONNECT_STRING);
+
+      client.query = () => {
+        Code.fail('should not query');
+      };
+
+      pgee.notifyWith(client, [], (err) => {
+        expect(err).to.not.exist();
+        done();
+      });
+    });
+
+    it('handles database errors', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const client = new Postgresql.Client(CONNECT_STRING);
+
+      client.query = (sql, params, callback) => {
+        callback(new Error('foo'));
+      };
+
+      pgee.notifyWith(client, 'foo', 'bar', (err) => {
+        expect(err.message).to.equal('foo');
+        done();
+      });
+    });
+
+    it('rejects invalid clients', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const clients = [null, 'client', {}];
+      const next = (index) => {
+        if (index === clients.length) {
+          return done();
+        }
+
+        pgee.notifyWith(clients[index], 'foo', 'bar', (err) => {
+          expect(err).to.be.an.error(TypeError, 'client must be a pg client');
+          next(index + 1);
+        });
+      };
+
+      next(0);
+    });
+  });
+
+  describe('standardEmit', () => {
+    it('emits notifications on the instance by default', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      expect(pgee.notifications).to.shallow.equal(pgee);
+      done();
+    });
+
+    it('uses emit() as a regular EventEmitter', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { standardEmit: true });
+
+      client.query = () => {
+        Code.fail('should not query');
+      };
+
+      pgee.on('listen', (data) => {
+        expect(data).to.equal('bar');
+        pgee.close();
+        done();
+      });
+
+      expect(pgee.emit('foo', 'bar')).to.equal(false);
+      expect(pgee.emit('listen', 'bar')).to.equal(true);
+    });
+
+    it('delivers notifications on a separate emitter', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { standardEmit: true });
+
+      client.query = (sql, callback) => {
+        callback(null);
       };
 
+      pgee.on('connect', () => {
+        Code.fail('lifecycle event should not be triggered');
+      });
+
+      pgee.listen({
+        channel: 'connect',
+        listener: (data) => {
+          expect(data).to.equal({ foo: 'bar' });
+          expect(pgee.notifications.listenerCount('connect')).to.equal(1);
+          pgee.unlisten({
+            channel: 'connect',
+            removeListeners: true
+          }, (err) => {
+            expect(err).to.not.exist();
+            expect(pgee.notifications.listenerCount('connect')).to.equal(0);
+            pgee.close();
+            done();
+          });
+        }
+      }, (err) => {
+        expect(err).to.not.exist();
+        client.emit('notification', {
+          channel: 'connect',
+          payload: '{"foo":"bar"}'
+        });
+      });
+    });
+
+    it('removes notification listeners when closed', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { standardEmit: true });
+
+      pgee.notifications.on('foo', () => {});
       pgee.close();
+      expect(pgee.notifications.listenerCount('foo')).to.equal(0);
+      done();
+    });
+  });
+
+  describe('codecs', () => {
+    it('rejects invalid codecs', (done) => {
+      expect(() => {
+        return new PgEe(CONNECT_STRING, { codec: 'foo' });
+      }).to.throw(TypeError, 'invalid codec: foo');
+
+      expect(() => {
+        return new PgEe(CONNECT_STRING, { codecs: { foo: 'bar' } });
+      }).to.throw(TypeError, 'invalid codec: bar');
       done();
     });
+
+    it('encodes and decodes with instance and channel codecs', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, {
+        codec: 'text',
+        codecs: { bar: 'json' }
+      });
+      const params = [];
+      const received = [];
+
+      client.query = (sql, values, callback) => {
+        if (typeof values === 'function') {
+          return values(null);
+        }
+
+        params.push(values);
+        callback(null);
+      };
+
+      pgee.on('foo', (data) => {
+        received.push(data);
+      });
+
+      pgee.on('bar', (data) => {
+        received.push(data);
+      });
+
+      pgee.notify('foo', 5).then(() => {
+        return pgee.notify('bar', { a: 1 });
+      }).then(() => {
+        return pgee.listen({ channel: 'baz', codec: 'json' });
+      }).then(() => {
+        return pgee.notify('baz', [1]);
+      }).then(() => {
+        client.emit('notification', { channel: 'foo', payload: '{"a":1}' });
+        client.emit('notification', { channel: 'bar', payload: '{"a":1}' });
+        expect(params).to.equal([
+          ['foo', '5'],
+          ['bar', '{"a":1}'],
+          ['baz', '[1]']
+        ]);
+        expect(received).to.equal(['{"a":1}', { a: 1 }]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('rejects listen() with an invalid codec', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      pgee.listen({ channel: 'foo', codec: 'bar' }, (err, channel) => {
+        expect(err).to.be.an.error(TypeError, 'invalid codec: bar');
+        expect(channel).to.not.exist();
+        expect(pgee._channels).to.equal([]);
+        pgee.close();
+        done();
+      });
+    });
+
+    it('reports encoding errors', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      client.query = () => {
+        Code.fail('should not query');
+      };
+
+      pgee.notify('foo', { big: global.BigInt(1) }, (err) => {
+        expect(err).to.be.an.error(TypeError);
+        pgee.close();
+        done();
+      });
+    });
+
+    it('emits decodeError instead of delivering undecodable payloads', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      pgee.on('foo', () => {
+        Code.fail('should not deliver');
+      });
+
+      pgee.on('decodeError', (err) => {
+        expect(err).to.be.an.error(SyntaxError);
+        expect(err.channel).to.equal('foo');
+        expect(err.payload).to.equal('bar');
+        pgee.close();
+        done();
+      });
+
+      client.emit('notification', { channel: 'foo', payload: 'bar' });
+    });
+  });
+
+  describe('chunking', () => {
+    it('sends oversized payloads as fragments and reassembles them', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { chunking: { maxBytes: 200 } });
+      const message = { data: 'x'.repeat(500) };
+
+      client.query = (sql, params, callback) => {
+        expect(params.length).to.equal(5);
+        expect(sql).to.equal('SELECT pg_notify($1, $2), pg_notify($1, $3), ' +
+                             'pg_notify($1, $4), pg_notify($1, $5)');
+
+        for (let i = 1; i < params.length; ++i) {
+          client.emit('notification', {
+            processId: 1,
+            channel: params[0],
+            payload: params[i]
+          });
+        }
+
+        callback(null);
+      };
+
+      pgee.on('foo', (data) => {
+        expect(data).to.equal(message);
+        pgee.close();
+        done();
+      });
+
+      pgee.notify('foo', message);
+    });
+
+    it('sends small payloads in a single notification', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { chunking: true });
+
+      expect(pgee._chunking).to.equal({ maxBytes: 7999 });
+
+      client.query = (sql, params, callback) => {
+        expect(sql).to.equal('SELECT pg_notify($1, $2)');
+        expect(params).to.equal(['foo', '"bar"']);
+        callback(null);
+      };
+
+      pgee.notify('foo', 'bar', (err) => {
+        expect(err).to.not.exist();
+        pgee.close();
+        done();
+      });
+    });
+
+    it('reports malformed and expired fragments', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { chunking: { timeout: 1 } });
+      const errors = [];
+
+      pgee.on('decodeError', (err) => {
+        errors.push(err);
+
+        if (errors.length === 2) {
+          expect(errors[0].message).to.equal('malformed payload fragment');
+          expect(errors[0].payload).to.equal('pgee:chunk:a:1');
+          expect(errors[1].message).to.equal('incomplete chunked payload');
+          expect(errors[1].channel).to.equal('foo');
+          expect(errors[1].payload).to.equal('bar');
+          pgee.close();
+          done();
+        }
+      });
+
+      client.emit('notification', {
+        processId: 1,
+        channel: 'foo',
+        payload: 'pgee:chunk:a:1'
+      });
+
+      client.emit('notification', {
+        processId: 1,
+        channel: 'foo',
+        payload: 'pgee:chunk:a:0:2:bar'
+      });
+    });
+
+    it('does not treat fragments specially when disabled', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { codec: 'text' });
+
+      pgee.on('foo', (data) => {
+        expect(data).to.equal('pgee:chunk:a:0:2:bar');
+        pgee.close();
+        done();
+      });
+
+      client.emit('notification', {
+        processId: 1,
+        channel: 'foo',
+        payload: 'pgee:chunk:a:0:2:bar'
+      });
+    });
+  });
+
+  describe('notification metadata', () => {
+    it('delivers envelopes when enabled', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { envelope: true });
+      const before = Date.now();
+
+      pgee.on('foo', (data) => {
+        expect(data.channel).to.equal('foo');
+        expect(data.payload).to.equal({ bar: 'baz' });
+        expect(data.processId).to.equal(42);
+        expect(data.receivedAt).to.be.a.date();
+        expect(data.receivedAt.getTime()).to.be.at.least(before);
+        expect(data.raw).to.equal('{"bar":"baz"}');
+        pgee.close();
+        done();
+      });
+
+      client.emit('notification', {
+        processId: 42,
+        channel: 'foo',
+        payload: '{"bar":"baz"}'
+      });
+    });
+
+    it('ignores notifications sent by its own backend', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { ignoreSelf: true });
+      const received = [];
+
+      client.processID = 42;
+      pgee.on('foo', (data) => {
+        received.push(data);
+      });
+
+      client.emit('notification', { processId: 42, channel: 'foo', payload: '1' });
+      client.emit('notification', { processId: 43, channel: 'foo', payload: '2' });
+      expect(received).to.equal([2]);
+      pgee.close();
+      done();
+    });
+
+    it('delivers its own notifications by default', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      client.processID = 42;
+      pgee.on('foo', (data) => {
+        expect(data).to.equal(1);
+        pgee.close();
+        done();
+      });
+
+      client.emit('notification', { processId: 42, channel: 'foo', payload: '1' });
+    });
+  });
+
+  describe('pattern subscriptions', () => {
+    it('listens to declared channels and routes matching notifications', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+      const received = [];
+
+      pgee.on('orders.created', (data) => {
+        received.push(['channel', data]);
+      });
+
+      pgee.listen({
+        pattern: 'orders.*',
+        channels: ['orders.created', 'orders.paid'],
+        listener: (data, channel) => {
+          received.push([channel, data]);
+        }
+      }, (err, channels) => {
+        expect(err).to.not.exist();
+        expect(channels).to.equal(['orders.created', 'orders.paid']);
+        expect(queries).to.equal([
+          'LISTEN "orders.created"',
+          'LISTEN "orders.paid"'
+        ]);
+
+        pgee.listen({
+          pattern: /^orders\.paid$/,
+          listener: (data, channel) => {
+            received.push(['regexp', data]);
+          }
+        }, (err, channels) => {
+          expect(err).to.not.exist();
+          expect(channels).to.equal([]);
+
+          const client = pgee._connection;
+
+          client.emit('notification', { channel: 'orders.created', payload: '1' });
+          client.emit('notification', { channel: 'orders.paid', payload: '2' });
+          client.emit('notification', { channel: 'users.created', payload: '3' });
+          expect(received).to.equal([
+            ['channel', 1],
+            ['orders.created', 1],
+            ['orders.paid', 2],
+            ['regexp', 2]
+          ]);
+          pgee.close();
+          expect(pgee._patterns).to.equal([]);
+          done();
+        });
+      });
+    });
+
+    it('rejects invalid patterns and listeners', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+
+      pgee.listen({ pattern: '', listener: () => {} }, (err) => {
+        expect(err).to.be.an.error(TypeError);
+
+        pgee.listen({ pattern: 'foo.*' }, (err) => {
+          expect(err).to.be.an.error(TypeError, 'pattern listener must be a function');
+          expect(queries).to.equal([]);
+          expect(pgee._patterns).to.equal([]);
+          pgee.close();
+          done();
+        });
+      });
+    });
+
+    it('handles database errors', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      client.query = (sql, callback) => {
+        callback(new Error('foo'));
+      };
+
+      pgee.listen({
+        pattern: 'foo.*',
+        channels: ['foo.bar'],
+        listener: () => {}
+      }, (err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._patterns).to.equal([]);
+        pgee.close();
+        done();
+      });
+    });
+
+    it('unlistens patterns and channels that are no longer needed', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+      const first = () => {};
+      const second = () => {};
+
+      pgee.listen({
+        pattern: 'a.*',
+        channels: ['a.one', 'a.two', 'a.three'],
+        listener: first
+      }).then(() => {
+        return pgee.listen({ pattern: 'a.*', channels: ['a.two'], listener: second });
+      }).then(() => {
+        return pgee.listen({ channel: 'a.three', listener: () => {} });
+      }).then(() => {
+        queries.length = 0;
+        return pgee.unlisten({ pattern: 'a.*', listener: first });
+      }).then((channels) => {
+        // a.two is still declared by a pattern and a.three has a listener
+        expect(channels).to.equal(['a.one']);
+        expect(queries).to.equal(['UNLISTEN "a.one"']);
+        expect(pgee._patterns.length).to.equal(1);
+        return pgee.unlisten({ pattern: 'a.*' });
+      }).then((channels) => {
+        expect(channels).to.equal(['a.two']);
+        expect(pgee._patterns).to.equal([]);
+        expect(pgee._channels).to.equal(['a.three']);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('unlistens the channels shared by the subscriptions of a pattern once', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries, { fail: /^UNLISTEN "b\.one"$/ }));
+
+      pgee.listen({ pattern: 'a.*', channels: ['a.one'], listener: () => {} }).then(() => {
+        return pgee.listen({ pattern: 'a.*', channels: ['a.one', 'a.two'], listener: () => {} });
+      }).then(() => {
+        return pgee.listen({ pattern: 'b.*', channels: ['b.one'], listener: () => {} });
+      }).then(() => {
+        return pgee.unlisten({ pattern: 'a.*' });
+      }).then((channels) => {
+        expect(channels).to.equal(['a.one', 'a.two']);
+        expect(pgee._patterns.length).to.equal(1);
+        return pgee.unlisten({ pattern: 'b.*' });
+      }).then(() => {
+        Code.fail('should not resolve');
+      }, (err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._channels).to.equal(['b.one']);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('durable delivery', () => {
+    function createDurable (rows, queries) {
+      const client = createClient(queries, {
+        rows: (sql, params) => {
+          if (params === undefined) {
+            return [];
+          }
+
+          // Resolve positions to the transaction of the first stored message
+          if (params.length === 1) {
+            return [{ xid: '10' }];
+          }
+
+          return rows.filter((row) => {
+            return row.channel === params[0] && Number(row.id) > params[2];
+          }).slice(0, params[3]);
+        }
+      });
+
+      return new PgEe(client, { durable: { batchSize: 2 } });
+    }
+
+    it('stores messages in the outbox when notifying', (done) => {
+      const queries = [];
+      const pgee = createDurable([], queries);
+
+      pgee.notify([
+        { channel: 'foo', message: { a: 1 } },
+        { channel: 'bar', message: 2 }
+      ], (err) => {
+        expect(err).to.not.exist();
+        expect(queries).to.equal([[
+          'WITH message AS (INSERT INTO "pgee_outbox" (channel, payload) ' +
+          'VALUES ($1, $2), ($3, $4) RETURNING id, channel) ' +
+          'SELECT pg_notify(channel, \'pgee:durable:\' || id) FROM message ' +
+          'ORDER BY id',
+          ['foo', '{"a":1}', 'bar', '2']
+        ]]);
+        pgee.close();
+        done();
+      });
+    });
+
+    it('creates the outbox table', (done) => {
+      const queries = [];
+      const pgee = createDurable([], queries);
+
+      pgee.createOutbox((err) => {
+        expect(err).to.not.exist();
+        expect(queries.length).to.equal(1);
+        expect(queries[0]).to.startWith('CREATE TABLE IF NOT EXISTS');
+        pgee.close();
+        done();
+      });
+    });
+
+    it('reports errors creating the outbox table', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: true });
+
+      client.query = (sql, callback) => {
+        callback(new Error('foo'));
+      };
+
+      pgee.createOutbox().then(() => {
+        Code.fail('createOutbox should fail');
+      }, (err) => {
+        expect(err.message).to.equal('foo');
+        pgee.close();
+        return pgee.createOutbox();
+      }).then(() => {
+        Code.fail('createOutbox should fail');
+      }, (err) => {
+        expect(err.message).to.equal('not connected to database');
+        done();
+      }).catch(done);
+    });
+
+    it('requires durable delivery to be enabled', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      pgee.createOutbox((err) => {
+        expect(err.message).to.equal('durable delivery is not enabled');
+
+        pgee.listen({ channel: 'foo', since: 0 }, (err) => {
+          expect(err.message).to.equal('durable delivery is not enabled');
+          expect(pgee.position('foo')).to.equal(null);
+          pgee.close();
+          done();
+        });
+      });
+    });
+
+    it('replays missed messages before live notifications', (done) => {
+      const rows = [
+        { id: '1', xid: '10', channel: 'foo', payload: '"one"', settled: true },
+        { id: '2', xid: '10', channel: 'bar', payload: '"other"', settled: true },
+        { id: '3', xid: '11', channel: 'foo', payload: '"three"', settled: true },
+        { id: '4', xid: '12', channel: 'foo', payload: '"four"', settled: true }
+      ];
+      const queries = [];
+      const pgee = createDurable(rows, queries);
+      const received = [];
+
+      pgee.on('foo', (data) => {
+        received.push(data);
+
+        if (data === 'four') {
+          expect(pgee.position('foo')).to.equal(4);
+          rows.push({
+            id: '5',
+            xid: '13',
+            channel: 'foo',
+            payload: '"five"',
+            settled: true
+          });
+          pgee._connection.emit('notification', {
+            channel: 'foo',
+            payload: 'pgee:durable:5'
+          });
+        } else if (data === 'five') {
+          expect(received).to.equal(['three', 'four', 'five']);
+          expect(pgee.position('foo')).to.equal(5);
+
+          // The wake-up received while delivering is fetched after the batch
+          expect(queries.slice(1).map((query) => {
+            return query[1];
+          })).to.equal([[1], ['foo', '10', 1, 2], ['foo', '12', 4, 2]]);
+          pgee.close();
+          expect(pgee.position('foo')).to.equal(null);
+          done();
+        }
+      });
+
+      pgee.listen({ channel: 'foo', since: 1 }, (err) => {
+        expect(err).to.not.exist();
+        expect(queries[0]).to.equal('LISTEN "foo"');
+      });
+    });
+
+    it('starts tracking channels from the first wake-up', (done) => {
+      const rows = [
+        { id: '7', xid: '10', channel: 'foo', payload: '"seven"', settled: true }
+      ];
+      const queries = [];
+      const pgee = createDurable(rows, queries);
+
+      pgee.on('foo', (data) => {
+        expect(data).to.equal('seven');
+        expect(pgee.position('foo')).to.equal(7);
+        expect(queries.map((query) => {
+          return query[1];
+        })).to.equal([[7], ['foo', '10', 0, 2]]);
+        pgee.close();
+        done();
+      });
+
+      pgee._connection.emit('notification', {
+        channel: 'foo',
+        payload: 'pgee:durable:7'
+      });
+    });
+
+    it('coalesces wake-ups received while fetching', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: true, envelope: true });
+      const callbacks = [];
+      const received = [];
+
+      client.query = (sql, params, callback) => {
+        callbacks.push(callback);
+      };
+
+      pgee.on('foo', (data) => {
+        received.push(data);
+      });
+
+      client.emit('notification', { channel: 'foo', payload: 'pgee:durable:1' });
+      callbacks[0](null, { rows: [{ xid: '10' }] });
+      client.emit('notification', { channel: 'foo', payload: 'pgee:durable:2' });
+      expect(callbacks.length).to.equal(2);
+      callbacks[1](null, { rows: [{ id: '1', xid: '10', payload: '1', settled: true }] });
+      expect(callbacks.length).to.equal(3);
+      callbacks[2](null, { rows: [{ id: '2', xid: '10', payload: '2', settled: true }] });
+      expect(callbacks.length).to.equal(3);
+      expect(received.map((envelope) => {
+        return [envelope.id, envelope.payload, envelope.processId];
+      })).to.equal([[1, 1, null], [2, 2, null]]);
+      pgee.close();
+      done();
+    });
+
+    it('replays stored messages after reconnecting', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, {
+        durable: true,
+        reconnect: { minDelay: 1 }
+      });
+      const rows = [];
+
+      pool.connect = (callback) => {
+        const client = new Postgresql.Client(CONNECT_STRING);
+
+        client.query = (sql, params, callback) => {
+          if (typeof params === 'function') {
+            return params(null);
+          }
+
+          if (params.length === 1) {
+            return callback(null, { rows: [{ xid: '10' }] });
+          }
+
+          callback(null, {
+            rows: rows.filter((row) => {
+              return Number(row.id) > params[2];
+            })
+          });
+        };
+
+        callback(null, client, () => {});
+      };
+
+      pgee.on('foo', (data) => {
+        expect(data).to.equal('missed');
+        expect(pgee.position('foo')).to.equal(3);
+        pgee.close();
+        done();
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen({ channel: 'foo', since: 2 });
+      }).then(() => {
+        rows.push({ id: '3', xid: '10', channel: 'foo', payload: '"missed"', settled: true });
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+
+    it('replays the stored messages of children after reconnecting', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, {
+        durable: true,
+        reconnect: { minDelay: 1 }
+      });
+      const tenant = pgee.child('tenant1');
+      const rows = [];
+
+      pool.connect = (callback) => {
+        const client = createClient([], {
+          rows: (sql, params) => {
+            if (params === undefined) {
+              return [];
+            }
+
+            if (params.length === 1) {
+              return [{ xid: '10' }];
+            }
+
+            return rows.filter((row) => {
+              return row.channel === params[0] && Number(row.id) > params[2];
+            });
+          }
+        });
+
+        callback(null, client, () => {});
+      };
+
+      tenant.on('foo', (data) => {
+        expect(data).to.equal('missed');
+        expect(tenant.position('foo')).to.equal(3);
+        pgee.close();
+        done();
+      });
+
+      tenant.connect().then(() => {
+        return tenant.listen({ channel: 'foo', since: 2 });
+      }).then(() => {
+        rows.push({
+          id: '3',
+          xid: '10',
+          channel: 'tenant1:foo',
+          payload: '"missed"',
+          settled: true
+        });
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+
+    it('holds back messages until older transactions end', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: { pollInterval: 1, batchSize: 2 } });
+      const callbacks = [];
+      const received = [];
+
+      client.query = (sql, params, callback) => {
+        callbacks.push(callback);
+      };
+
+      pgee.on('foo', (data) => {
+        received.push(data);
+      });
+
+      client.emit('notification', { channel: 'foo', payload: 'pgee:durable:2' });
+      callbacks[0](null, { rows: [{ xid: '10' }] });
+      client.emit('notification', { channel: 'foo', payload: 'pgee:durable:3' });
+      callbacks[1](null, { rows: [
+        { id: '2', xid: '10', payload: '2', settled: true },
+        { id: '3', xid: '11', payload: '3', settled: false }
+      ] });
+      expect(received).to.equal([2]);
+      expect(pgee.position('foo')).to.equal(2);
+
+      // The coalesced wake-up is fetched at once, and full batches of held
+      // back messages wait for the poll
+      expect(callbacks.length).to.equal(3);
+      callbacks[2](null, { rows: [
+        { id: '3', xid: '11', payload: '3', settled: false },
+        { id: '4', xid: '12', payload: '4', settled: false }
+      ] });
+      expect(callbacks.length).to.equal(3);
+
+      setTimeout(() => {
+        expect(callbacks.length).to.equal(4);
+        callbacks[3](null, { rows: [
+          { id: '3', xid: '11', payload: '3', settled: true },
+          { id: '4', xid: '12', payload: '4', settled: true }
+        ] });
+        expect(received).to.equal([2, 3, 4]);
+
+        // A full batch is followed by another fetch
+        expect(callbacks.length).to.equal(5);
+        callbacks[4](null, { rows: [] });
+        pgee.close();
+        done();
+      }, 20);
+    });
+
+    it('stops polling when the position is replaced or closed', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: { pollInterval: 1 } });
+      const unsettled = { rows: [{ id: '3', xid: '11', payload: '3', settled: false }] };
+      const callbacks = [];
+
+      client.query = (sql, params, callback) => {
+        callbacks.push(callback || params);
+      };
+
+      pgee.listen({ channel: 'foo', since: 1 });
+      callbacks[0](null);
+      callbacks[1](null, { rows: [{ xid: '10' }] });
+      callbacks[2](null, unsettled);
+
+      pgee.listen({ channel: 'foo', since: 2 });
+      callbacks[3](null, { rows: [{ xid: '10' }] });
+
+      // Pending lookups and fetches are ignored as well
+      pgee.listen({ channel: 'foo', since: 3 });
+      callbacks[4](null, unsettled);
+      pgee.close();
+      callbacks[5](null, { rows: [{ xid: '10' }] });
+
+      setTimeout(() => {
+        expect(callbacks.length).to.equal(6);
+        done();
+      }, 20);
+    });
+
+    it('polls again once reconnected', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, {
+        durable: { pollInterval: 1 },
+        reconnect: { minDelay: 30, jitter: 0 }
+      });
+      const queries = [];
+
+      pool.connect = (callback) => {
+        const client = new Postgresql.Client(CONNECT_STRING);
+
+        client.query = (sql, params, callback) => {
+          if (typeof params === 'function') {
+            return params(null);
+          }
+
+          queries.push(params);
+
+          if (params.length === 1) {
+            return callback(null, { rows: [{ xid: '10' }] });
+          }
+
+          callback(null, { rows: [
+            { id: '1', xid: '10', payload: '1', settled: queries.length > 2 }
+          ] });
+        };
+
+        callback(null, client, () => {});
+      };
+
+      pgee.on('foo', (data) => {
+        expect(data).to.equal(1);
+        expect(queries).to.equal([[0], ['foo', '10', 0, 1000], ['foo', '10', 0, 1000]]);
+        pgee.close();
+        done();
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen({ channel: 'foo', since: 0 });
+      }).then(() => {
+        // The poll finds the connection lost
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+
+    it('delivers messages committed out of id order', (done) => {
+      const table = 'pgee_outbox_test';
+      const pgee = new PgEe(CONNECT_STRING, {
+        durable: { table: table, pollInterval: 10 }
+      });
+      const first = new Postgresql.Client(CONNECT_STRING);
+      const second = new Postgresql.Client(CONNECT_STRING);
+      const other = new Postgresql.Client(CONNECT_STRING);
+      const received = [];
+
+      function finish (err) {
+        first.end();
+        second.end();
+        other.end();
+        pgee._connection.query(`DROP TABLE ${table}`, () => {
+          pgee.close();
+          done(err);
+        });
+      }
+
+      pgee.on('race', (data) => {
+        received.push(data);
+
+        if (data === 'third') {
+          expect(received).to.equal(['first', 'second', 'third']);
+          finish();
+        }
+      });
+
+      Promise.all([
+        pgee.connect(),
+        first.connect(),
+        second.connect(),
+        other.connect()
+      ]).then(() => {
+        return pgee._connection.query(`DROP TABLE IF EXISTS ${table}`);
+      }).then(() => {
+        return pgee.createOutbox();
+      }).then(() => {
+        return pgee.listen('race');
+      }).then(() => {
+        return first.query('BEGIN');
+      }).then(() => {
+        // The first message gets the lower id but commits last
+        return pgee.notifyWith(first, 'race', 'first');
+      }).then(() => {
+        return second.query('BEGIN');
+      }).then(() => {
+        return pgee.notifyWith(second, 'race', 'second');
+      }).then(() => {
+        return second.query('COMMIT');
+      }).then(() => {
+        return new Promise((resolve) => {
+          setTimeout(resolve, 50);
+        });
+      }).then(() => {
+        expect(received).to.equal([]);
+        return first.query('COMMIT');
+      }).then(() => {
+        // A transaction without messages only delays delivery
+        return other.query('BEGIN; SELECT pg_current_xact_id()');
+      }).then(() => {
+        return pgee.notify('race', 'third');
+      }).then(() => {
+        return new Promise((resolve) => {
+          setTimeout(resolve, 50);
+        });
+      }).then(() => {
+        expect(received).to.equal(['first', 'second']);
+        return other.query('COMMIT');
+      }).catch(finish);
+    });
+
+    it('reports malformed wake-ups and fetch errors', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: true });
+      let failed = false;
+
+      client.query = (sql, params, callback) => {
+        // Fail the first position lookup, and then every fetch
+        if (params.length === 1 && failed) {
+          return callback(null, { rows: [{ xid: '10' }] });
+        }
+
+        failed = true;
+        callback(new Error(params.length === 1 ? 'foo' : 'bar'));
+      };
+
+      pgee.on('decodeError', (err) => {
+        expect(err.message).to.equal('malformed durable notification');
+        expect(err.payload).to.equal('pgee:durable:x');
+        client.emit('notification', { channel: 'foo', payload: 'pgee:durable:1' });
+      });
+
+      pgee.on('error', (err) => {
+        if (err.message === 'foo') {
+          return client.emit('notification', { channel: 'foo', payload: 'pgee:durable:1' });
+        }
+
+        expect(err.message).to.equal('bar');
+        pgee.close();
+        done();
+      });
+
+      client.emit('notification', { channel: 'foo', payload: 'pgee:durable:x' });
+    });
+  });
+
+  describe('table change feed', () => {
+    function createWatcher (queries, settings, keys) {
+      const client = createClient(queries, {
+        fail: /DROP TRIGGER IF EXISTS "pgee_notify_fail"|^LISTEN "fail"|^UNLISTEN "stuck"$| "missing"$/,
+        rows: () => {
+          return (keys || []).map((key) => {
+            return { attname: key };
+          });
+        }
+      });
+
+      return new PgEe(client, settings);
+    }
+
+    it('installs a trigger and emits change events', (done) => {
+      const queries = [];
+      const pgee = createWatcher(queries, { codec: 'text' }, ['id']);
+      const change = {
+        operation: 'UPDATE',
+        schema: 'public',
+        table: 'orders',
+        key: { id: 1 },
+        old: { id: 1, status: 'new' },
+        new: { id: 1, status: 'paid' }
+      };
+
+      pgee.watchTable('public.orders', {
+        operations: ['update'],
+        listener: (event) => {
+          expect(event).to.equal(change);
+          pgee.close();
+          done();
+        }
+      }).then((channel) => {
+        expect(channel).to.equal('pgee_changes_public_orders');
+        expect(queries.length).to.equal(3);
+        expect(queries[0][1]).to.equal(['"public"."orders"']);
+        expect(queries[1]).to.contain('row_key := json_build_object(\'id\', NEW."id")');
+        expect(queries[1]).to.contain('AFTER UPDATE ON "public"."orders"');
+        expect(queries[2]).to.equal('LISTEN "pgee_changes_public_orders"');
+        expect(pgee._watches['public.orders'].channel).to.equal(channel);
+
+        pgee._connection.emit('notification', {
+          channel: channel,
+          payload: JSON.stringify(change)
+        });
+      }).catch(done);
+    });
+
+    it('uses the given key and channel', (done) => {
+      const queries = [];
+      const pgee = createWatcher(queries, null, []);
+
+      pgee.watchTable('orders', { key: ['code'], channel: 'orders' }, (err, channel) => {
+        expect(err).to.not.exist();
+        expect(channel).to.equal('orders');
+        expect(queries.length).to.equal(2);
+        expect(queries[0]).to.contain('json_build_object(\'code\', OLD."code")');
+
+        pgee.unwatchTable('orders', (err, channel) => {
+          expect(err).to.not.exist();
+          expect(channel).to.equal('orders');
+          expect(queries.slice(2)).to.equal([
+            'DROP TRIGGER IF EXISTS "pgee_notify_orders" ON "orders"; ' +
+            'DROP FUNCTION IF EXISTS "pgee_notify_orders"()',
+            'UNLISTEN "orders"'
+          ]);
+          expect(pgee._watches).to.equal({});
+          expect(pgee.listenerCount('orders')).to.equal(0);
+          pgee.close();
+          done();
+        });
+      });
+    });
+
+    it('drops triggers installed by other instances', (done) => {
+      const queries = [];
+      const pgee = createWatcher(queries);
+
+      pgee.unwatchTable('app.orders').then((channel) => {
+        expect(channel).to.equal('pgee_changes_app_orders');
+        expect(queries).to.equal([
+          'DROP TRIGGER IF EXISTS "pgee_notify_orders" ON "app"."orders"; ' +
+          'DROP FUNCTION IF EXISTS "app"."pgee_notify_orders"()'
+        ]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('requires a primary key or a key option', (done) => {
+      const pgee = createWatcher([], null, []);
+
+      pgee.watchTable('orders').catch((err) => {
+        expect(err.message).to.equal('table orders has no primary key');
+        pgee.close();
+        done();
+      });
+    });
+
+    it('reports errors', (done) => {
+      const pgee = createWatcher([], null, ['id']);
+
+      pgee.watchTable('orders', { operations: ['TRUNCATE'] }).catch((err) => {
+        expect(err).to.be.an.error(TypeError, 'unknown operation: TRUNCATE');
+        return pgee.watchTable('fail');
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        return pgee.watchTable('missing');
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        return pgee.watchTable('orders', { channel: 'fail' });
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._watches).to.equal({});
+        return pgee.unwatchTable('fail');
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        return pgee.unwatchTable('');
+      }).catch((err) => {
+        expect(err).to.be.an.error(TypeError, 'table must be a non-empty string');
+        return pgee.watchTable('orders', { channel: 'stuck' });
+      }).then(() => {
+        return pgee.unwatchTable('orders');
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        pgee.close();
+        return pgee.watchTable('orders');
+      }).catch((err) => {
+        expect(err.message).to.equal('not connected to database');
+        return pgee.unwatchTable('orders');
+      }).catch((err) => {
+        expect(err.message).to.equal('not connected to database');
+        done();
+      });
+    });
+
+    it('sends changes too large for a notification without their rows', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      const changes = [];
+      const table = 'pgee_watch_test';
+
+      pgee.on(`pgee_changes_${table}`, (change) => {
+        changes.push(change);
+
+        if (changes.length < 2) {
+          return;
+        }
+
+        expect(changes[0].new).to.equal({ id: 1, body: 'foo' });
+        expect(changes[0].truncated).to.equal(false);
+        expect(changes[1]).to.equal({
+          operation: 'UPDATE',
+          schema: 'public',
+          table: table,
+          key: { id: 1 },
+          old: null,
+          new: null,
+          truncated: true
+        });
+
+        pgee.unwatchTable(table).then(() => {
+          return pgee._connection.query(`DROP TABLE ${table}`);
+        }).then(() => {
+          pgee.close();
+          done();
+        }).catch(done);
+      });
+
+      pgee.connect().then(() => {
+        return pgee._connection.query(`DROP TABLE IF EXISTS ${table}; ` +
+                                      `CREATE TABLE ${table} (id INTEGER PRIMARY KEY, body TEXT)`);
+      }).then(() => {
+        return new Promise((resolve, reject) => {
+          pgee.watchTable(table, (err) => {
+            return err ? reject(err) : resolve();
+          });
+        });
+      }).then(() => {
+        return pgee._connection.query(`INSERT INTO ${table} VALUES (1, 'foo')`);
+      }).then(() => {
+        // Would otherwise fail the UPDATE
+        return pgee._connection.query(`UPDATE ${table} SET body = $1`,
+                                      ['x'.repeat(8000)]);
+      }).catch(done);
+    });
+  });
+
+  describe('Promise API', () => {
+    it('returns nothing when a callback is provided', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      expect(pgee.listen('foo', () => {})).to.equal(undefined);
+      expect(pgee.unlisten('foo', () => {})).to.equal(undefined);
+      expect(pgee.notify('foo', 'bar', () => {})).to.equal(undefined);
+      expect(pgee.close(() => {})).to.equal(undefined);
+      done();
+    });
+
+    it('resolves and emits events on success', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+      const events = [];
+
+      client.query = function (sql, params, callback) {
+        (callback || params)(null);
+      };
+
+      pgee.on('connect', () => {
+        events.push('connect');
+      });
+
+      pgee.on('listen', (err, channel) => {
+        expect(err).to.equal(null);
+        events.push(`listen ${channel}`);
+      });
+
+      pgee.on('unlisten', (err, channel) => {
+        expect(err).to.equal(null);
+        events.push(`unlisten ${channel}`);
+      });
+
+      pgee.connect().then((value) => {
+        expect(value).to.equal(undefined);
+        return pgee.listen('foo');
+      }).then((channel) => {
+        expect(channel).to.equal('foo');
+        return pgee.notify('foo', 'bar');
+      }).then(() => {
+        return pgee.unlisten('foo');
+      }).then((channel) => {
+        expect(channel).to.equal('foo');
+        expect(events).to.equal(['connect', 'listen foo', 'unlisten foo']);
+        return pgee.close();
+      }).then(() => {
+        expect(pgee._connection).to.equal(null);
+        done();
+      }).catch(done);
+    });
+
+    it('rejects without emitting if there are no error listeners', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      pgee.listen('foo').then(() => {
+        Code.fail('should not resolve');
+      }, (err) => {
+        expect(err.message).to.equal('not connected to database');
+        done();
+      });
+    });
+
+    it('rejects and emits errors to error listeners', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+      let emitted = null;
+
+      pgee.on('error', (err) => {
+        emitted = err;
+      });
+
+      pgee.notify('foo', 'bar').catch((err) => {
+        expect(err).to.shallow.equal(emitted);
+        done();
+      });
+    });
+  });
+
+  describe('PgEe.prototype.close()', (done) => {
+    it('closes the database connection', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      pgee.on('error', (err) => {
+        Code.fail(err);
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        expect(pgee.listenerCount('error')).to.equal(1);
+        pgee.close();
+        expect(pgee._connection).to.equal(null);
+        expect(pgee._done).to.equal(null);
+        expect(pgee.listenerCount('error')).to.equal(0);
+        done();
+      });
+    });
+
+    it('does not modify an external database connection', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      expect(pgee._connection instanceof Postgresql.Client).to.equal(true);
+      expect(pgee._done).to.equal(null);
+      pgee.close();
+      expect(client instanceof Postgresql.Client).to.equal(true);
+      expect(pgee._connection).to.equal(null);
+      expect(pgee._done).to.equal(null);
+      done();
+    });
+
+    it('removes every LISTEN before releasing a pooled client', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING, max: 1 });
+      const pgee = new PgEe(pool);
+
+      pgee.connect().then(() => {
+        return pgee.listen(['foo', 'bar']);
+      }).then(() => {
+        pgee.close();
+
+        pool.connect((err, client, release) => {
+          expect(err).to.not.exist();
+
+          client.query('SELECT pg_listening_channels() AS channel', (err, result) => {
+            expect(err).to.not.exist();
+            expect(result.rows).to.equal([]);
+            release();
+            pool.end(done);
+          });
+        });
+      }).catch(done);
+    });
+
+    it('destroys a pooled client if it cannot be unlistened', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(pool);
+      const error = new Error('foo');
+
+      client.query = (sql, callback) => {
+        callback(/^UNLISTEN \*/.test(sql) ? error : null);
+      };
+
+      pool.connect = (callback) => {
+        callback(null, client, (err) => {
+          expect(err).to.shallow.equal(error);
+          done();
+        });
+      };
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        pgee.close();
+      });
+    });
+
+    it('returns early if not connected', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      pgee._done = () => {
+        Code.fail('should not be called');
+      };
+
+      pgee.close();
+      done();
+    });
+  });
+
+  describe('reconnection', () => {
+    it('is disabled by default', (done) => {
+      const pgee = new PgEe(CONNECT_STRING);
+
+      expect(pgee._reconnect).to.equal(null);
+      done();
+    });
+
+    it('merges reconnect settings with defaults', (done) => {
+      const pgee = new PgEe(CONNECT_STRING, {
+        reconnect: { retries: 3, jitter: 0 }
+      });
+
+      expect(pgee._reconnect).to.equal({
+        retries: 3,
+        minDelay: 100,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0
+      });
+      done();
+    });
+
+    it('reconnects and replays LISTEN after connection loss', (done) => {
+      const queries = [];
+      const pool = createPool(queries);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+      let connection;
+
+      pgee.on('reconnecting', (info) => {
+        expect(info).to.equal({ attempt: 1, delay: 1 });
+        expect(pgee._connection).to.equal(null);
+        expect(pgee._channels).to.equal(['foo', 'bar']);
+      });
+
+      pgee.on('reconnected', (info) => {
+        expect(info).to.equal({ attempt: 1 });
+        expect(queries).to.equal([
+          'LISTEN "foo"',
+          'LISTEN "bar"',
+          'release',
+          'LISTEN "foo"; LISTEN "bar"'
+        ]);
+        expect(pgee._connection).to.not.shallow.equal(connection);
+        expect(pgee._reconnectTimer).to.equal(null);
+        pgee.close();
+        done();
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        pgee.listen('foo', (err) => {
+          expect(err).to.not.exist();
+          pgee.listen('bar', (err) => {
+            expect(err).to.not.exist();
+            connection = pgee._connection;
+            connection.emit('end');
+          });
+        });
+      });
+    });
+
+    it('backs off until a connection succeeds', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+      const delays = [];
+      let failures = 2;
+
+      pgee.on('error', (err) => {
+        expect(err.message).to.equal('foo');
+      });
+
+      pgee.on('reconnecting', (info) => {
+        delays.push(info.delay);
+      });
+
+      pgee.on('reconnected', (info) => {
+        expect(info.attempt).to.equal(3);
+        expect(delays).to.equal([1, 2, 4]);
+        pgee.close();
+        done();
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+
+        const succeed = pool.connect;
+
+        pool.connect = (callback) => {
+          if (failures-- > 0) {
+            return callback(new Error('bar'), null, () => {});
+          }
+
+          succeed(callback);
+        };
+
+        pgee._connection.emit('error', new Error('foo'));
+      });
+    });
+
+    it('gives up after the configured number of retries', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { retries: 2, minDelay: 1 }
+      });
+      let attempts = 0;
+
+      pgee.on('reconnecting', () => {
+        attempts++;
+      });
+
+      pgee.on('error', (err) => {
+        expect(err.message).to.equal('unable to reconnect to database');
+        expect(attempts).to.equal(2);
+        expect(pgee._connection).to.equal(null);
+        done();
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        pool.connect = (callback) => {
+          callback(new Error('foo'), null, () => {});
+        };
+
+        pgee._connection.emit('end');
+      });
+    });
+
+    it('joins a reconnection in progress on connect()', (done) => {
+      const queries = [];
+      const pool = createPool(queries);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+
+      pgee.connect().then(() => {
+        pgee._connection.emit('end');
+
+        return Promise.all([pgee.connect(), pgee.connect()]);
+      }).then(() => {
+        expect(queries).to.equal(['release']);
+        expect(pgee._connection).to.not.equal(null);
+        expect(pgee._reconnectTimer).to.equal(null);
+        return pgee.close();
+      }).then(() => {
+        expect(queries).to.equal(['release', 'UNLISTEN *', 'release']);
+        done();
+      }).catch(done);
+    });
+
+    it('fails connect() calls waiting for a reconnection that gives up', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { retries: 1, minDelay: 1 }
+      });
+      const errors = [];
+
+      pgee.on('error', (err) => {
+        errors.push(err.message);
+      });
+
+      pgee.connect().then(() => {
+        pool.connect = (callback) => {
+          callback(new Error('foo'), null, () => {});
+        };
+
+        pgee._connection.emit('end');
+
+        return pgee.connect();
+      }).then(() => {
+        Code.fail('connect should fail');
+      }, (err) => {
+        expect(err).to.be.an.error('unable to reconnect to database');
+
+        // Emitted for the reconnection and the failed connect()
+        expect(errors).to.equal([
+          'unable to reconnect to database',
+          'unable to reconnect to database'
+        ]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('fails connect() calls waiting for a reconnection on close()', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1000 }
+      });
+
+      pgee.connect().then(() => {
+        pgee._connection.emit('end');
+
+        const connecting = pgee.connect();
+
+        pgee.close();
+        return connecting;
+      }).then(() => {
+        Code.fail('connect should fail');
+      }, (err) => {
+        expect(err).to.be.an.error('instance closed');
+        expect(pgee._connecting).to.equal(null);
+        done();
+      }).catch(done);
+    });
+
+    it('does not reconnect external clients', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { reconnect: true });
+
+      pgee.on('reconnecting', () => {
+        Code.fail('should not reconnect');
+      });
+
+      client.emit('end');
+      expect(pgee._connection).to.shallow.equal(client);
+      expect(pgee._reconnectTimer).to.equal(null);
+      pgee.close();
+      done();
+    });
+
+    it('close() cancels a pending reconnection', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1 }
+      });
+
+      pgee.on('reconnecting', () => {
+        pool.connect = () => {
+          Code.fail('should not connect');
+        };
+
+        pgee.close();
+        expect(pgee._reconnectTimer).to.equal(null);
+        expect(pgee._channels).to.equal([]);
+        expect(pgee.listenerCount('reconnecting')).to.equal(0);
+        setTimeout(done, 10);
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        pgee._connection.emit('end');
+      });
+    });
+
+    it('releases the connection acquired after close()', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1 }
+      });
+
+      pgee.on('reconnecting', () => {
+        pool.connect = (callback) => {
+          pgee.close();
+          callback(null, createClient([]), (err) => {
+            expect(err).to.not.exist();
+            done();
+          });
+        };
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+        pgee._connection.emit('end');
+      });
+    });
+
+    it('releases the connection replaying LISTEN after close()', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1 }
+      });
+
+      pgee.on('reconnecting', () => {
+        pool.connect = (callback) => {
+          const client = createClient([]);
+
+          // Released clients are sent an UNLISTEN * as well
+          client.query = (sql, callback) => {
+            if (sql === 'LISTEN "foo"') {
+              pgee.close();
+            }
+
+            callback(null);
+          };
+
+          callback(null, client, (err) => {
+            expect(err).to.not.exist();
+            done();
+          });
+        };
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen('foo');
+      }).then(() => {
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+
+    it('retries when the replayed LISTEN fails', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+      const attempts = [];
+      const released = [];
+
+      pgee.on('reconnecting', (info) => {
+        attempts.push(info.attempt);
+
+        if (info.attempt === 2) {
+          expect(released.length).to.equal(1);
+          expect(released[0]).to.be.an.error('foo');
+          pgee.close();
+          return done();
+        }
+
+        pool.connect = (callback) => {
+          callback(null, createClient([], { fail: /^LISTEN/ }), (err) => {
+            released.push(err);
+          });
+        };
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen('foo');
+      }).then(() => {
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+  });
+
+  describe('health monitoring', () => {
+    it('reports the connection state without heartbeats', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+
+      expect(pgee._heartbeat).to.equal(null);
+      expect(pgee.health()).to.equal({
+        connected: true,
+        reconnecting: false,
+        healthy: true,
+        latency: null,
+        lastHeartbeat: null,
+        missed: 0,
+        channels: []
+      });
+
+      pgee.close();
+      expect(pgee.health().connected).to.equal(false);
+      expect(pgee.health().healthy).to.equal(false);
+      done();
+    });
+
+    it('consumes heartbeats and reports their latency', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const queries = [];
+
+      client.processID = 1;
+      client.query = (sql, callback) => {
+        const beat = /pg_notify\('(.+)', '(\d+)'\)$/.exec(sql);
+
+        if (beat === null) {
+          queries.push(sql);
+          return callback(null);
+        }
+
+        callback(null);
+        client.emit('notification', {
+          processId: 1,
+          channel: beat[1],
+          payload: beat[2]
+        });
+      };
+
+      const pgee = new PgEe(client, {
+        heartbeat: { interval: 5 },
+        ignoreSelf: true
+      });
+
+      pgee.on(pgee._heartbeat.channel, () => {
+        Code.fail('heartbeats should not be emitted');
+      });
+
+      setTimeout(() => {
+        const health = pgee.health();
+        const listen = `LISTEN "${pgee._heartbeat.channel}"`;
+
+        expect(health.healthy).to.equal(true);
+        expect(health.latency).to.be.a.number();
+        expect(health.lastHeartbeat).to.be.a.date();
+
+        // The heartbeat channel is LISTENed again after UNLISTEN *
+        pgee.unlistenAll().then(() => {
+          expect(queries).to.equal([listen, 'UNLISTEN *', listen]);
+          pgee.close();
+          expect(pgee._heartbeat._timer).to.equal(null);
+          expect(queries[3]).to.equal(`UN${listen}`);
+          done();
+        }).catch(done);
+      }, 30);
+    });
+
+    it('emits unhealthy and reconnects when heartbeats stop', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, {
+        heartbeat: { interval: 5, timeout: 5 },
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+
+      // Heartbeats are sent but never delivered, like on a half-open link
+      pool.connect = (callback) => {
+        const client = new Postgresql.Client(CONNECT_STRING);
+
+        client.query = (sql, callback) => {
+          callback(null);
+        };
+
+        callback(null, client, () => {});
+      };
+
+      pgee.on('unhealthy', (health) => {
+        expect(health.healthy).to.equal(false);
+        expect(health.missed).to.equal(1);
+      });
+
+      pgee.on('reconnecting', () => {
+        expect(pgee.health().reconnecting).to.equal(true);
+        pgee.close();
+        done();
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+      });
+    });
+
+    it('does not reconnect when closed by an unhealthy listener', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, {
+        heartbeat: { interval: 5, timeout: 5 },
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+
+      pool.connect = (callback) => {
+        const client = new Postgresql.Client(CONNECT_STRING);
+
+        client.query = (sql, callback) => {
+          callback(null);
+        };
+
+        callback(null, client, () => {});
+      };
+
+      pgee.on('reconnecting', () => {
+        Code.fail('should not reconnect');
+      });
+
+      pgee.on('unhealthy', () => {
+        pgee.close();
+        setTimeout(done, 10);
+      });
+
+      pgee.connect((err) => {
+        expect(err).to.not.exist();
+      });
+    });
+
+    it('emits healthy when heartbeats resume', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, {
+        heartbeat: { interval: 5, timeout: 5, method: 'query' }
+      });
+      let fail = true;
+
+      client.query = (sql, callback) => {
+        if (!fail) {
+          callback(null);
+        }
+      };
+
+      // External clients are not reconnected
+      pgee.on('unhealthy', () => {
+        expect(pgee._connection).to.shallow.equal(client);
+        fail = false;
+      });
+
+      pgee.on('healthy', (health) => {
+        expect(health.healthy).to.equal(true);
+        expect(health.missed).to.equal(0);
+        pgee.close();
+        done();
+      });
+    });
+  });
+
+  describe('metrics', () => {
+    it('reports traffic and connection state through stats()', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const gauges = [];
+      const pgee = new PgEe(client, {
+        metrics: {
+          gauge: (name, value) => {
+            gauges.push([name, value]);
+          }
+        }
+      });
+      let fail = false;
+
+      client.query = (sql, params, callback) => {
+        callback = callback || params;
+        callback(fail ? new Error('foo') : null);
+      };
+
+      pgee.on('decodeError', () => {});
+
+      pgee.listen('foo').then(() => {
+        return pgee.notify([
+          { channel: 'foo', message: 'bär' },
+          { channel: 'bar', message: 1 }
+        ]);
+      }).then(() => {
+        fail = true;
+        return pgee.notify('foo', 1);
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        fail = false;
+        client.emit('notification', { channel: 'foo', payload: '"bär"' });
+        client.emit('notification', { channel: 'foo', payload: 'bad' });
+        return pgee.unlisten('foo');
+      }).then(() => {
+        const stats = pgee.stats();
+
+        expect(stats.connected).to.equal(true);
+        expect(stats.reconnecting).to.equal(false);
+        expect(stats.channels).to.equal(0);
+        expect(stats.sent).to.equal({
+          count: 2,
+          bytes: 7,
+          errors: 1,
+          channels: { foo: { count: 1, bytes: 6 }, bar: { count: 1, bytes: 1 } }
+        });
+        expect(stats.received).to.equal({
+          count: 2,
+          bytes: 9,
+          decodeErrors: 1,
+          channels: { foo: { count: 2, bytes: 9 } }
+        });
+        expect(stats.listen.count).to.equal(1);
+        expect(stats.listen.last).to.be.a.number();
+        expect(stats.unlisten.count).to.equal(1);
+
+        pgee.close();
+        expect(pgee.stats().connected).to.equal(false);
+        expect(gauges).to.equal([
+          ['connected', 1],
+          ['channels', 1],
+          ['channels', 0],
+          ['connected', 0],
+          ['channels', 0]
+        ]);
+        done();
+      }).catch(done);
+    });
+
+    it('counts encoding failures as notify errors', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client);
+      const circular = {};
+
+      circular.self = circular;
+      pgee.notify('foo', circular, (err) => {
+        expect(err).to.be.an.error(TypeError);
+        expect(pgee.stats().sent.errors).to.equal(1);
+        pgee.close();
+        done();
+      });
+    });
+
+    it('counts durable notifications', (done) => {
+      const client = new Postgresql.Client(CONNECT_STRING);
+      const pgee = new PgEe(client, { durable: true });
+
+      client.query = (sql, params, callback) => {
+        callback(null);
+      };
+
+      pgee.notify('foo', 'bar', (err) => {
+        expect(err).to.not.exist();
+        expect(pgee.stats().sent.channels).to.equal({ foo: { count: 1, bytes: 5 } });
+        pgee.close();
+        done();
+      });
+    });
+  });
+
+  describe('channel names', () => {
+    function createPgEe (queries, settings) {
+      const client = createClient(queries, {
+        rows: (sql) => {
+          return /AS xid$|FROM job$/.test(sql) ? [{ xid: '0', id: '1' }] : [];
+        }
+      });
+
+      return new PgEe(client, settings);
+    }
+
+    it('quotes channel names in LISTEN and UNLISTEN', (done) => {
+      const queries = [];
+      const pgee = createPgEe(queries);
+      const channel = 'foo"; DROP TABLE bar; --';
+
+      pgee.listen(channel).then(() => {
+        return pgee.unlisten(channel);
+      }).then(() => {
+        expect(queries).to.equal([
+          'LISTEN "foo""; DROP TABLE bar; --"',
+          'UNLISTEN "foo""; DROP TABLE bar; --"'
+        ]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('rejects invalid channel names', (done) => {
+      const queries = [];
+      const pgee = createPgEe(queries);
+
+      pgee.listen('').catch((err) => {
+        expect(err).to.be.an.error(PgEe.ChannelError, 'channel name must not be empty');
+        return pgee.listen('a'.repeat(64));
+      }).catch((err) => {
+        expect(err).to.be.an.error(PgEe.ChannelError, 'channel name must not exceed 63 bytes');
+        return pgee.notify('a'.repeat(64), 'foo');
+      }).catch((err) => {
+        expect(err).to.be.an.error(PgEe.ChannelError);
+        expect(err.channel).to.equal('a'.repeat(64));
+        return pgee.watchTable('a'.repeat(60));
+      }).catch((err) => {
+        expect(err).to.be.an.error(PgEe.ChannelError);
+        expect(queries).to.equal([]);
+
+        expect(() => {
+          pgee.queue('a'.repeat(60));
+        }).to.throw(PgEe.ChannelError);
+
+        pgee.close();
+        done();
+      });
+    });
+
+    it('maps long channel names to hashed names', (done) => {
+      const queries = [];
+      const pgee = createPgEe(queries, { hashLongChannels: true });
+      const channel = `orders.${'a'.repeat(60)}`;
+      let hashed;
+
+      pgee.on(channel, (message) => {
+        expect(message).to.equal({ id: 1 });
+        pgee.unlisten(channel).then(() => {
+          expect(queries[2]).to.equal(`UNLISTEN "${hashed}"`);
+          pgee.close();
+          done();
+        }).catch(done);
+      });
+
+      pgee.listen(channel).then((name) => {
+        expect(name).to.equal(channel);
+        expect(pgee._channels).to.equal([channel]);
+        hashed = /^LISTEN "(.+)"$/.exec(queries[0])[1];
+        expect(Buffer.byteLength(hashed)).to.equal(63);
+        return pgee.notify(channel, { id: 1 });
+      }).then(() => {
+        expect(queries[1]).to.equal(['SELECT pg_notify($1, $2)', [hashed, '{"id":1}']]);
+        expect(pgee.stats().sent.channels[channel].count).to.equal(1);
+        pgee._connection.emit('notification', { channel: hashed, payload: '{"id":1}' });
+      }).catch(done);
+    });
+
+    it('uses hashed names for durable delivery and queues', (done) => {
+      const queries = [];
+      const pgee = createPgEe(queries, { durable: true, hashLongChannels: true });
+      const channel = 'b'.repeat(70);
+      const queue = pgee.queue('c'.repeat(70));
+
+      expect(queue.channel).to.equal(`pgee_queue_${'c'.repeat(70)}`);
+      expect(queue._serverChannel).to.not.equal(queue.channel);
+
+      pgee.listen({ channel: channel, since: 0 }).then(() => {
+        const hashed = /^LISTEN "(.+)"$/.exec(queries[0])[1];
+
+        expect(queries[1][1]).to.equal([0]);
+        expect(queries[2][1]).to.equal([hashed, '0', 0, 1000]);
+        return queue.push('foo');
+      }).then(() => {
+        expect(queries[3][1][3]).to.equal(queue._serverChannel);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('batch listen and unlisten', () => {
+    it('listens to many channels in a single batch', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+
+      pgee.listen('foo', (err) => {
+        expect(err).to.not.exist();
+
+        pgee.listen(['foo', 'bar', '', 'baz', 'bar', 1]).then((results) => {
+          expect(queries).to.equal([
+            'LISTEN "foo"',
+            'LISTEN "bar"; LISTEN "baz"; LISTEN "1"'
+          ]);
+          expect(pgee._channels).to.equal(['foo', 'bar', 'baz', '1']);
+          expect(results.map((result) => {
+            return result.channel;
+          })).to.equal(['foo', 'bar', '', 'baz', 'bar', '1']);
+          expect(results[2].error).to.be.an.error(PgEe.ChannelError);
+          expect(results.filter((result) => {
+            return result.error === null;
+          }).length).to.equal(5);
+          expect(pgee.stats().listen.count).to.equal(4);
+          pgee.close();
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('handles batches of channels that are already listened', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries, { async: true }));
+
+      Promise.all([pgee.listen(['foo']), pgee.listen(['foo', 'bar'])]).then(() => {
+        expect(pgee._channels).to.equal(['foo', 'bar']);
+        return pgee.listen(['foo', '']);
+      }).then((results) => {
+        expect(results[0]).to.equal({ channel: 'foo', error: null });
+        expect(results[1].error).to.be.an.error(PgEe.ChannelError);
+        expect(queries.length).to.equal(2);
+        return Promise.all([pgee.unlisten(['foo', 'bar']), pgee.unlisten(['foo'])]);
+      }).then(() => {
+        expect(queries.slice(2)).to.equal(['UNLISTEN "bar"', 'UNLISTEN "foo"']);
+        expect(pgee._channels).to.equal([]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('unlistens many channels in a single batch', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+
+      pgee.listen(['foo', 'bar', 'baz'], (err, results) => {
+        expect(err).to.not.exist();
+        expect(results.length).to.equal(3);
+
+        pgee.unlisten(['foo', 'qux', 'baz', 'foo'], (err, results) => {
+          expect(err).to.not.exist();
+          expect(queries[1]).to.equal('UNLISTEN "foo"; UNLISTEN "baz"');
+          expect(pgee._channels).to.equal(['bar']);
+          expect(results).to.equal([
+            { channel: 'foo', error: null },
+            { channel: 'qux', error: null },
+            { channel: 'baz', error: null },
+            { channel: 'foo', error: null }
+          ]);
+
+          pgee.unlisten(['qux'], (err, results) => {
+            expect(err).to.not.exist();
+            expect(queries.length).to.equal(2);
+            expect(results).to.equal([{ channel: 'qux', error: null }]);
+            pgee.close();
+            done();
+          });
+        });
+      });
+    });
+
+    it('reports batch errors on every affected channel', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries, { fail: /./ }));
+
+      pgee.listen(['foo', 'bar', 'foo']).then((results) => {
+        expect(results.length).to.equal(3);
+        results.forEach((result) => {
+          expect(result.error.message).to.equal('foo');
+        });
+        expect(pgee._channels).to.equal([]);
+
+        pgee._channels = ['foo'];
+        return pgee.unlisten(['foo']);
+      }).then((results) => {
+        expect(results[0].error.message).to.equal('foo');
+        expect(pgee._channels).to.equal(['foo']);
+        return pgee.unlistenAll();
+      }).catch((err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._channels).to.equal(['foo']);
+        pgee.close();
+        return pgee.unlistenAll();
+      }).catch((err) => {
+        expect(err.message).to.equal('not connected to database');
+        done();
+      });
+    });
+
+    it('unlistens every channel with unlistenAll()', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries));
+      const listener = () => {};
+
+      pgee.listen({ pattern: 'foo.*', channels: ['foo.a'], listener: listener }).then(() => {
+        return pgee.listen(['bar']);
+      }).then(() => {
+        return pgee.unlistenAll();
+      }).then((channels) => {
+        expect(channels).to.equal(['foo.a', 'bar']);
+        expect(queries[queries.length - 1]).to.equal('UNLISTEN *');
+        expect(pgee._channels).to.equal([]);
+        expect(pgee._patterns).to.equal([]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('namespaces', () => {
+    it('validates the namespace', (done) => {
+      const client = createClient([]);
+
+      ['', 42].forEach((namespace) => {
+        expect(() => {
+          return new PgEe(client, { namespace: namespace });
+        }).to.throw(TypeError, 'namespace must be a non-empty string');
+      });
+
+      const pgee = new PgEe(client);
+
+      expect(() => {
+        pgee.child(42);
+      }).to.throw(TypeError, 'namespace must be a non-empty string');
+
+      pgee.close();
+      done();
+    });
+
+    it('prefixes channels on the wire and strips them on receipt', (done) => {
+      const queries = [];
+      const client = createClient(queries);
+      const pgee = new PgEe(client, { namespace: 'app1' });
+
+      pgee.on('foo', (message) => {
+        expect(message).to.equal('bar');
+        expect(queries).to.equal([
+          'LISTEN "app1:foo"',
+          ['SELECT pg_notify($1, $2)', ['app1:foo', '"bar"']]
+        ]);
+        pgee.unlisten('foo').then(() => {
+          expect(queries[2]).to.equal('UNLISTEN "app1:foo"');
+          pgee.close();
+          done();
+        }).catch(done);
+      });
+
+      pgee.listen('foo').then((channel) => {
+        expect(channel).to.equal('foo');
+        expect(pgee._channels).to.equal(['foo']);
+        return pgee.notify('foo', 'bar');
+      }).then(() => {
+        // Notifications from other namespaces are ignored
+        client.emit('notification', { channel: 'app2:foo', payload: '"baz"' });
+        client.emit('notification', { channel: 'foo', payload: '"baz"' });
+        client.emit('notification', { channel: 'app1:foo', payload: '"bar"' });
+      }).catch(done);
+    });
+
+    it('hashes long namespaced channels', (done) => {
+      const queries = [];
+      const client = createClient(queries);
+      const pgee = new PgEe(client, { namespace: 'app1', hashLongChannels: true });
+      const channel = 'a'.repeat(60);
+
+      pgee.on(channel, () => {
+        pgee.close();
+        done();
+      });
+
+      pgee.listen(channel).then(() => {
+        const hashed = /^LISTEN "(.+)"$/.exec(queries[0])[1];
+
+        expect(hashed).to.startWith('app1:aaa');
+        expect(Buffer.byteLength(hashed)).to.equal(63);
+        client.emit('notification', { channel: hashed, payload: '1' });
+      }).catch(done);
+    });
+
+    it('creates children sharing the connection', (done) => {
+      const queries = [];
+      const client = createClient(queries);
+      const pgee = new PgEe(client, { namespace: 'app1', codec: 'text' });
+      const tenant = pgee.child('tenant1');
+      const nested = tenant.child('orders');
+      const received = [];
+
+      expect(tenant._connection).to.shallow.equal(client);
+      expect(tenant._namespace).to.equal('app1:tenant1');
+      expect(tenant._codec).to.shallow.equal(pgee._codec);
+      expect(nested._namespace).to.equal('app1:tenant1:orders');
+      expect(client.listenerCount('notification')).to.equal(3);
+      expect(client.listenerCount('end')).to.equal(1);
+
+      pgee.on('foo', (message) => {
+        received.push(['parent', message]);
+      });
+
+      pgee.on('tenant1:foo', () => {
+        Code.fail('parents ignore the notifications of children');
+      });
+
+      tenant.on('foo', (message) => {
+        received.push(['tenant', message]);
+      });
+
+      nested.on('foo', (message) => {
+        received.push(['nested', message]);
+      });
+
+      Promise.all([
+        pgee.listen('foo'),
+        tenant.listen('foo'),
+        nested.listen('foo')
+      ]).then(() => {
+        expect(queries).to.equal([
+          'LISTEN "app1:foo"',
+          'LISTEN "app1:tenant1:foo"',
+          'LISTEN "app1:tenant1:orders:foo"'
+        ]);
+
+        client.emit('notification', { channel: 'app1:foo', payload: 'a' });
+        client.emit('notification', { channel: 'app1:tenant1:foo', payload: 'b' });
+        client.emit('notification', { channel: 'app1:tenant1:orders:foo', payload: 'c' });
+        expect(received).to.equal([['parent', 'a'], ['tenant', 'b'], ['nested', 'c']]);
+
+        return tenant.unlistenAll();
+      }).then((channels) => {
+        expect(channels).to.equal(['foo']);
+        expect(queries[3]).to.equal('UNLISTEN "app1:tenant1:foo"');
+        return nested.unlistenAll();
+      }).then(() => {
+        expect(queries[4]).to.equal('UNLISTEN "app1:tenant1:orders:foo"');
+        return tenant.unlistenAll();
+      }).then((channels) => {
+        expect(channels).to.equal([]);
+        expect(queries.length).to.equal(5);
+        return nested.listen('bar');
+      }).then(() => {
+        tenant.close();
+        expect(queries[6]).to.equal('UNLISTEN "app1:tenant1:orders:bar"');
+        expect(pgee._children).to.equal([]);
+        expect(client.listenerCount('notification')).to.equal(1);
+
+        // Closing a child does not close the shared connection
+        expect(pgee._connection).to.shallow.equal(client);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('attaches children once the parent connects, and after reconnecting', (done) => {
+      const queries = [];
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, { reconnect: { minDelay: 1, jitter: 0 } });
+      const tenant = pgee.child('tenant1');
+
+      pool.connect = (callback) => {
+        callback(null, createClient(queries), () => {});
+      };
+
+      expect(tenant._connection).to.equal(null);
+
+      pgee.on('reconnected', () => {
+        const connection = pgee._connection;
+
+        expect(tenant._connection).to.shallow.equal(connection);
+        expect(queries[queries.length - 1]).to.equal('LISTEN "tenant1:foo"');
+        pgee.close();
+        expect(tenant._connection).to.equal(null);
+        done();
+      });
+
+      tenant.connect().then(() => {
+        expect(tenant._connection).to.shallow.equal(pgee._connection);
+        return tenant.listen('foo');
+      }).then(() => {
+        const connection = pgee._connection;
+
+        connection.emit('end');
+        expect(tenant._connection).to.equal(null);
+        expect(tenant._channels).to.equal(['foo']);
+        expect(connection.listenerCount('notification')).to.equal(0);
+      }).catch(done);
+    });
+
+    it('reports errors replaying the LISTEN of children', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, { reconnect: { minDelay: 1, jitter: 0 } });
+      const tenant = pgee.child('tenant1');
+      let fail = false;
+
+      pool.connect = (callback) => {
+        const client = createClient([]);
+
+        client.query = (sql, callback) => {
+          callback(fail ? new Error('foo') : null);
+        };
+
+        callback(null, client, () => {});
+      };
+
+      tenant.on('error', (err) => {
+        expect(err.message).to.equal('foo');
+        pgee.close();
+        done();
+      });
+
+      pgee.connect().then(() => {
+        return tenant.listen('foo');
+      }).then(() => {
+        fail = true;
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+  });
+
+  describe('shared connections', () => {
+    it('listens each channel once for all the handles', (done) => {
+      const queries = [];
+      const client = createClient(queries);
+      const pgee = new PgEe(client);
+      const first = pgee.handle();
+      const second = pgee.handle();
+      const received = [];
+
+      expect(first._namespace).to.equal(null);
+      expect(second._connection).to.shallow.equal(client);
+
+      first.on('foo', (message) => {
+        received.push(['first', message]);
+      });
+
+      second.on('foo', (message) => {
+        received.push(['second', message]);
+      });
+
+      first.listen('foo').then(() => {
+        return second.listen('foo');
+      }).then(() => {
+        return second.listen(['bar', 'foo']);
+      }).then(() => {
+        expect(queries).to.equal(['LISTEN "foo"', 'LISTEN "bar"']);
+        expect(pgee._refs).to.equal({ foo: 2, bar: 1 });
+
+        client.emit('notification', { channel: 'foo', payload: '1' });
+        expect(received).to.equal([['first', 1], ['second', 1]]);
+
+        return first.unlisten('foo');
+      }).then(() => {
+        expect(queries.length).to.equal(2);
+        expect(first._channels).to.equal([]);
+        return second.unlisten(['foo', 'bar']);
+      }).then(() => {
+        expect(queries[2]).to.equal('UNLISTEN "foo"; UNLISTEN "bar"');
+        expect(pgee._refs).to.equal({});
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('leaves heartbeats to the owner of the connection', (done) => {
+      const client = createClient([]);
+      const pgee = new PgEe(client, { heartbeat: true });
+      const handle = pgee.handle();
+      const child = pgee.child('app');
+      const channel = pgee._heartbeat.channel;
+
+      [handle, child].forEach((instance) => {
+        instance.on(channel, () => {
+          Code.fail('heartbeats should not be emitted');
+        });
+      });
+
+      pgee._heartbeat._pending = { seq: 1, sentAt: Date.now(), timer: null };
+      client.emit('notification', { channel: channel, payload: '1' });
+      expect(pgee._heartbeat.latency).to.be.a.number();
+      expect(handle.stats().received.count).to.equal(0);
+      expect(child.stats().received.count).to.equal(0);
+      pgee.close();
+      done();
+    });
+
+    it('unlistens channels when their last handle closes', (done) => {
+      const queries = [];
+      const client = createClient(queries);
+      const pgee = new PgEe(client);
+      const first = pgee.handle();
+      const second = pgee.handle();
+
+      Promise.all([
+        pgee.listen('foo'),
+        first.listen('foo'),
+        first.listen('bar'),
+        second.listen('bar'),
+        second.listen('baz')
+      ]).then(() => {
+        expect(queries.length).to.equal(3);
+
+        first.close();
+        expect(queries.length).to.equal(3);
+
+        return pgee.unlistenAll();
+      }).then((channels) => {
+        expect(channels).to.equal(['foo']);
+        expect(queries[3]).to.equal('UNLISTEN "foo"');
+
+        second.close();
+        expect(queries[4]).to.equal('UNLISTEN "bar"; UNLISTEN "baz"');
+        expect(pgee._children).to.equal([]);
+        expect(pgee._connection).to.shallow.equal(client);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('keeps the references of channels that fail to unlisten', (done) => {
+      const queries = [];
+      const client = createClient(queries, { fail: /^UNLISTEN/ });
+      const pgee = new PgEe(client);
+      const handle = pgee.handle();
+      const other = pgee.handle();
+      const query = client.query;
+
+      // The channel is listened again while the UNLISTEN is in flight
+      client.query = (sql, callback) => {
+        if (!/^UNLISTEN/.test(sql)) {
+          return query(sql, callback);
+        }
+
+        other.listen('foo').then(() => {
+          query(sql, callback);
+        });
+      };
+
+      handle.listen('foo').then(() => {
+        return handle.unlisten('foo');
+      }).then(() => {
+        Code.fail('unlisten should fail');
+      }, (err) => {
+        expect(err.message).to.equal('foo');
+        expect(pgee._refs).to.equal({ foo: 2 });
+        expect(handle._channels).to.equal(['foo']);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('replays each channel once after reconnecting', (done) => {
+      const queries = [];
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool, { reconnect: { minDelay: 1, jitter: 0 } });
+      const handle = pgee.handle();
+
+      pool.connect = (callback) => {
+        callback(null, createClient(queries), () => {});
+      };
+
+      pgee.on('reconnected', () => {
+        expect(queries.slice(2)).to.equal(['LISTEN "foo"', 'LISTEN "bar"']);
+        expect(pgee._refs).to.equal({ foo: 2, bar: 1 });
+        pgee.close();
+        done();
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen('foo');
+      }).then(() => {
+        return handle.listen(['foo', 'bar']);
+      }).then(() => {
+        expect(queries).to.equal(['LISTEN "foo"', 'LISTEN "bar"']);
+        pgee._connection.emit('end');
+      }).catch(done);
+    });
+
+    it('shares instances between PgEe.shared() calls with the same options', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      let connects = 0;
+      let releases = 0;
+
+      pool.connect = (callback) => {
+        ++connects;
+        setImmediate(() => {
+          callback(null, createClient([]), () => {
+            ++releases;
+          });
+        });
+      };
+
+      const first = PgEe.shared(pool);
+      const second = PgEe.shared(pool, { codec: 'text' });
+      const other = PgEe.shared({ connectionString: CONNECT_STRING });
+      const same = PgEe.shared({ connectionString: CONNECT_STRING });
+      const keys = [null, CONNECT_STRING, createClient([])];
+
+      keys.forEach((key) => {
+        const instance = PgEe.shared(key);
+        const again = PgEe.shared(key);
+
+        expect(again._parent).to.shallow.equal(instance._parent);
+        instance.close();
+        again.close();
+      });
+
+      expect(first._parent).to.shallow.equal(second._parent);
+      expect(other._parent).to.shallow.equal(same._parent);
+      expect(other._parent).to.not.shallow.equal(first._parent);
+
+      // Settings are taken from the first call
+      expect(second._codec).to.shallow.equal(first._codec);
+      other.close();
+      same.close();
+
+      Promise.all([first.connect(), second.connect()]).then(() => {
+        expect(connects).to.equal(1);
+        expect(first._connection).to.shallow.equal(second._connection);
+
+        first.close();
+        expect(releases).to.equal(0);
+        second.close();
+        expect(releases).to.equal(1);
+
+        const third = PgEe.shared(pool);
+
+        expect(third._parent).to.not.shallow.equal(first._parent);
+        third.close();
+        done();
+      }).catch(done);
+    });
+
+    it('reports connection errors to every pending connect()', (done) => {
+      const pool = new Postgresql.Pool({ connectionString: CONNECT_STRING });
+      const pgee = new PgEe(pool);
+
+      pool.connect = (callback) => {
+        setImmediate(() => {
+          callback(new Error('foo'));
+        });
+      };
+
+      Promise.all([
+        pgee.connect().catch((err) => {
+          return err.message;
+        }),
+        pgee.handle().connect().catch((err) => {
+          return err.message;
+        })
+      ]).then((results) => {
+        expect(results).to.equal(['foo', 'foo']);
+        expect(pgee._connecting).to.equal(null);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+  });
+
+  describe('offline buffering', () => {
+    it('sends notifications issued before connecting once connected', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }), { buffer: true });
+
+      const sent = [
+        pgee.notify('foo', 1),
+        pgee.notify([{ channel: 'bar', message: 2 }, { channel: 'baz', message: 3 }])
+      ];
+
+      expect(pgee.stats().buffered).to.equal(2);
+      expect(queries).to.equal([]);
+
+      pgee.connect().then(() => {
+        expect(pgee.stats().buffered).to.equal(0);
+        return Promise.all(sent);
+      }).then(() => {
+        expect(queries).to.equal([
+          ['SELECT pg_notify($1, $2)', ['foo', '1']],
+          ['SELECT pg_notify($1, $2), pg_notify($3, $4)', ['bar', '2', 'baz', '3']]
+        ]);
+        expect(pgee.stats().sent.count).to.equal(3);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('sends notifications issued while reconnecting', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }), {
+        buffer: true,
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+
+      pgee.on('reconnected', () => {
+        expect(queries).to.equal(['release', ['SELECT pg_notify($1, $2)', ['foo', '"bar"']]]);
+      });
+
+      pgee.connect().then(() => {
+        pgee._connection.emit('end');
+        return pgee.notify('foo', 'bar');
+      }).then(() => {
+        expect(queries.length).to.equal(2);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('fails buffered notifications when closed', (done) => {
+      const pgee = new PgEe(createPool([], { async: true }), { buffer: { maxSize: 1 } });
+
+      pgee.notify('foo', 1, (err) => {
+        expect(err.message).to.equal('instance closed');
+
+        pgee.notify('foo', 2, (err) => {
+          expect(err.message).to.equal('not connected to database');
+          done();
+        });
+      });
+
+      pgee.notify('foo', 2, (err) => {
+        expect(err.message).to.equal('notification buffer is full');
+        pgee.close();
+      });
+    });
+
+    it('does not buffer by default', (done) => {
+      const pgee = new PgEe(createPool([], { async: true }));
+
+      pgee.notify('foo', 1, (err) => {
+        expect(err.message).to.equal('not connected to database');
+        expect(pgee.stats().buffered).to.equal(0);
+        done();
+      });
+    });
+
+    it('drains notifications before a graceful close', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }));
+
+      pgee.connect().then(() => {
+        pgee.notify('foo', 1, (err) => {
+          expect(err).to.not.exist();
+          queries.push('sent');
+        });
+
+        return pgee.close({ graceful: true });
+      }).then(() => {
+        expect(queries).to.equal([['SELECT pg_notify($1, $2)', ['foo', '1']], 'sent', 'UNLISTEN *']);
+        expect(pgee._connection).to.equal(null);
+
+        // Nothing to wait for
+        return pgee.close({ graceful: true });
+      }).then(() => {
+        done();
+      }).catch(done);
+    });
+
+    it('waits for buffered notifications flushed by a reconnection', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }), {
+        buffer: { ttl: 1000 },
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+
+      pgee.connect().then(() => {
+        pgee._connection.emit('end');
+        pgee.notify('foo', 1);
+
+        pgee.once('reconnected', () => {
+          pgee.close({ graceful: true }, (err) => {
+            expect(err).to.not.exist();
+            expect(queries).to.equal([
+              'release',
+              ['SELECT pg_notify($1, $2)', ['foo', '1']],
+              'UNLISTEN *'
+            ]);
+            done();
+          });
+        });
+      }).catch(done);
+    });
+
+    it('waits for a reconnection before a graceful close', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }), {
+        buffer: true,
+        reconnect: { minDelay: 1, jitter: 0 }
+      });
+      const events = [];
+
+      pgee.connect().then(() => {
+        pgee._connection.emit('end');
+
+        pgee.notify('foo', 1).then(() => {
+          events.push('sent');
+        });
+
+        return pgee.close({ graceful: true });
+      }).then(() => {
+        expect(events).to.equal(['sent']);
+        expect(queries).to.equal([
+          'release',
+          ['SELECT pg_notify($1, $2)', ['foo', '1']],
+          'UNLISTEN *'
+        ]);
+        done();
+      }).catch(done);
+    });
+
+    it('waits for the first connection before a graceful close', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries, { async: true }), { buffer: true });
+      const events = [];
+
+      pgee.connect().then(() => {
+        events.push('connected');
+      });
+
+      pgee.notify('foo', 1).then(() => {
+        events.push('sent');
+      });
+
+      pgee.close({ graceful: true }).then(() => {
+        expect(events).to.equal(['connected', 'sent']);
+        expect(queries).to.equal([
+          ['SELECT pg_notify($1, $2)', ['foo', '1']],
+          'UNLISTEN *'
+        ]);
+        expect(pgee._connection).to.equal(null);
+        done();
+      }).catch(done);
+    });
+
+    it('releases the connection if closed while connecting', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createPool(queries));
+
+      pgee.connect().then(() => {
+        Code.fail('connect should fail');
+      }, (err) => {
+        expect(err).to.be.an.error('instance closed');
+        expect(queries).to.equal(['UNLISTEN *', 'release']);
+        expect(pgee._connection).to.equal(null);
+        done();
+      }).catch(done);
+
+      pgee.close();
+    });
+
+    it('closes gracefully while reconnecting without buffered notifications', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, { reconnect: { minDelay: 1000 } });
+      const buffered = new PgEe(createPool([]), {
+        buffer: true,
+        reconnect: { minDelay: 1000 }
+      });
+
+      Promise.all([pgee.connect(), buffered.connect()]).then(() => {
+        pgee._connection.emit('end');
+        buffered._connection.emit('end');
+        return Promise.all([
+          pgee.close({ graceful: true }),
+          buffered.close({ graceful: true })
+        ]);
+      }).then(() => {
+        expect(pgee._reconnectTimer).to.equal(null);
+        expect(buffered._reconnectTimer).to.equal(null);
+        done();
+      }).catch(done);
+    });
+
+    it('fails buffered notifications if reconnecting fails', (done) => {
+      const pool = createPool([]);
+      const pgee = new PgEe(pool, {
+        buffer: true,
+        reconnect: { retries: 1, minDelay: 1, jitter: 0 }
+      });
+
+      const errors = [];
+
+      pgee.on('error', (err) => {
+        errors.push(err.message);
+      });
+
+      pgee.connect().then(() => {
+        pool.connect = (callback) => {
+          callback(new Error('foo'), null, () => {});
+        };
+
+        pgee._connection.emit('end');
+        pgee.notify('foo', 1);
+
+        pgee.close({ graceful: true }, (err) => {
+          expect(err).to.not.exist();
+          expect(errors).to.equal(['unable to reconnect to database', 'instance closed']);
+          done();
+        });
+      }).catch(done);
+    });
+  });
+
+  describe('schema validation', () => {
+    // Reports its errors like a validator compiled by Ajv
+    const order = (payload) => {
+      const error = payload.id === undefined ? 'is required' :
+                    Number.isInteger(payload.id) ? null : 'must be integer';
+
+      order.errors = error === null ? null : [{ dataPath: '.id', message: error }];
+      return error === null;
+    };
+
+    it('validates the schema', (done) => {
+      const client = createClient([]);
+
+      expect(() => {
+        return new PgEe(client, { schemas: { foo: { type: 'string' } } });
+      }).to.throw(TypeError, 'schema must be a function');
+
+      const pgee = new PgEe(client);
+
+      pgee.listen({ channel: 'foo', schema: 42 }).then(() => {
+        Code.fail('listen should fail');
+      }, (err) => {
+        expect(err).to.be.an.error(TypeError, 'schema must be a function');
+        expect(pgee._channels).to.equal([]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('rejects invalid outgoing payloads before sending them', (done) => {
+      const queries = [];
+      const pgee = new PgEe(createClient(queries), { schemas: { orders: order } });
+
+      pgee.notify('orders', { id: 'a' }).then(() => {
+        Code.fail('notify should fail');
+      }, (err) => {
+        expect(err).to.be.an.error(PgEe.ValidationError,
+          'invalid payload on channel orders: payload.id must be integer');
+        expect(err.channel).to.equal('orders');
+        expect(err.payload).to.equal({ id: 'a' });
+        expect(err.errors).to.equal([{ path: 'payload.id', message: 'must be integer' }]);
+
+        // Batches are rejected as a whole
+        return pgee.notify([
+          { channel: 'orders', message: { id: 1 } },
+          { channel: 'orders', message: {} }
+        ]);
+      }).then(() => {
+        Code.fail('notify should fail');
+      }, (err) => {
+        expect(err.errors).to.equal([{ path: 'payload.id', message: 'is required' }]);
+        expect(queries).to.equal([]);
+        expect(pgee.stats().sent.errors).to.equal(2);
+        return pgee.notify('orders', { id: 1 });
+      }).then(() => {
+        expect(queries).to.equal([['SELECT pg_notify($1, $2)', ['orders', '{"id":1}']]]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('routes invalid incoming payloads to the invalid event', (done) => {
+      const client = createClient([]);
+      const pgee = new PgEe(client, { envelope: true });
+      const received = [];
+      const invalid = [];
+
+      pgee.on('invalid', (err) => {
+        invalid.push(err);
+      });
+
+      pgee.listen({
+        channel: 'orders',
+        schema: order,
+        listener: (message) => {
+          received.push(message.payload);
+        }
+      }).then(() => {
+        return pgee.listen({
+          pattern: 'ord*',
+          channels: [],
+          listener: (message) => {
+            received.push(['pattern', message.payload]);
+          }
+        });
+      }).then(() => {
+        client.emit('notification', { channel: 'orders', payload: '{"id":"a"}', processId: 7 });
+        client.emit('notification', { channel: 'orders', payload: '{"id":1}' });
+        client.emit('notification', { channel: 'other', payload: '{"id":"a"}' });
+
+        expect(received).to.equal([{ id: 1 }, ['pattern', { id: 1 }]]);
+        expect(invalid.length).to.equal(1);
+        expect(invalid[0]).to.be.an.error(PgEe.ValidationError);
+        expect(invalid[0].channel).to.equal('orders');
+        expect(invalid[0].payload).to.equal({ id: 'a' });
+        expect(invalid[0].processId).to.equal(7);
+
+        // The schema also applies to outgoing payloads
+        return pgee.notify('orders', { id: 'a' });
+      }).then(() => {
+        Code.fail('notify should fail');
+      }, (err) => {
+        expect(err).to.be.an.error(PgEe.ValidationError);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('accepts validator functions', (done) => {
+      const client = createClient([]);
+      const pgee = new PgEe(client, {
+        schemas: {
+          foo: (payload) => {
+            return payload > 0 || 'must be positive';
+          }
+        }
+      });
+
+      pgee.on('invalid', (err) => {
+        expect(err.message).to.equal('invalid payload on channel foo: payload must be positive');
+        pgee.close();
+        done();
+      });
+
+      pgee.on('foo', () => {
+        Code.fail('invalid payloads are not emitted');
+      });
+
+      pgee.listen('foo').then(() => {
+        client.emit('notification', { channel: 'foo', payload: '-1' });
+      }).catch(done);
+    });
+  });
+
+  describe('memory broker', () => {
+    it('connects instances without a database', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const sender = new PgEe(broker.pool());
+      const receiver = new PgEe(broker.pool(), { ignoreSelf: true });
+
+      receiver.on('orders', (message) => {
+        expect(message).to.equal({ id: 1 });
+        sender.close();
+        receiver.close();
+        done();
+      });
+
+      Promise.all([sender.connect(), receiver.connect()]).then(() => {
+        return Promise.all([receiver.listen('orders'), sender.listen('orders')]);
+      }).then(() => {
+        expect(broker.channels()).to.equal(['orders']);
+        return sender.notify('orders', { id: 1 });
+      }).catch(done);
+    });
+
+    it('delivers notifications sent in a transaction on commit', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const pgee = new PgEe(broker.client());
+      const client = broker.client();
+      const received = [];
+
+      pgee.on('foo', (message) => {
+        received.push(message);
+      });
+
+      pgee.listen('foo').then(() => {
+        return client.query('BEGIN');
+      }).then(() => {
+        return pgee.notifyWith(client, 'foo', 1);
+      }).then(() => {
+        expect(received).to.equal([]);
+        return client.query('COMMIT');
+      }).then(() => {
+        expect(received).to.equal([1]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('delivers notifications without a payload', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const pgee = new PgEe(broker.client(), {
+        codecs: { bar: 'json-extended' }
+      });
+      const client = broker.client();
+      const received = [];
+
+      pgee.on('decodeError', (err) => {
+        done(err);
+      });
+
+      pgee.on('foo', (message) => {
+        received.push(['foo', message]);
+      });
+
+      pgee.on('bar', (message) => {
+        received.push(['bar', message]);
+      });
+
+      pgee.listen(['foo', 'bar']).then(() => {
+        return client.query('NOTIFY foo; NOTIFY bar');
+      }).then(() => {
+        expect(received).to.equal([['foo', undefined], ['bar', undefined]]);
+        pgee.close();
+        done();
+      }).catch(done);
+    });
+
+    it('rejects payloads that are too large', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const pgee = new PgEe(broker.client(), { chunking: true });
+
+      pgee.on('foo', (message) => {
+        expect(message).to.equal('a'.repeat(10000));
+        pgee.close();
+        done();
+      });
+
+      new PgEe(broker.client()).notify('foo', 'a'.repeat(10000)).then(() => {
+        Code.fail('notify should fail');
+      }, (err) => {
+        expect(err.message).to.equal('payload string too long');
+
+        // Chunked payloads fit
+        return pgee.listen('foo');
+      }).then(() => {
+        return pgee.notify('foo', 'a'.repeat(10000));
+      }).catch(done);
+    });
+
+    it('reconnects after the broker is terminated', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const pgee = new PgEe(broker.pool(), {
+        reconnect: { minDelay: 1, jitter: 0 },
+        heartbeat: { method: 'query' }
+      });
+
+      pgee.on('reconnected', () => {
+        expect(broker.channels()).to.equal(['foo']);
+        broker.notify('foo', '"bar"');
+      });
+
+      pgee.on('foo', (message) => {
+        expect(message).to.equal('bar');
+        pgee.close();
+        done();
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen('foo');
+      }).then(() => {
+        broker.terminate();
+        expect(broker.channels()).to.equal([]);
+      }).catch(done);
+    });
+  });
+
+  describe('bridge', () => {
+    it('keeps the channels listened to by the rest of the application', (done) => {
+      const broker = PgEe.createMemoryBroker();
+      const pgee = new PgEe(broker.pool(), { namespace: 'app' });
+      const bridge = pgee.bridge({ channels: ['orders'] });
+      const received = [];
+      const response = new EventEmitter();
+
+      response.writeHead = () => {};
+      response.write = () => {};
+
+      pgee.on('orders', (message) => {
+        received.push(message);
+      });
+
+      pgee.connect().then(() => {
+        return pgee.listen('orders');
+      }).then(() => {
+        bridge.handleRequest({ url: '/events?channel=orders', method: 'GET' }, response);
+        return new Promise((resolve) => {
+          setTimeout(resolve, 10);
+        });
+      }).then(() => {
+        expect(bridge.stats()).to.equal({ clients: 1, channels: { orders: 1 } });
+        response.emit('close');
+        return bridge.close();
+      }).then(() => {
+        expect(broker.channels()).to.equal(['app:orders']);
+        broker.notify('app:orders', '1');
+        pgee.on('orders', () => {
+          expect(received).to.equal([1]);
+          pgee.close(done);
+        });
+      }).catch(done);
+    });
   });
 });
@@ -0,0 +1,249 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const MemoryBroker = require('../lib/memory');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('MemoryBroker', () => {
+  function record (client) {
+    const received = [];
+
+    client.on('notification', (notification) => {
+      received.push(notification);
+    });
+
+    return received;
+  }
+
+  it('delivers notifications to every listening client', (done) => {
+    const broker = new MemoryBroker();
+    const sender = broker.client();
+    const receiver = broker.client();
+    const other = broker.client();
+    const received = record(receiver);
+    const echoed = record(sender);
+
+    other.query('LISTEN bar; LISTEN "Foo"');
+
+    expect(sender.processID).to.equal(1);
+    expect(receiver.processID).to.equal(2);
+
+    receiver.query('LISTEN "Foo"; LISTEN bar', (err, result) => {
+      expect(err).to.not.exist();
+      expect(result).to.equal({ command: 'LISTEN', rowCount: 0, rows: [] });
+      expect(broker.channels()).to.equal(['Foo', 'bar']);
+
+      sender.query('LISTEN foo; SELECT pg_notify(\'Foo\', \'it\'\'s\'); NOTIFY BAR, \'a;b\'', (err) => {
+        expect(err).to.not.exist();
+        expect(received).to.equal([
+          { processId: 1, channel: 'Foo', payload: 'it\'s' },
+          { processId: 1, channel: 'bar', payload: 'a;b' }
+        ]);
+        expect(echoed).to.equal([]);
+
+        const query = { text: 'SELECT pg_notify($1, $2), pg_notify($1, $3)', values: ['foo', null, { a: 1 }] };
+
+        sender.query(query, (err, result) => {
+          expect(err).to.not.exist();
+          expect(result.rows).to.equal([{ pg_notify: '' }]);
+          expect(echoed).to.equal([
+            { processId: 1, channel: 'foo', payload: '' },
+            { processId: 1, channel: 'foo', payload: '{"a":1}' }
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('supports unlistening and notifications from outside of clients', (done) => {
+    const broker = new MemoryBroker();
+    const client = broker.client();
+    const received = record(client);
+
+    client.query('LISTEN a; LISTEN b; LISTEN c; UNLISTEN a', (err) => {
+      expect(err).to.not.exist();
+      expect(broker.channels()).to.equal(['b', 'c']);
+      broker.notify('b', 'x');
+      broker.notify('a', 'y');
+
+      client.query({ text: 'NOTIFY c' }).then(() => {
+        expect(received).to.equal([
+          { processId: 0, channel: 'b', payload: 'x' },
+          { processId: 1, channel: 'c', payload: '' }
+        ]);
+
+        return client.query('UNLISTEN *');
+      }).then(() => {
+        expect(broker.channels()).to.equal([]);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it('delivers notifications when their transaction commits', (done) => {
+    const broker = new MemoryBroker();
+    const client = broker.client();
+    const received = record(client);
+
+    client.query('LISTEN foo').then(() => {
+      return client.query('BEGIN; BEGIN');
+    }).then(() => {
+      return client.query('SELECT pg_notify($1, $2)', ['foo', 'a']);
+    }).then(() => {
+      return client.query('NOTIFY foo, \'a\'; NOTIFY foo, \'b\'');
+    }).then(() => {
+      expect(received).to.equal([]);
+      return client.query('COMMIT');
+    }).then((result) => {
+      // Duplicates are folded within a transaction
+      expect(result.command).to.equal('COMMIT');
+      expect(received.map((notification) => {
+        return notification.payload;
+      })).to.equal(['a', 'b']);
+
+      return client.query('START TRANSACTION; NOTIFY foo, \'c\'; ROLLBACK');
+    }).then((result) => {
+      expect(result.command).to.equal('ROLLBACK');
+      expect(received.length).to.equal(2);
+      return client.query('NOTIFY foo, \'a\'; NOTIFY foo, \'a\'');
+    }).then(() => {
+      expect(received.length).to.equal(3);
+      done();
+    }).catch(done);
+  });
+
+  it('aborts transactions after an error', (done) => {
+    const broker = new MemoryBroker();
+    const client = broker.client();
+    const received = record(client);
+
+    client.query('LISTEN foo; BEGIN; NOTIFY foo').then(() => {
+      return client.query('SELECT now()');
+    }).then(() => {
+      Code.fail('query should fail');
+    }, (err) => {
+      expect(err.message).to.equal('unsupported statement: SELECT now()');
+      expect(err.code).to.equal('0A000');
+      return client.query('NOTIFY foo, \'b\'');
+    }).then(() => {
+      Code.fail('query should fail');
+    }, (err) => {
+      expect(err.code).to.equal('25P02');
+      return client.query('END');
+    }).then((result) => {
+      expect(result.command).to.equal('ROLLBACK');
+      expect(received).to.equal([]);
+
+      // Failed statements discard the notifications of their query
+      return client.query('NOTIFY foo; SELECT pg_notify(\'foo\', \'b\') x');
+    }).then(() => {
+      Code.fail('query should fail');
+    }, (err) => {
+      expect(err.message).to.contain('unsupported statement');
+      return client.query('SELECT 1');
+    }).then((result) => {
+      expect(result.rows).to.equal([{ '?column?': 1 }]);
+      expect(received).to.equal([]);
+      done();
+    }).catch(done);
+  });
+
+  it('enforces the limits of PostgreSQL', (done) => {
+    const broker = new MemoryBroker({ maxPayloadBytes: 4 });
+    const client = broker.client();
+    const long = 'a'.repeat(64);
+    const fail = (sql, params, message) => {
+      return client.query(sql, params).then(() => {
+        Code.fail('query should fail');
+      }, (err) => {
+        expect(err.message).to.equal(message);
+      });
+    };
+
+    expect(new MemoryBroker().maxPayloadBytes).to.equal(7999);
+
+    expect(() => {
+      broker.notify('foo', 'abcde');
+    }).to.throw('payload string too long');
+
+    expect(() => {
+      broker.notify(undefined, 'a');
+    }).to.throw('channel name cannot be empty');
+
+    Promise.all([
+      fail('SELECT pg_notify($1, $2)', ['foo', 'abcde'], 'payload string too long'),
+      fail('SELECT pg_notify($1, $2)', ['', 'a'], 'channel name cannot be empty'),
+      fail('SELECT pg_notify(NULL, \'a\')', [], 'channel name cannot be empty'),
+      fail('SELECT pg_notify($1, \'a\')', [], 'channel name cannot be empty'),
+      fail('VACUUM', [], 'unsupported statement: VACUUM'),
+      fail(null, undefined, 'unsupported statement: null'),
+      fail({ text: 'SELECT pg_notify($1, $2)', values: ['foo', 'a'] }, ['foo', 'abcde'], 'payload string too long'),
+      fail('SELECT pg_notify($1, $2)', [long, 'a'], 'channel name too long'),
+      fail('LISTEN a; LISTEN b', ['x'], 'cannot insert multiple commands into a prepared statement')
+    ]).then(() => {
+      // Long identifiers are truncated
+      return client.query(`LISTEN ${long}; SELECT pg_notify('foo', 'abcd')`);
+    }).then(() => {
+      expect(broker.channels()).to.equal([long.slice(0, 63)]);
+      done();
+    }).catch(done);
+  });
+
+  it('ends clients', (done) => {
+    const broker = new MemoryBroker();
+    const client = broker.client();
+    let ended = 0;
+
+    client.on('end', () => {
+      ++ended;
+    });
+
+    client.connect().then(() => {
+      return client.query('LISTEN foo');
+    }).then(() => {
+      broker.terminate();
+      expect(ended).to.equal(1);
+      expect(broker.channels()).to.equal([]);
+      return client.end();
+    }).then(() => {
+      expect(ended).to.equal(1);
+
+      client.connect(() => {
+        client.query('LISTEN foo', (err) => {
+          expect(err.message).to.equal('Client was closed and is not queryable');
+          client.end(done);
+        });
+      });
+    }).catch(done);
+  });
+
+  it('creates pools of clients', (done) => {
+    const broker = new MemoryBroker();
+    const pool = broker.pool();
+
+    pool.connect((err, client, release) => {
+      expect(err).to.not.exist();
+      expect(pool.totalCount).to.equal(1);
+      release();
+      expect(pool.totalCount).to.equal(0);
+      expect(client._ended).to.equal(true);
+
+      // Releasing twice has no effect
+      release();
+
+      pool.connect().then((other) => {
+        expect(other.processID).to.equal(2);
+        expect(pool.totalCount).to.equal(1);
+        return pool.end();
+      }).then(() => {
+        expect(pool.totalCount).to.equal(0);
+        pool.end(done);
+      }).catch(done);
+    });
+  });
+});
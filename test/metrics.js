@@ -0,0 +1,99 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Metrics = require('../lib/metrics');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Metrics', () => {
+  it('validates hooks', (done) => {
+    expect(() => {
+      return new Metrics({});
+    }).to.throw(TypeError, 'metrics must implement one of increment, observe, gauge');
+
+    expect(() => {
+      return new Metrics('foo');
+    }).to.throw(TypeError);
+
+    expect(() => {
+      return new Metrics({ gauge: () => {} });
+    }).to.not.throw();
+
+    done();
+  });
+
+  it('counts traffic, errors and timings', (done) => {
+    const metrics = new Metrics();
+
+    metrics.sent('foo', 3);
+    metrics.sent('foo', 2);
+    metrics.sent('bar', 1);
+    metrics.received('foo', 4);
+    metrics.notifyError();
+    metrics.decodeError('foo');
+    metrics.timing('listen', 'foo', 4);
+    metrics.timing('listen', 'bar', 2);
+    metrics.gauge('channels', 2);
+
+    const snapshot = metrics.snapshot();
+
+    expect(snapshot).to.equal({
+      sent: {
+        count: 3,
+        bytes: 6,
+        errors: 1,
+        channels: { foo: { count: 2, bytes: 5 }, bar: { count: 1, bytes: 1 } }
+      },
+      received: {
+        count: 1,
+        bytes: 4,
+        decodeErrors: 1,
+        channels: { foo: { count: 1, bytes: 4 } }
+      },
+      listen: { count: 2, total: 6, max: 4, last: 2 },
+      unlisten: { count: 0, total: 0, max: 0, last: null }
+    });
+
+    // Snapshots are copies
+    snapshot.sent.channels.foo.count = 10;
+    expect(metrics.snapshot().sent.channels.foo.count).to.equal(2);
+    done();
+  });
+
+  it('forwards measurements to hooks', (done) => {
+    const calls = [];
+    const metrics = new Metrics({
+      increment: (name, value, labels) => {
+        calls.push(['increment', name, value, labels]);
+      },
+      observe: (name, value, labels) => {
+        calls.push(['observe', name, value, labels]);
+      },
+      gauge: (name, value, labels) => {
+        calls.push(['gauge', name, value, labels]);
+      }
+    });
+
+    metrics.sent('foo', 3);
+    metrics.received('bar', 2);
+    metrics.notifyError();
+    metrics.decodeError('bar');
+    metrics.timing('unlisten', 'foo', 1);
+    metrics.gauge('connected', 1);
+
+    expect(calls).to.equal([
+      ['increment', 'notifications_sent', 1, { channel: 'foo' }],
+      ['increment', 'notification_bytes_sent', 3, { channel: 'foo' }],
+      ['increment', 'notifications_received', 1, { channel: 'bar' }],
+      ['increment', 'notification_bytes_received', 2, { channel: 'bar' }],
+      ['increment', 'notify_errors', 1, {}],
+      ['increment', 'decode_errors', 1, { channel: 'bar' }],
+      ['observe', 'unlisten_duration_ms', 1, { channel: 'foo' }],
+      ['gauge', 'connected', 1, {}]
+    ]);
+    done();
+  });
+});
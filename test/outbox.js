@@ -0,0 +1,72 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Outbox = require('../lib/outbox');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Outbox', () => {
+  it('uses default settings', (done) => {
+    const outbox = new Outbox();
+
+    expect(outbox.table).to.equal('pgee_outbox');
+    expect(outbox.batchSize).to.equal(1000);
+    expect(outbox.pollInterval).to.equal(1000);
+    done();
+  });
+
+  it('creates the table and index', (done) => {
+    const outbox = new Outbox({ table: 'app.events' });
+
+    expect(outbox.createSql()).to.equal(
+      'CREATE TABLE IF NOT EXISTS "app"."events" (id BIGSERIAL PRIMARY KEY, ' +
+      'xid XID8 NOT NULL DEFAULT pg_current_xact_id(), ' +
+      'channel TEXT NOT NULL, payload TEXT, ' +
+      'created_at TIMESTAMPTZ NOT NULL DEFAULT now()); ' +
+      'CREATE INDEX IF NOT EXISTS "events_channel_xid_id" ON "app"."events" ' +
+      '(channel, xid, id)');
+    done();
+  });
+
+  it('stores and notifies messages in a single statement', (done) => {
+    const outbox = new Outbox();
+
+    expect(outbox.notifySql(2)).to.equal(
+      'WITH message AS (INSERT INTO "pgee_outbox" (channel, payload) ' +
+      'VALUES ($1, $2), ($3, $4) RETURNING id, channel) ' +
+      'SELECT pg_notify(channel, \'pgee:durable:\' || id) FROM message ' +
+      'ORDER BY id');
+    done();
+  });
+
+  it('fetches messages after a position', (done) => {
+    const outbox = new Outbox({ batchSize: 5 });
+
+    expect(outbox.fetchSql()).to.equal(
+      'SELECT id, xid::text AS xid, payload, ' +
+      'xid < pg_snapshot_xmin(pg_current_snapshot()) AS settled ' +
+      'FROM "pgee_outbox" WHERE channel = $1 AND (xid, id) > ($2::xid8, $3) ' +
+      'ORDER BY xid, id LIMIT $4');
+    expect(outbox.positionSql()).to.equal(
+      'SELECT COALESCE((SELECT LEAST(xid, pg_snapshot_xmin(pg_current_snapshot())) ' +
+      'FROM "pgee_outbox" WHERE id = $1), \'0\')::text AS xid');
+    done();
+  });
+
+  it('parses wake-up notifications', (done) => {
+    expect(Outbox.isWakeUp('pgee:durable:12')).to.equal(true);
+    expect(Outbox.isWakeUp('{"id":12}')).to.equal(false);
+    expect(Outbox.isWakeUp(null)).to.equal(false);
+    expect(Outbox.wakeUpId('pgee:durable:12')).to.equal(12);
+    expect(() => {
+      Outbox.wakeUpId('pgee:durable:abc');
+    }).to.throw('malformed durable notification');
+    expect(() => {
+      Outbox.wakeUpId('pgee:durable:1.5');
+    }).to.throw('malformed durable notification');
+    done();
+  });
+});
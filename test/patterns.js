@@ -0,0 +1,66 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Patterns = require('../lib/patterns');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Patterns', () => {
+  describe('compile()', () => {
+    it('converts glob patterns to regular expressions', (done) => {
+      const regexp = Patterns.compile('orders.*');
+
+      expect(Patterns.matches(regexp, 'orders.created')).to.equal(true);
+      expect(Patterns.matches(regexp, 'orders.')).to.equal(true);
+      expect(Patterns.matches(regexp, 'orders')).to.equal(false);
+      expect(Patterns.matches(regexp, 'orders.created.eu')).to.equal(false);
+      expect(Patterns.matches(regexp, 'ordersXcreated')).to.equal(false);
+      expect(Patterns.matches(regexp, 'all.orders.created')).to.equal(false);
+      done();
+    });
+
+    it('escapes regular expression characters', (done) => {
+      const regexp = Patterns.compile('a+b(*)');
+
+      expect(Patterns.matches(regexp, 'a+b(c)')).to.equal(true);
+      expect(Patterns.matches(regexp, 'aab(c)')).to.equal(false);
+      done();
+    });
+
+    it('passes regular expressions through', (done) => {
+      const regexp = /^tenant_\d+$/g;
+
+      expect(Patterns.compile(regexp)).to.shallow.equal(regexp);
+      expect(Patterns.matches(regexp, 'tenant_1')).to.equal(true);
+      expect(Patterns.matches(regexp, 'tenant_1')).to.equal(true);
+      expect(Patterns.matches(regexp, 'tenant_x')).to.equal(false);
+      done();
+    });
+
+    it('rejects invalid patterns', (done) => {
+      expect(() => {
+        Patterns.compile('');
+      }).to.throw(TypeError, 'pattern must be a non-empty string or RegExp');
+
+      expect(() => {
+        Patterns.compile(5);
+      }).to.throw(TypeError);
+      done();
+    });
+  });
+
+  describe('same()', () => {
+    it('compares patterns', (done) => {
+      expect(Patterns.same('a.*', 'a.*')).to.equal(true);
+      expect(Patterns.same('a.*', 'b.*')).to.equal(false);
+      expect(Patterns.same(/a/g, /a/g)).to.equal(true);
+      expect(Patterns.same(/a/g, /a/)).to.equal(false);
+      expect(Patterns.same('/a/', /a/)).to.equal(false);
+      expect(Patterns.same(/a/, '/a/')).to.equal(false);
+      done();
+    });
+  });
+});
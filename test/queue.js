@@ -0,0 +1,665 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const PgEe = require('../lib');
+const Queue = require('../lib/queue');
+const Fakes = require('./fakes');
+const CONNECT_STRING = process.env.POSTGRESQL_CONNECTION ||
+                       `postgres://${process.env.USER}@localhost/postgres`;
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+
+// Simulates the job tables for the statements issued by Queue
+function createPgEe (db) {
+  db.jobs = db.jobs || [];
+  db.dead = db.dead || [];
+  db.queries = [];
+  db.nextId = db.nextId || 1;
+
+  const client = Fakes.createClient([], {
+    respond: (sql, params, callback) => {
+      db.queries.push(sql);
+
+      const now = Date.now();
+      // Jobs are settled by the worker holding their latest claim
+      const find = (id, attempts) => {
+        return db.jobs.filter((job) => {
+          return job.id === id && job.attempts === attempts;
+        })[0];
+      };
+
+      setImmediate(() => {
+        if (db.fail && (db.failOn === undefined || db.failOn.test(sql))) {
+          return callback(new Error(db.fail));
+        }
+
+        if (/^WITH job AS \(INSERT/.test(sql)) {
+          const job = {
+            id: String(db.nextId++),
+            queue: params[0],
+            payload: params[1],
+            attempts: 0,
+            visible_at: now + params[2],
+            last_error: null
+          };
+
+          db.jobs.push(job);
+          callback(null, { rows: [{ id: job.id }] });
+          return client.emit('notification', { channel: params[3], payload: job.id });
+        }
+
+        if (/^UPDATE .+ SET attempts/.test(sql)) {
+          const job = db.jobs.filter((job) => {
+            return job.queue === params[0] && job.visible_at <= now;
+          })[0];
+
+          if (job === undefined) {
+            return callback(null, { rows: [] });
+          }
+
+          job.attempts++;
+          job.visible_at = now + params[1];
+          return callback(null, { rows: [Object.assign({}, job)] });
+        }
+
+        if (/^DELETE/.test(sql)) {
+          const job = find(String(params[0]), params[1]);
+
+          if (job === undefined) {
+            return callback(null, { rows: [], rowCount: 0 });
+          }
+
+          db.jobs.splice(db.jobs.indexOf(job), 1);
+          return callback(null, { rows: [], rowCount: 1 });
+        }
+
+        if (/^UPDATE .+ SET last_error/.test(sql)) {
+          const job = find(String(params[0]), params[3]);
+
+          if (job === undefined) {
+            return callback(null, { rows: [], rowCount: 0 });
+          }
+
+          job.last_error = params[1];
+          job.visible_at = now + params[2];
+          return callback(null, { rows: [], rowCount: 1 });
+        }
+
+        if (/^WITH job AS \(DELETE/.test(sql)) {
+          const job = find(String(params[0]), params[2]);
+
+          if (job === undefined) {
+            return callback(null, { rows: [], rowCount: 0 });
+          }
+
+          db.jobs.splice(db.jobs.indexOf(job), 1);
+          job.last_error = params[1];
+          db.dead.push(job);
+          return callback(null, { rows: [], rowCount: 1 });
+        }
+
+        callback(null, { rows: [] });
+      });
+    }
+  });
+
+  return new PgEe(client);
+}
+
+
+describe('Queue', () => {
+  it('validates the queue name', (done) => {
+    const pgee = createPgEe({});
+
+    expect(() => {
+      pgee.queue('');
+    }).to.throw(TypeError, 'queue name must be a non-empty string');
+
+    expect(() => {
+      pgee.queue(5);
+    }).to.throw(TypeError, 'queue name must be a non-empty string');
+
+    const queue = pgee.queue('jobs', { concurrency: 2 });
+
+    expect(queue instanceof Queue).to.equal(true);
+    expect(queue.channel).to.equal('pgee_queue_jobs');
+    expect(queue._settings.concurrency).to.equal(2);
+    expect(queue._settings.maxAttempts).to.equal(5);
+    pgee.close();
+    done();
+  });
+
+  it('creates the job and dead letter tables', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { table: 'app.jobs' });
+
+    queue.createTables().then(() => {
+      expect(db.queries.length).to.equal(1);
+      expect(db.queries[0]).to.contain('CREATE TABLE IF NOT EXISTS "app"."jobs"');
+      expect(db.queries[0]).to.contain('CREATE INDEX IF NOT EXISTS "jobs_queue_visible_at"');
+      expect(db.queries[0]).to.contain('CREATE TABLE IF NOT EXISTS "pgee_jobs_dead"');
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('pushes and processes jobs', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+    const processed = [];
+
+    queue.on('completed', (job) => {
+      processed.push(job.payload);
+
+      if (processed.length === 2) {
+        expect(processed).to.equal([{ n: 1 }, { n: 2 }]);
+        expect(db.jobs).to.equal([]);
+        queue.stop(() => {
+          expect(db.queries).to.include('UNLISTEN "pgee_queue_jobs"');
+          pgee.close();
+          done();
+        });
+      }
+    });
+
+    queue.process((job) => {
+      expect(job.queue).to.equal('jobs');
+      expect(job.attempts).to.equal(1);
+      return Promise.resolve();
+    }).then(() => {
+      expect(db.queries[0]).to.equal('LISTEN "pgee_queue_jobs"');
+      return queue.push({ n: 1 });
+    }).then((id) => {
+      expect(id).to.equal(1);
+      return queue.push({ n: 2 });
+    }).catch(done);
+  });
+
+  it('supports callback style handlers', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.on('completed', (job) => {
+      expect(job.payload).to.equal('foo');
+      pgee.close();
+      done();
+    });
+
+    queue.push('foo', (err, id) => {
+      expect(err).to.not.exist();
+      expect(id).to.equal(1);
+      queue.process((job, callback) => {
+        setImmediate(callback);
+      }, (err) => {
+        expect(err).to.not.exist();
+      });
+    });
+  });
+
+  it('retries failed jobs and moves them to the dead letter table', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { maxAttempts: 2, retryDelay: 0 });
+    const failures = [];
+
+    queue.on('failed', (job, err) => {
+      failures.push([job.attempts, err.message]);
+    });
+
+    queue.on('dead', (job, err) => {
+      expect(failures).to.equal([[1, 'boom 1']]);
+      expect(job.attempts).to.equal(2);
+      expect(err.message).to.equal('boom 2');
+      expect(db.jobs).to.equal([]);
+      expect(db.dead.length).to.equal(1);
+      expect(db.dead[0].last_error).to.equal('boom 2');
+      pgee.close();
+      done();
+    });
+
+    queue.push('foo').then(() => {
+      return queue.process((job) => {
+        throw new Error(`boom ${job.attempts}`);
+      });
+    }).catch(done);
+  });
+
+  it('buries jobs whose visibility timeout expired too often', (done) => {
+    const db = {
+      jobs: [{
+        id: '9',
+        queue: 'jobs',
+        payload: '"foo"',
+        attempts: 3,
+        visible_at: 0,
+        last_error: null
+      }]
+    };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { maxAttempts: 3 });
+
+    queue.on('dead', (job, err) => {
+      expect(job.id).to.equal(9);
+      expect(err.message).to.equal('visibility timeout expired');
+      expect(db.dead[0].attempts).to.equal(4);
+      pgee.close();
+      done();
+    });
+
+    queue.process(() => {
+      Code.fail('should not run');
+    });
+  });
+
+  it('respects the concurrency limit', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { concurrency: 2 });
+    const callbacks = [];
+
+    Promise.all([queue.push(1), queue.push(2), queue.push(3)]).then(() => {
+      return queue.process((job, callback) => {
+        callbacks.push(callback);
+
+        if (callbacks.length === 2) {
+          setTimeout(() => {
+            expect(callbacks.length).to.equal(2);
+            expect(queue._active).to.equal(2);
+            callbacks[0]();
+          }, 10);
+        } else if (callbacks.length === 3) {
+          pgee.close();
+          done();
+        }
+      });
+    }).catch(done);
+  });
+
+  it('reports decode errors as job failures', (done) => {
+    const db = {
+      jobs: [{
+        id: '1',
+        queue: 'jobs',
+        payload: 'not json',
+        attempts: 0,
+        visible_at: 0,
+        last_error: null
+      }]
+    };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.on('failed', (job, err) => {
+      expect(err).to.be.an.error(SyntaxError);
+      expect(db.jobs[0].last_error).to.equal(err.message);
+      pgee.close();
+      done();
+    });
+
+    queue.process(() => {
+      Code.fail('should not run');
+    });
+  });
+
+  it('stop() waits for active jobs', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+    let finish = null;
+
+    queue.push('foo').then(() => {
+      return queue.process((job, callback) => {
+        finish = callback;
+
+        queue.stop(() => {
+          expect(db.jobs).to.equal([]);
+          expect(pgee._queues).to.equal([]);
+          pgee.close();
+          done();
+        });
+
+        setImmediate(finish);
+      });
+    }).catch(done);
+  });
+
+  it('rejects invalid and duplicate handlers', (done) => {
+    const pgee = createPgEe({});
+    const queue = pgee.queue('jobs');
+
+    queue.process(null).catch((err) => {
+      expect(err).to.be.an.error(TypeError, 'handler must be a function');
+      return queue.process(() => {});
+    }).then(() => {
+      return queue.process(() => {});
+    }).catch((err) => {
+      expect(err.message).to.equal('queue jobs is already being processed');
+      pgee.close();
+      expect(queue._handler).to.equal(null);
+      done();
+    });
+  });
+
+  it('reports database errors', (done) => {
+    const db = { fail: 'foo' };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.push('bar', (err) => {
+      expect(err.message).to.equal('foo');
+
+      queue.process(() => {}, (err) => {
+        expect(err.message).to.equal('foo');
+        pgee.close();
+
+        queue.createTables((err) => {
+          expect(err.message).to.equal('not connected to database');
+          done();
+        });
+      });
+    });
+  });
+
+  it('pushes jobs through a client', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const client = createPgEe(db)._connection;
+    const queue = pgee.queue('jobs');
+
+    queue.push('foo', { client: client }).then((id) => {
+      expect(id).to.equal(1);
+      expect(db.jobs.length).to.equal(1);
+      return queue.push('bar', { client: {} });
+    }).catch((err) => {
+      expect(err).to.be.an.error(TypeError, 'client must be a pg client');
+      return queue.push('bar', { client: 'client' });
+    }).catch((err) => {
+      expect(err).to.be.an.error(TypeError, 'client must be a pg client');
+      return queue.push('bar', { client: null });
+    }).catch((err) => {
+      expect(err).to.be.an.error(TypeError, 'client must be a pg client');
+      expect(db.jobs.length).to.equal(1);
+      pgee.close();
+      done();
+    });
+  });
+
+  it('delays jobs and rejects payloads that cannot be encoded', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+    const before = Date.now();
+
+    queue.push('foo', { delay: 60000 }).then(() => {
+      expect(db.jobs[0].visible_at).to.be.at.least(before + 60000);
+      return queue.push('bar', {});
+    }).then(() => {
+      expect(db.jobs[1].visible_at).to.be.at.most(Date.now());
+      return queue.push(global.BigInt(1));
+    }).then(() => {
+      Code.fail('push should fail');
+    }, (err) => {
+      expect(err).to.be.an.error(TypeError);
+      expect(db.jobs.length).to.equal(2);
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('claims again when woken up while claiming', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.process(() => {}).then(() => {
+      // The first claim is still pending
+      queue._wake();
+
+      setTimeout(() => {
+        expect(db.queries.filter((sql) => {
+          return /^UPDATE .+ SET attempts/.test(sql);
+        }).length).to.equal(2);
+        pgee.close();
+        done();
+      }, 10);
+    }).catch(done);
+  });
+
+  it('uses the last error of jobs whose visibility timeout expired', (done) => {
+    const db = {
+      jobs: [{
+        id: '9',
+        queue: 'jobs',
+        payload: '"foo"',
+        attempts: 1,
+        visible_at: 0,
+        last_error: 'boom'
+      }]
+    };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { maxAttempts: 1 });
+
+    queue.on('dead', (job, err) => {
+      expect(err.message).to.equal('boom');
+      pgee.close();
+      done();
+    });
+
+    queue.process(() => {
+      Code.fail('should not run');
+    });
+  });
+
+  it('reports failures that are not errors', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { retryDelay: 60000 });
+
+    queue.on('failed', (job, err) => {
+      expect(err).to.equal('boom');
+      expect(db.jobs[0].last_error).to.equal('boom');
+      pgee.close();
+      done();
+    });
+
+    queue.push('foo').then(() => {
+      return queue.process(() => {
+        return Promise.reject('boom');
+      });
+    }).catch(done);
+  });
+
+  it('reports errors claiming jobs', (done) => {
+    const db = { fail: 'foo', failOn: /SET attempts/ };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+    let errors = 0;
+
+    queue.on('error', (err) => {
+      expect(err.message).to.equal('foo');
+      errors++;
+
+      if (errors === 1) {
+        // Failed claims are not retried until the next wake-up
+        return setImmediate(queue._wake);
+      }
+
+      expect(db.queries.filter((sql) => {
+        return /SET attempts/.test(sql);
+      }).length).to.equal(2);
+      pgee.close();
+      done();
+    });
+
+    queue.process(() => {}).catch(done);
+  });
+
+  it('reports errors settling jobs', (done) => {
+    const db = { fail: 'foo', failOn: /^(DELETE|UPDATE .+ SET last_error|WITH job AS \(DELETE)/ };
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs', { maxAttempts: 3, visibilityTimeout: 0 });
+    const errors = [];
+    let attempts = 0;
+
+    ['completed', 'failed', 'dead'].forEach((event) => {
+      queue.on(event, () => {
+        Code.fail(`should not emit ${event}`);
+      });
+    });
+
+    queue.on('error', (err) => {
+      errors.push(err.message);
+
+      // Completing, retrying, and burying the job failed
+      if (errors.length === 3) {
+        expect(errors).to.equal(['foo', 'foo', 'foo']);
+        queue.stop().then(() => {
+          expect(db.jobs.length).to.equal(1);
+          pgee.close();
+          done();
+        });
+      }
+    });
+
+    queue.push('foo').then(() => {
+      return queue.process(() => {
+        attempts++;
+
+        if (attempts > 1) {
+          throw new Error('boom');
+        }
+      });
+    }).catch(done);
+  });
+
+  it('leaves jobs claimed by another worker alone', (done) => {
+    const table = 'pgee_queue_test';
+    const deadLetterTable = 'pgee_queue_test_dead';
+    const settings = { table: table, deadLetterTable: deadLetterTable };
+    const pgee = new PgEe(CONNECT_STRING);
+    const other = new PgEe(CONNECT_STRING);
+    const events = [];
+
+    // The first worker overruns its visibility timeout, and fails after the
+    // second worker claimed the job. The job is either retried or buried.
+    const run = (maxAttempts, callback) => {
+      const slow = pgee.queue('race', Object.assign({
+        visibilityTimeout: 100,
+        maxAttempts: maxAttempts,
+        retryDelay: 0
+      }, settings));
+      const fast = other.queue('race', Object.assign({}, settings));
+      let fail = null;
+
+      ['completed', 'failed', 'dead'].forEach((event) => {
+        slow.on(event, () => {
+          events.push(`slow ${event}`);
+        });
+        fast.on(event, () => {
+          events.push(`fast ${event}`);
+        });
+      });
+
+      fast.once('completed', () => {
+        Promise.all([slow.stop(), fast.stop()]).then(() => {
+          return pgee._connection.query(`SELECT count(*)::int AS count FROM ${deadLetterTable}`);
+        }).then((result) => {
+          expect(result.rows[0].count).to.equal(0);
+          callback();
+        }).catch(done);
+      });
+
+      slow.push('foo').then(() => {
+        return slow.process((job) => {
+          expect(job.attempts).to.equal(1);
+
+          return new Promise((resolve, reject) => {
+            fail = reject;
+            setTimeout(() => {
+              fast.process((job) => {
+                expect(job.attempts).to.equal(2);
+                fail(new Error('late'));
+
+                // The failure of the first worker must not release the job
+                return new Promise((resolve) => {
+                  setTimeout(resolve, 150);
+                });
+              }).catch(done);
+            }, 150);
+          });
+        });
+      }).catch(done);
+    };
+
+    Promise.all([pgee.connect(), other.connect()]).then(() => {
+      return pgee._connection.query(`DROP TABLE IF EXISTS ${table}, ${deadLetterTable}`);
+    }).then(() => {
+      return pgee.queue('race', settings).createTables();
+    }).then(() => {
+      run(1, () => {
+        run(5, () => {
+          expect(events).to.equal(['fast completed', 'fast completed']);
+          pgee._connection.query(`DROP TABLE ${table}, ${deadLetterTable}`, (err) => {
+            pgee.close();
+            other.close();
+            done(err);
+          });
+        });
+      });
+    }).catch(done);
+  });
+
+  it('stops while claiming', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.push('foo').then(() => {
+      return queue.process(() => {
+        expect(queue._handler).to.equal(null);
+      });
+    }).then(() => {
+      // The claimed job still runs before the queue is stopped
+      return queue.stop();
+    }).then(() => {
+      expect(db.jobs).to.equal([]);
+      expect(queue._active).to.equal(0);
+      return queue.process(() => {});
+    }).then(() => {
+      return queue.stop();
+    }).then(() => {
+      expect(queue._active).to.equal(0);
+      return queue.stop();
+    }).then(() => {
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('reports errors removing the LISTEN when stopped', (done) => {
+    const db = {};
+    const pgee = createPgEe(db);
+    const queue = pgee.queue('jobs');
+
+    queue.on('error', (err) => {
+      expect(err.message).to.equal('foo');
+    });
+
+    queue.process(() => {}).then(() => {
+      db.fail = 'foo';
+      db.failOn = /^UNLISTEN/;
+      return queue.stop();
+    }).then(() => {
+      expect(queue._handler).to.equal(null);
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+});
@@ -0,0 +1,449 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Postgresql = require('pg');
+const PgEe = require('../lib');
+const CONNECT_STRING = process.env.POSTGRESQL_CONNECTION ||
+                       `postgres://${process.env.USER}@localhost/postgres`;
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+
+// Connects instances through a shared set of fake clients, delivering each
+// pg_notify() to the clients LISTENing on its channel
+function createBus () {
+  const clients = [];
+  const bus = { queries: [], fail: null };
+
+  bus.createPgEe = (settings) => {
+    const client = new Postgresql.Client(CONNECT_STRING);
+    const channels = [];
+
+    client.processID = clients.length + 1;
+    clients.push(client);
+
+    client.query = (sql, params, callback) => {
+      if (typeof params === 'function') {
+        callback = params;
+        params = [];
+      }
+
+      bus.queries.push(sql);
+
+      setImmediate(() => {
+        if (bus.fail !== null && bus.fail.test(`${sql} ${params.join(' ')}`)) {
+          return callback(new Error('foo'));
+        }
+
+        const listen = /^LISTEN "(.+)"$/.exec(sql);
+
+        if (listen !== null) {
+          channels.push(listen[1]);
+        }
+
+        callback(null, { rows: [] });
+
+        if (/^SELECT pg_notify/.test(sql)) {
+          clients.forEach((other) => {
+            if (other.channels.indexOf(params[0]) !== -1) {
+              other.emit('notification', {
+                processId: client.processID,
+                channel: params[0],
+                payload: params[1]
+              });
+            }
+          });
+        }
+      });
+    };
+
+    client.channels = channels;
+    return new PgEe(client, settings);
+  };
+
+  return bus;
+}
+
+
+describe('RPC', () => {
+  it('sends requests and receives replies', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+
+    server.respond('add', (numbers) => {
+      return numbers[0] + numbers[1];
+    }).then((channel) => {
+      expect(channel).to.equal('add');
+      return Promise.all([
+        client.request('add', [1, 2]),
+        client.request('add', [3, 4])
+      ]);
+    }).then((results) => {
+      expect(results).to.equal([3, 7]);
+
+      // The reply channel is only LISTENed once
+      const listens = bus.queries.filter((sql) => {
+        return /^LISTEN "pgee_reply_[0-9a-f]{16}"$/.test(sql);
+      });
+
+      expect(listens.length).to.equal(1);
+      server.close();
+      client.close();
+      done();
+    }).catch(done);
+  });
+
+  it('supports callbacks and callback style handlers', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+
+    server.respond('echo', (payload, callback) => {
+      setImmediate(() => {
+        callback(null, payload);
+      });
+    }, (err) => {
+      expect(err).to.not.exist();
+
+      client.request('echo', { foo: 'bar' }, { timeout: 1000 }, (err, result) => {
+        expect(err).to.not.exist();
+        expect(result).to.equal({ foo: 'bar' });
+        server.close();
+        client.close();
+        done();
+      });
+    });
+  });
+
+  it('propagates errors to the requester', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+
+    server.respond('fail', (payload) => {
+      const err = new RangeError(`bad ${payload}`);
+
+      err.code = 'EBAD';
+      throw err;
+    }).then(() => {
+      return client.request('fail', 'foo');
+    }).catch((err) => {
+      expect(err.message).to.equal('bad foo');
+      expect(err.name).to.equal('RangeError');
+      expect(err.code).to.equal('EBAD');
+      expect(err.channel).to.equal('fail');
+
+      server.respond('reject', () => {
+        return Promise.reject('plain');
+      });
+
+      return client.request('reject', null);
+    }).catch((err) => {
+      expect(err.message).to.equal('plain');
+      expect(err.name).to.equal('Error');
+      server.close();
+      client.close();
+      done();
+    });
+  });
+
+  it('times out requests without replies', (done) => {
+    const bus = createBus();
+    const client = bus.createPgEe();
+
+    client.request('nobody', 'foo', { timeout: 10 }).catch((err) => {
+      expect(err.message).to.equal('request timed out');
+      expect(err.channel).to.equal('nobody');
+      expect(client._rpc._requests.size).to.equal(0);
+      client.close();
+      done();
+    });
+  });
+
+  it('ignores notifications that are not requests or pending replies', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+    let calls = 0;
+
+    server.respond('foo', () => {
+      calls++;
+      return 'bar';
+    }).then(() => {
+      return server.notify('foo', { plain: true });
+    }).then(() => {
+      return client.request('foo', null);
+    }).then((result) => {
+      expect(result).to.equal('bar');
+      expect(calls).to.equal(1);
+
+      // Replies without a pending request are dropped
+      return server.notify(client._rpc._channel, { id: 99, result: 'late' });
+    }).then(() => {
+      return server.notify(client._rpc._channel, 'foo');
+    }).then(() => {
+      setImmediate(() => {
+        server.close();
+        client.close();
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('ignores malformed requests and replies', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+    let calls = 0;
+
+    server.respond('foo', () => {
+      calls++;
+      return 'bar';
+    }).then(() => {
+      return Promise.all([
+        server.notify('foo', null),
+        server.notify('foo', 'foo'),
+        server.notify('foo', { replyTo: 'foo' }),
+        server.notify('foo', { id: 1, replyTo: 5 })
+      ]);
+    }).then(() => {
+      return client.request('foo', null, (err, result) => {
+        expect(err).to.not.exist();
+        expect(result).to.equal('bar');
+        expect(calls).to.equal(1);
+
+        server.notify(client._rpc._channel, null, () => {
+          setImmediate(() => {
+            server.close();
+            client.close();
+            done();
+          });
+        });
+      });
+    }).catch(done);
+  });
+
+  it('rebuilds errors from malformed replies', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+    const errors = [null, 'foo', { message: 'bar', name: 5 }];
+
+    server.notifications.on('errors', (request) => {
+      server.notify(request.replyTo, { id: request.id, error: errors.shift() });
+    });
+
+    server.listen('errors').then(() => {
+      return client.request('errors', null, {});
+    }).catch((err) => {
+      expect(err).to.be.an.error('null');
+      return client.request('errors', null);
+    }).catch((err) => {
+      expect(err).to.be.an.error('foo');
+      return client.request('errors', null);
+    }).catch((err) => {
+      expect(err).to.be.an.error(Error, 'bar');
+      expect(err.code).to.equal(undefined);
+      server.close();
+      client.close();
+      done();
+    });
+  });
+
+  it('encodes requests and replies as JSON whatever the codec', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe({ codec: 'text' });
+    const client = bus.createPgEe({ codec: 'text' });
+    const texts = [];
+
+    server.respond('upper', (text) => {
+      return text.toUpperCase();
+    }).then(() => {
+      return client.request('upper', 'foo');
+    }).then((result) => {
+      expect(result).to.equal('FOO');
+
+      // Other channels still use the codec of the instance
+      client.notifications.on('text', (text) => {
+        texts.push(text);
+      });
+
+      return client.listen('text');
+    }).then(() => {
+      return server.notify('text', '{"a":1}');
+    }).then(() => {
+      setImmediate(() => {
+        expect(texts).to.equal(['{"a":1}']);
+        server.close();
+        client.close();
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('validates the payload of requests against the schema of their channel', (done) => {
+    const bus = createBus();
+    const add = (payload) => {
+      const index = payload.findIndex((item) => {
+        return typeof item !== 'number';
+      });
+
+      add.errors = index === -1 ? null : [{ dataPath: `[${index}]`, message: 'must be number' }];
+      return index === -1;
+    };
+    const schemas = { add: add };
+    const server = bus.createPgEe({ schemas: schemas });
+    const client = bus.createPgEe({ schemas: schemas });
+    const other = bus.createPgEe();
+    const payloads = [];
+
+    server.on('invalid', (err) => {
+      expect(err).to.be.an.instanceof(PgEe.ValidationError);
+      expect(err.payload).to.equal(['b']);
+      expect(err.errors).to.equal([{ path: 'payload[0]', message: 'must be number' }]);
+      expect(payloads).to.equal([[1, 2]]);
+      server.close();
+      client.close();
+      other.close();
+      done();
+    });
+
+    server.respond('add', (numbers) => {
+      payloads.push(numbers);
+      return numbers[0] + numbers[1];
+    }).then(() => {
+      return client.request('add', [1, 2]);
+    }).then((result) => {
+      expect(result).to.equal(3);
+      return client.request('add', ['a']);
+    }).then(() => {
+      Code.fail('should not resolve');
+    }, (err) => {
+      expect(err).to.be.an.instanceof(PgEe.ValidationError);
+      expect(err.payload).to.equal(['a']);
+
+      // Invalid requests are never sent
+      const sent = bus.queries.filter((sql) => {
+        return /^SELECT pg_notify/.test(sql);
+      });
+
+      expect(sent.length).to.equal(2);
+      // The requester times out, or fails once the test closes
+      other.request('add', ['b'], { timeout: 1000 }, () => {});
+    }).catch(done);
+  });
+
+  it('works with envelopes', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe({ envelope: true });
+    const client = bus.createPgEe({ envelope: true });
+
+    server.respond('double', (n) => {
+      return n * 2;
+    }).then(() => {
+      return client.request('double', 21);
+    }).then((result) => {
+      expect(result).to.equal(42);
+      server.close();
+      client.close();
+      done();
+    }).catch(done);
+  });
+
+  it('listens to a new reply channel after unlistenAll()', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+    let first;
+
+    server.respond('echo', (payload) => {
+      return payload;
+    }).then(() => {
+      return client.request('echo', 1);
+    }).then(() => {
+      first = client._rpc._channel;
+      return client.unlistenAll();
+    }).then(() => {
+      expect(client._rpc._channel).to.equal(null);
+      expect(client.listenerCount(first)).to.equal(0);
+
+      // Resetting again is a no-op
+      client._rpc.reset();
+      return client.request('echo', 2);
+    }).then((result) => {
+      expect(result).to.equal(2);
+      expect(client._rpc._channel).to.not.equal(first);
+      server.close();
+      client.close();
+      done();
+    }).catch(done);
+  });
+
+  it('fails pending requests on close', (done) => {
+    const bus = createBus();
+    const client = bus.createPgEe();
+
+    client.request('nobody', 'foo').catch((err) => {
+      expect(err.message).to.equal('instance closed');
+      expect(err.channel).to.equal('nobody');
+      done();
+    });
+
+    setTimeout(() => {
+      client.close();
+    }, 10);
+  });
+
+  it('reports query errors', (done) => {
+    const bus = createBus();
+    const server = bus.createPgEe();
+    const client = bus.createPgEe();
+
+    server.respond('foo', () => {
+      return 'bar';
+    }).then(() => {
+      bus.fail = /^LISTEN/;
+      return client.request('foo', null);
+    }).catch((err) => {
+      expect(err.message).to.equal('foo');
+      expect(client._rpc._channel).to.equal(null);
+      bus.fail = /^SELECT/;
+      return client.request('foo', null);
+    }).catch((err) => {
+      expect(err.message).to.equal('foo');
+      expect(client._rpc._requests.size).to.equal(0);
+
+      // Failed replies are reported to 'error' listeners
+      server.on('error', (err) => {
+        expect(err.message).to.equal('foo');
+        server.close();
+        client.close();
+        done();
+      });
+
+      bus.fail = /\) pgee_reply_x /;
+      client.notify('foo', { id: 1, replyTo: 'pgee_reply_x', payload: null });
+    });
+  });
+
+  it('validates arguments and the connection', (done) => {
+    const bus = createBus();
+    const pgee = bus.createPgEe();
+
+    pgee.respond('foo', null).catch((err) => {
+      expect(err).to.be.an.error(TypeError, 'handler must be a function');
+      pgee.close();
+      return pgee.request('foo', null);
+    }).catch((err) => {
+      expect(err.message).to.equal('not connected to database');
+      return pgee.respond('foo', () => {});
+    }).catch((err) => {
+      expect(err.message).to.equal('not connected to database');
+      done();
+    });
+  });
+});
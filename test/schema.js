@@ -0,0 +1,77 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const Schema = require('../lib/schema');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('Schema', () => {
+  describe('compile()', () => {
+    it('rejects invalid schemas', (done) => {
+      [null, 'foo', 42, { type: 'string' }].forEach((schema) => {
+        expect(() => {
+          Schema.compile(schema);
+        }).to.throw(TypeError, 'schema must be a function');
+      });
+
+      done();
+    });
+
+    it('wraps validator functions', (done) => {
+      const ajvLike = (value) => {
+        ajvLike.errors = value === 1 ? null : [
+          { instancePath: '/id', message: 'must be integer' },
+          { dataPath: '.name' },
+          {}
+        ];
+        return value === 1;
+      };
+
+      expect(Schema.compile(() => {})('a')).to.equal([]);
+      expect(Schema.compile(() => {
+        return true;
+      })('a')).to.equal([]);
+      expect(Schema.compile(() => {
+        return false;
+      })('a')).to.equal([{ path: 'payload', message: 'is invalid' }]);
+      expect(Schema.compile(() => {
+        return 'must be b';
+      })('a')).to.equal([{ path: 'payload', message: 'must be b' }]);
+      expect(Schema.compile(() => {
+        throw new Error('foo');
+      })('a')).to.equal([{ path: 'payload', message: 'foo' }]);
+
+      const validate = Schema.compile(ajvLike);
+
+      expect(validate(1)).to.equal([]);
+      expect(validate(2)).to.equal([
+        { path: 'payload/id', message: 'must be integer' },
+        { path: 'payload.name', message: 'is invalid' },
+        { path: 'payload', message: 'is invalid' }
+      ]);
+      done();
+    });
+  });
+
+  describe('validationError()', () => {
+    it('creates a ValidationError describing every error', (done) => {
+      const errors = [
+        { path: 'payload.id', message: 'is required' },
+        { path: 'payload.name', message: 'must be string' }
+      ];
+      const err = Schema.validationError('foo', { name: 1 }, errors);
+
+      expect(err).to.be.an.error(Schema.ValidationError,
+        'invalid payload on channel foo: payload.id is required, payload.name must be string');
+      expect(err.name).to.equal('ValidationError');
+      expect(err.channel).to.equal('foo');
+      expect(err.errors).to.shallow.equal(errors);
+      expect(err.payload).to.equal({ name: 1 });
+      expect(err.stack).to.contain('ValidationError');
+      done();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const PgEe = require('../lib');
+const Subscription = require('../lib/subscription');
+const Fakes = require('./fakes');
+const CONNECT_STRING = process.env.POSTGRESQL_CONNECTION ||
+                       `postgres://${process.env.USER}@localhost/postgres`;
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+
+function createPgEe (queries, options) {
+  return new PgEe(Fakes.createClient(queries, options));
+}
+
+
+describe('Subscription', () => {
+  it('validates options', (done) => {
+    const pgee = createPgEe([]);
+
+    expect(() => {
+      pgee.subscribe('foo', { highWaterMark: 0 });
+    }).to.throw(TypeError, 'highWaterMark must be a positive number');
+
+    expect(() => {
+      pgee.subscribe('foo', { highWaterMark: '10' });
+    }).to.throw(TypeError, 'highWaterMark must be a positive number');
+
+    expect(() => {
+      pgee.subscribe('foo', { overflow: 'bar' });
+    }).to.throw(TypeError, 'unknown overflow policy: bar');
+
+    pgee.close();
+    done();
+  });
+
+  it('listens to the channel and iterates notifications', (done) => {
+    const queries = [];
+    const pgee = createPgEe(queries);
+    const subscription = pgee.subscribe('foo');
+
+    expect(subscription instanceof Subscription).to.equal(true);
+    expect(subscription[Symbol.asyncIterator]()).to.shallow.equal(subscription);
+    expect(queries).to.equal(['LISTEN "foo"']);
+    expect(pgee._channels).to.equal(['foo']);
+
+    pgee._connection.emit('notification', { channel: 'foo', payload: '1' });
+
+    subscription.next().then((result) => {
+      expect(result).to.equal({ value: 1, done: false });
+
+      const next = subscription.next();
+
+      pgee._connection.emit('notification', { channel: 'foo', payload: '2' });
+      return next;
+    }).then((result) => {
+      expect(result).to.equal({ value: 2, done: false });
+      return subscription.return();
+    }).then((result) => {
+      expect(result).to.equal({ value: undefined, done: true });
+      expect(queries).to.equal(['LISTEN "foo"', 'UNLISTEN "foo"']);
+      expect(pgee.listenerCount('foo')).to.equal(0);
+      expect(pgee._subscriptions).to.equal([]);
+      return subscription.next();
+    }).then((result) => {
+      expect(result).to.equal({ value: undefined, done: true });
+      return subscription.return();
+    }).then((result) => {
+      expect(result).to.equal({ value: undefined, done: true });
+      expect(queries).to.equal(['LISTEN "foo"', 'UNLISTEN "foo"']);
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('does not UNLISTEN while other consumers remain', (done) => {
+    const queries = [];
+    const pgee = createPgEe(queries);
+    const first = pgee.subscribe('foo');
+    const second = pgee.subscribe('foo');
+
+    first.return().then(() => {
+      expect(queries).to.equal(['LISTEN "foo"']);
+      expect(pgee.listenerCount('foo')).to.equal(1);
+      return second.return();
+    }).then(() => {
+      expect(queries).to.equal(['LISTEN "foo"', 'UNLISTEN "foo"']);
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('drops the oldest notifications by default', (done) => {
+    const pgee = createPgEe([]);
+    const subscription = pgee.subscribe('foo', { highWaterMark: 2 });
+
+    for (let i = 1; i <= 3; ++i) {
+      pgee._connection.emit('notification', { channel: 'foo', payload: i });
+    }
+
+    expect(subscription._buffer).to.equal([2, 3]);
+    pgee.close();
+    done();
+  });
+
+  it('can drop the newest notifications', (done) => {
+    const pgee = createPgEe([]);
+    const subscription = pgee.subscribe('foo', {
+      highWaterMark: 2,
+      overflow: 'drop-newest'
+    });
+
+    for (let i = 1; i <= 3; ++i) {
+      pgee._connection.emit('notification', { channel: 'foo', payload: i });
+    }
+
+    expect(subscription._buffer).to.equal([1, 2]);
+    pgee.close();
+    done();
+  });
+
+  it('can fail on overflow', (done) => {
+    const queries = [];
+    const pgee = createPgEe(queries);
+    const subscription = pgee.subscribe('foo', {
+      highWaterMark: 1,
+      overflow: 'error'
+    });
+
+    pgee._connection.emit('notification', { channel: 'foo', payload: 1 });
+    pgee._connection.emit('notification', { channel: 'foo', payload: 2 });
+    expect(queries).to.equal(['LISTEN "foo"', 'UNLISTEN "foo"']);
+
+    subscription.next().then((result) => {
+      expect(result).to.equal({ value: 1, done: false });
+      return subscription.next();
+    }).then(() => {
+      Code.fail('should not resolve');
+    }, (err) => {
+      expect(err.message).to.equal('subscription buffer overflow on foo');
+      expect(err.channel).to.equal('foo');
+      return subscription.next();
+    }).then((result) => {
+      expect(result.done).to.equal(true);
+      pgee.close();
+      done();
+    }).catch(done);
+  });
+
+  it('rejects if the channel cannot be listened to', (done) => {
+    const pgee = new PgEe(CONNECT_STRING);
+    const subscription = pgee.subscribe('foo');
+
+    subscription.next().then(() => {
+      Code.fail('should not resolve');
+    }, (err) => {
+      expect(err.message).to.equal('not connected to database');
+      done();
+    });
+  });
+
+  it('rejects pending iterations if the channel cannot be listened to', (done) => {
+    const pgee = createPgEe([], { fail: /^LISTEN/, async: true });
+    const subscription = pgee.subscribe('foo');
+
+    subscription.next().then(() => {
+      Code.fail('should not resolve');
+    }, (err) => {
+      expect(err.message).to.equal('foo');
+      expect(pgee._subscriptions).to.equal([]);
+      pgee.close();
+      done();
+    });
+  });
+
+  it('rejects return() if the channel cannot be unlistened', (done) => {
+    const pgee = createPgEe([], { fail: /^UNLISTEN/ });
+    const subscription = pgee.subscribe('foo');
+
+    subscription.return().then(() => {
+      Code.fail('should not resolve');
+    }, (err) => {
+      expect(err.message).to.equal('foo');
+      expect(subscription._done).to.equal(true);
+      pgee.close();
+      done();
+    });
+  });
+
+  it('completes pending iterations when closed', (done) => {
+    const pgee = createPgEe([]);
+    const subscription = pgee.subscribe('foo');
+
+    subscription.next().then((result) => {
+      expect(result).to.equal({ value: undefined, done: true });
+      done();
+    });
+
+    pgee.close();
+  });
+
+  it('throw() ends the iteration', (done) => {
+    const pgee = createPgEe([]);
+    const subscription = pgee.subscribe('foo');
+    const error = new Error('foo');
+
+    subscription.throw(error).catch((err) => {
+      expect(err).to.shallow.equal(error);
+      expect(subscription._done).to.equal(true);
+      pgee.close();
+      done();
+    });
+  });
+});
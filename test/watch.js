@@ -0,0 +1,125 @@
+'use strict';
+const Code = require('code');
+const Lab = require('lab');
+const TableWatch = require('../lib/watch');
+
+const lab = exports.lab = Lab.script();
+const expect = Code.expect;
+const describe = lab.describe;
+const it = lab.it;
+
+describe('TableWatch', () => {
+  it('uses default settings', (done) => {
+    const watch = new TableWatch('public.orders');
+
+    expect(watch.table).to.equal('public.orders');
+    expect(watch.channel).to.equal('pgee_changes_public_orders');
+    expect(watch.operations).to.equal(['INSERT', 'UPDATE', 'DELETE']);
+    expect(watch.columns).to.equal(null);
+    expect(watch.key).to.equal(null);
+    expect(watch.name).to.equal('"public"."orders"');
+    done();
+  });
+
+  it('validates options', (done) => {
+    expect(() => {
+      return new TableWatch('');
+    }).to.throw(TypeError, 'table must be a non-empty string');
+
+    expect(() => {
+      return new TableWatch(5);
+    }).to.throw(TypeError, 'table must be a non-empty string');
+
+    expect(() => {
+      return new TableWatch('orders', { operations: ['TRUNCATE'] });
+    }).to.throw(TypeError, 'unknown operation: TRUNCATE');
+
+    expect(() => {
+      return new TableWatch('orders', { operations: [] });
+    }).to.throw(TypeError, 'operations must not be empty');
+
+    expect(() => {
+      return new TableWatch('orders', { columns: [] });
+    }).to.throw(TypeError, 'columns must be a non-empty array');
+
+    expect(() => {
+      return new TableWatch('orders', { key: 'id' });
+    }).to.throw(TypeError, 'key must be a non-empty array');
+
+    done();
+  });
+
+  it('looks up the primary key', (done) => {
+    const watch = new TableWatch('orders');
+
+    expect(watch.keySql()).to.equal(
+      'SELECT a.attname FROM pg_index i JOIN pg_attribute a ' +
+      'ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey) ' +
+      'WHERE i.indrelid = $1::regclass AND i.indisprimary ORDER BY a.attnum');
+    done();
+  });
+
+  it('installs a trigger sending whole rows', (done) => {
+    const watch = new TableWatch('public.orders', { operations: ['insert'] });
+
+    expect(watch.installSql(['id'])).to.equal(
+      'CREATE OR REPLACE FUNCTION "public"."pgee_notify_orders"() ' +
+      'RETURNS trigger LANGUAGE plpgsql AS $pgee$ ' +
+      'DECLARE old_row json; new_row json; row_key json; payload text; ' +
+      'BEGIN ' +
+      'IF TG_OP <> \'INSERT\' THEN ' +
+      'old_row := row_to_json(OLD); ' +
+      'row_key := json_build_object(\'id\', OLD."id"); ' +
+      'END IF; ' +
+      'IF TG_OP <> \'DELETE\' THEN ' +
+      'new_row := row_to_json(NEW); ' +
+      'row_key := json_build_object(\'id\', NEW."id"); ' +
+      'END IF; ' +
+      'payload := json_build_object(\'operation\', TG_OP, ' +
+      '\'schema\', TG_TABLE_SCHEMA, \'table\', TG_TABLE_NAME, ' +
+      '\'key\', row_key, \'old\', old_row, \'new\', new_row, ' +
+      '\'truncated\', false)::text; ' +
+      'IF octet_length(payload) > 7999 THEN ' +
+      'payload := json_build_object(\'operation\', TG_OP, ' +
+      '\'schema\', TG_TABLE_SCHEMA, \'table\', TG_TABLE_NAME, ' +
+      '\'key\', row_key, \'old\', NULL, \'new\', NULL, ' +
+      '\'truncated\', true)::text; ' +
+      'END IF; ' +
+      'PERFORM pg_notify(\'pgee_changes_public_orders\', payload); ' +
+      'RETURN NULL; ' +
+      'END $pgee$; ' +
+      'DROP TRIGGER IF EXISTS "pgee_notify_orders" ON "public"."orders"; ' +
+      'CREATE TRIGGER "pgee_notify_orders" AFTER INSERT ' +
+      'ON "public"."orders" FOR EACH ROW ' +
+      'EXECUTE PROCEDURE "public"."pgee_notify_orders"()');
+    done();
+  });
+
+  it('installs a trigger sending selected columns', (done) => {
+    const watch = new TableWatch('orders', {
+      channel: 'it\'s',
+      columns: ['status', 'Total']
+    });
+    const sql = watch.installSql(['region', 'id']);
+
+    expect(sql).to.startWith('CREATE OR REPLACE FUNCTION "pgee_notify_orders"()');
+    expect(sql).to.contain(
+      'old_row := json_build_object(\'status\', OLD."status", ' +
+      '\'Total\', OLD."Total"); ' +
+      'row_key := json_build_object(\'region\', OLD."region", \'id\', OLD."id");');
+    expect(sql).to.contain('PERFORM pg_notify(\'it\'\'s\', payload);');
+    expect(sql).to.endWith(
+      'AFTER INSERT OR UPDATE OR DELETE ON "orders" FOR EACH ROW ' +
+      'EXECUTE PROCEDURE "pgee_notify_orders"()');
+    done();
+  });
+
+  it('drops what it installed', (done) => {
+    const watch = new TableWatch('app.orders');
+
+    expect(watch.uninstallSql()).to.equal(
+      'DROP TRIGGER IF EXISTS "pgee_notify_orders" ON "app"."orders"; ' +
+      'DROP FUNCTION IF EXISTS "app"."pgee_notify_orders"()');
+    done();
+  });
+});